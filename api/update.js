@@ -1,72 +1,290 @@
+import { timingSafeEqual } from 'node:crypto';
+
+// Streamer list CRUD on top of streamers.json in the GitHub repo.
+//
+//   GET                                     -> { streamers: [{ platform, name }] }
+//   POST { action: 'add', name, platform }
+//   POST { action: 'remove', name, platform }
+//   POST { action: 'rename', name, to, platform }
+//   POST { action: 'bulk', operations: [{ action, name, platform, to }] }
+//   POST { action: 'replace', list: [{ platform, name }] } -> new list and order
+//   POST { streamer }                       -> legacy add on Kick
+//
+// POSTs need "Authorization: Bearer $LIST_API_SECRET". Kick entries are stored
+// as bare names, other platforms as { platform, name } like the worker serves.
+const PLATFORMS = ['kick', 'twitch', 'youtube'];
+const NAME_PATTERNS = {
+  kick: /^[a-z0-9_-]{2,25}$/,
+  twitch: /^[a-z0-9_]{4,25}$/,
+  youtube: /^[a-z0-9._-]{3,30}$/,
+};
+const MAX_ATTEMPTS = 3;
+const MAX_BULK_OPERATIONS = 100;
+const MAX_LIST_SIZE = 1000;
+
 export default async function handler(req, res) {
+  const github = getGitHubConfig();
+
+  if (req.method === 'GET') {
+    try {
+      const { list } = await readList(github);
+      return res.status(200).json({ streamers: list });
+    } catch (err) {
+      return res.status(502).json({ error: err.message, details: err.details });
+    }
+  }
+
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method Not Allowed' });
   }
 
-  let streamer;
+  const auth = checkAuth(req);
+  if (auth) {
+    return res.status(auth.status).json({ error: auth.error });
+  }
+
+  let operations;
+  let invalid;
 
   try {
-    const body = await parseRequestBody(req);
-    streamer = body.streamer?.trim().toLowerCase();
+    operations = toOperations(await parseRequestBody(req));
+    invalid = operations.map(validateOperation).find(Boolean);
   } catch (err) {
-    return res.status(400).json({ error: 'Invalid JSON body' });
+    return res.status(400).json({ error: err instanceof SyntaxError ? 'Invalid JSON body' : err.message });
+  }
+
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
   }
 
-  if (!streamer) {
-    return res.status(400).json({ error: 'Streamer name required' });
+  // Read-modify-write; a 409/422 means someone else committed in between
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    let current;
+    try {
+      current = await readList(github);
+    } catch (err) {
+      return res.status(502).json({ error: err.message, details: err.details });
+    }
+
+    const { list, results, changed } = applyOperations(current.list, operations);
+    if (!changed) {
+      return res.status(200).json({ message: 'No changes', results });
+    }
+
+    const message = describeOperations(results);
+    const write = await writeList(github, list, current.sha, message);
+    if (write.ok) {
+      return res.status(200).json({ message: message.split('\n')[0], results });
+    }
+    if (write.status !== 409 && write.status !== 422) {
+      return res.status(502).json({ error: 'Failed to update streamers.json on GitHub', details: write.error });
+    }
   }
 
-  const GITHUB_TOKEN = process.env.GITHUB_TOKEN;
-  const FILE_PATH = 'streamers.json';
-  const REPO = 'rapahannock/Kick-Stream-Monitor';
-  const BRANCH = 'main';
+  res.status(409).json({ error: `streamers.json kept changing, gave up after ${MAX_ATTEMPTS} attempts` });
+}
 
-  const headers = {
-    Authorization: `Bearer ${GITHUB_TOKEN}`,
-    Accept: 'application/vnd.github.v3+json',
+function getGitHubConfig() {
+  return {
+    api: process.env.GITHUB_API_URL || 'https://api.github.com',
+    repo: process.env.GITHUB_REPO || 'rapahannock/Kick-Stream-Monitor',
+    branch: process.env.GITHUB_BRANCH || 'main',
+    path: 'streamers.json',
+    headers: {
+      Authorization: `Bearer ${process.env.GITHUB_TOKEN}`,
+      Accept: 'application/vnd.github.v3+json',
+    },
   };
+}
 
-  // Fetch the file content from GitHub
-  const getResp = await fetch(`https://api.github.com/repos/${REPO}/contents/${FILE_PATH}?ref=${BRANCH}`, { headers });
-  const getData = await getResp.json();
+// Returns null when the request may write, otherwise { status, error }
+function checkAuth(req) {
+  const secret = process.env.LIST_API_SECRET;
+  if (!secret) {
+    return { status: 500, error: 'LIST_API_SECRET is not configured' };
+  }
 
-  if (!getResp.ok || !getData.content) {
-    return res.status(500).json({
-      error: 'Failed to fetch streamers.json from GitHub. Check if the file exists and token permissions are correct.',
-      details: getData
-    });
+  const token = (req.headers?.authorization || '').replace(/^Bearer\s+/i, '');
+  const expected = Buffer.from(secret);
+  const given = Buffer.from(token);
+  if (given.length !== expected.length || !timingSafeEqual(given, expected)) {
+    return { status: 401, error: 'Unauthorized' };
   }
+  return null;
+}
 
-  const content = JSON.parse(Buffer.from(getData.content, 'base64').toString());
+async function readList(github) {
+  const resp = await fetch(`${github.api}/repos/${github.repo}/contents/${github.path}?ref=${github.branch}`, { headers: github.headers });
+  const data = await resp.json();
 
-  if (content.includes(streamer)) {
-    return res.status(200).json({ message: 'Streamer already exists.' });
+  if (!resp.ok || !data.content) {
+    const err = new Error('Failed to fetch streamers.json from GitHub. Check if the file exists and token permissions are correct.');
+    err.details = data;
+    throw err;
   }
 
-  content.push(streamer);
-  const updatedContent = Buffer.from(JSON.stringify(content, null, 2)).toString('base64');
+  const raw = JSON.parse(Buffer.from(data.content, 'base64').toString());
+  return { list: raw.map(toEntry).filter(Boolean), sha: data.sha };
+}
 
-  const updateResp = await fetch(`https://api.github.com/repos/${REPO}/contents/${FILE_PATH}`, {
+async function writeList(github, list, sha, message) {
+  const content = list.map((entry) => (entry.platform === 'kick' ? entry.name : entry));
+  const resp = await fetch(`${github.api}/repos/${github.repo}/contents/${github.path}`, {
     method: 'PUT',
-    headers,
+    headers: github.headers,
     body: JSON.stringify({
-      message: `Add ${streamer}`,
-      content: updatedContent,
-      sha: getData.sha,
-      branch: BRANCH
+      message,
+      content: Buffer.from(JSON.stringify(content, null, 2)).toString('base64'),
+      sha,
+      branch: github.branch,
     }),
   });
 
-  if (!updateResp.ok) {
-    const err = await updateResp.json();
-    return res.status(500).json({ error: err });
+  if (resp.ok) return { ok: true };
+  return { ok: false, status: resp.status, error: await resp.json().catch(() => null) };
+}
+
+// Body -> list of { action, platform, name, to }
+export function toOperations(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new Error('Expected a JSON object');
   }
+  if (body.streamer) {
+    return [normalizeOperation({ action: 'add', name: body.streamer })];
+  }
+  if (body.action === 'replace') {
+    if (!Array.isArray(body.list) || body.list.length > MAX_LIST_SIZE) {
+      throw new Error(`Replace requests need a list of at most ${MAX_LIST_SIZE} entries`);
+    }
+    // Dropping unreadable entries would silently remove streamers from the file
+    const entries = body.list.map(toEntry);
+    const rejected = entries.findIndex((entry) => !entry);
+    if (rejected !== -1) {
+      throw new Error(`Replace list entry ${rejected + 1} is not a name or { platform, name }`);
+    }
+    return [{ action: 'replace', list: entries.map(normalizeOperation) }];
+  }
+  if (body.action === 'bulk') {
+    if (!Array.isArray(body.operations) || body.operations.length === 0) {
+      throw new Error('Bulk requests need a non-empty operations array');
+    }
+    if (body.operations.length > MAX_BULK_OPERATIONS) {
+      throw new Error(`At most ${MAX_BULK_OPERATIONS} operations per request`);
+    }
+    if (body.operations.some((op) => !op || typeof op !== 'object' || op.action === 'replace' || op.action === 'bulk')) {
+      throw new Error('Bulk operations must be add, remove or rename');
+    }
+    return body.operations.map(normalizeOperation);
+  }
+  return [normalizeOperation(body)];
+}
+
+function normalizeOperation(op) {
+  return {
+    action: op.action,
+    platform: String(op.platform || 'kick').toLowerCase(),
+    name: String(op.name || '').trim().toLowerCase(),
+    to: op.to === undefined ? undefined : String(op.to).trim().toLowerCase(),
+  };
+}
+
+// Returns an error message, or null for a valid operation
+export function validateOperation(op) {
+  if (op.action === 'replace') {
+    if (!Array.isArray(op.list)) return 'Replace needs a list';
+    return op.list.map((entry) => validateOperation({ ...entry, action: 'add' })).find(Boolean) || null;
+  }
+  if (!['add', 'remove', 'rename'].includes(op.action)) {
+    return `Unknown action: ${op.action}`;
+  }
+  if (!PLATFORMS.includes(op.platform)) {
+    return `Unsupported platform: ${op.platform}`;
+  }
+  if (!validateName(op.platform, op.name)) {
+    return `Invalid ${op.platform} username: ${op.name || '(empty)'}`;
+  }
+  if (op.action === 'rename' && !validateName(op.platform, op.to)) {
+    return `Invalid ${op.platform} username: ${op.to || '(empty)'}`;
+  }
+  return null;
+}
+
+export function validateName(platform, name) {
+  return Boolean(name) && NAME_PATTERNS[platform].test(name);
+}
+
+// Stored entries are "name" (Kick) or { platform, name }
+function toEntry(item) {
+  if (typeof item === 'string') return { platform: 'kick', name: item.toLowerCase() };
+  if (item && item.name) return { platform: String(item.platform || 'kick').toLowerCase(), name: String(item.name).toLowerCase() };
+  return null;
+}
+
+export function applyOperations(list, operations) {
+  const next = [...list];
+  const find = (platform, name) => next.findIndex((e) => e.platform === platform && e.name === name);
+  let changed = false;
+
+  const results = operations.map((op) => {
+    if (op.action === 'replace') {
+      const same = op.list.length === next.length && op.list.every((e, i) => e.platform === next[i].platform && e.name === next[i].name);
+      const unique = op.list.filter((e, i) => op.list.findIndex((o) => o.platform === e.platform && o.name === e.name) === i);
+      next.splice(0, next.length, ...unique.map(({ platform, name }) => ({ platform, name })));
+      changed = changed || !same;
+      return { action: 'replace', count: unique.length, status: same ? 'unchanged' : 'replaced' };
+    }
+
+    const index = find(op.platform, op.name);
+    const result = { action: op.action, platform: op.platform, name: op.name };
+
+    switch (op.action) {
+      case 'add':
+        if (index !== -1) return { ...result, status: 'exists' };
+        next.push({ platform: op.platform, name: op.name });
+        changed = true;
+        return { ...result, status: 'added' };
+      case 'remove':
+        if (index === -1) return { ...result, status: 'missing' };
+        next.splice(index, 1);
+        changed = true;
+        return { ...result, status: 'removed' };
+      case 'rename':
+        if (index === -1) return { ...result, to: op.to, status: 'missing' };
+        if (find(op.platform, op.to) !== -1) return { ...result, to: op.to, status: 'exists' };
+        next[index] = { platform: op.platform, name: op.to };
+        changed = true;
+        return { ...result, to: op.to, status: 'renamed' };
+    }
+  });
+
+  return { list: next, results, changed };
+}
+
+// Commit message for the applied operations, e.g. "Add kick:xqc"
+export function describeOperations(results) {
+  const replaced = results.find((r) => r.status === 'replaced');
+  if (replaced) return `Replace list (${replaced.count} streamers)`;
+
+  const applied = results.filter((r) => ['added', 'removed', 'renamed'].includes(r.status));
+  const label = (r) => `${r.platform}:${r.name}`;
+  const line = (r) => {
+    if (r.status === 'added') return `Add ${label(r)}`;
+    if (r.status === 'removed') return `Remove ${label(r)}`;
+    return `Rename ${label(r)} to ${r.to}`;
+  };
+
+  if (applied.length === 1) return line(applied[0]);
 
-  res.status(200).json({ message: `${streamer} added successfully` });
+  const count = (status) => applied.filter((r) => r.status === status).length;
+  const summary = [['added', 'add'], ['removed', 'remove'], ['renamed', 'rename']]
+    .filter(([status]) => count(status) > 0)
+    .map(([status, verb]) => `${verb} ${count(status)}`)
+    .join(', ');
+  return `Bulk update: ${summary}\n\n${applied.map(line).join('\n')}`;
 }
 
 // Helper to parse raw request body (needed for serverless)
-async function parseRequestBody(req) {
+export async function parseRequestBody(req) {
   const chunks = [];
 
   for await (const chunk of req) {
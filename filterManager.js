@@ -1,16 +1,67 @@
 // Advanced Filter Manager
+import { parseSearchQuery, getQuerySuggestions } from './searchQuery.js';
+
+// Filters shown as facets, with the createFilterIndex bucket for each. A facet
+// filter is 'all', one value or an array of values (any of them matches).
+export const FACETS = {
+    status: 'byStatus',
+    category: 'byCategory',
+    language: 'byLanguage',
+    viewers: 'byViewerRange',
+    duration: 'byDuration',
+    tags: 'byTag',
+    mature: 'byMature'
+};
+
+// Values the fixed facets understand; categories, languages and tags come
+// from the streamers themselves
+const FACET_VALUES = {
+    status: ['all', 'live', 'offline', 'favorites'],
+    viewers: ['all', '0-100', '100-500', '500-1000', '1000-5000', '5000+'],
+    duration: ['all', '<1h', '1-4h', '4h+', 'offline'],
+    mature: ['all', 'mature', 'not-mature']
+};
+
+// Filters from a shared file: known facets with values they understand and
+// the search text. The watchlist filter is left out, the file is the list.
+export function sanitizeFilters(filters) {
+    if (!filters || typeof filters !== 'object' || Array.isArray(filters)) return null;
+
+    const sanitized = {};
+    Object.keys(FACETS).forEach(type => {
+        const values = [].concat(filters[type] ?? []).filter(value =>
+            typeof value === 'string' && (!FACET_VALUES[type] || FACET_VALUES[type].includes(value)));
+        if (values.length > 0) {
+            sanitized[type] = values.length === 1 ? values[0] : values;
+        }
+    });
+    if (typeof filters.search === 'string') {
+        sanitized.search = filters.search;
+    }
+
+    return Object.keys(sanitized).length > 0 ? sanitized : null;
+}
+
 export class FilterManager {
     constructor() {
         this.filters = {
             status: 'all',        // all, live, offline, favorites
             viewers: 'all',       // all, 0-100, 100-500, 500-1000, 1000-5000, 5000+
             category: 'all',      // all, specific categories
-            search: '',           // search query
+            search: '',           // search query, see searchQuery.js
             duration: 'all',      // all, <1h, 1-4h, 4h+
-            language: 'all'       // all, specific languages
+            language: 'all',      // all, specific languages
+            tags: 'all',          // all, specific tags
+            mature: 'all',        // all, mature, not-mature
+            watchlist: 'all'      // all, watchlist id
         };
         
-        this.sortBy = 'status';   // status, viewers, name, category, duration, offline-time
+        // Watchlist id -> { name, members: Set of names }
+        this.watchlists = new Map();
+        this.favorites = new Set();
+        this.query = parseSearchQuery('');
+        
+        this.sortBy = 'status';   // status, viewers, name, category, duration, offline-time, relevance
         this.sortDirection = 'desc'; // asc, desc
         
         this.eventListeners = new Map();
@@ -51,18 +102,69 @@ export class FilterManager {
         return this.filters[type];
     }
 
-    clearFilters() {
-        this.filters = {
+    getDefaultFilters() {
+        return {
             status: 'all',
             viewers: 'all',
             category: 'all',
             search: '',
             duration: 'all',
-            language: 'all'
+            language: 'all',
+            tags: 'all',
+            mature: 'all',
+            watchlist: this.filters.watchlist
         };
+    }
+
+    // Selected values of a facet filter, null when it is 'all'
+    getFilterValues(type) {
+        const value = this.filters[type];
+        if (value === undefined || value === null || value === 'all') {
+            return null;
+        }
+        const values = [].concat(value);
+        return values.length > 0 ? values : null;
+    }
+
+    toFilterValue(values) {
+        if (values.length === 0) return 'all';
+        return values.length === 1 ? values[0] : values;
+    }
+
+    // Multi-select within a facet
+    toggleFilterValue(type, value) {
+        const values = this.getFilterValues(type) || [];
+        const next = values.includes(value) ? values.filter(v => v !== value) : [...values, value];
+        this.setFilter(type, this.toFilterValue(next));
+    }
+
+    clearFilters() {
+        this.filters = this.getDefaultFilters();
+        this.emit('filtersChanged', this.filters);
+    }
+
+    // Watchlists as a filter dimension; lists are { id, name, members }
+    setWatchlists(lists) {
+        this.watchlists = new Map(lists.map(list => [list.id, { name: list.name, members: new Set(list.members) }]));
+        this.emit('filtersChanged', this.filters);
+    }
+
+    isInWatchlist(listName, streamerName) {
+        const name = listName.toLowerCase();
+        return Array.from(this.watchlists.values())
+            .some(list => list.name.toLowerCase() === name && list.members.has(streamerName.toLowerCase()));
+    }
+
+    // Favorites for the status filter and is:fav
+    setFavorites(names) {
+        this.favorites = new Set(names.map(name => name.toLowerCase()));
         this.emit('filtersChanged', this.filters);
     }
 
+    isFavorite(streamer) {
+        return Boolean(streamer.isFavorite) || this.favorites.has(streamer.name.toLowerCase());
+    }
+
     // Sort management
     setSortBy(sortBy) {
         this.sortBy = sortBy;
@@ -95,6 +197,9 @@ export class FilterManager {
 
         let filtered = [...streamers];
 
+        // Apply watchlist filter
+        filtered = this.applyWatchlistFilter(filtered);
+
         // Apply status filter
         filtered = this.applyStatusFilter(filtered);
 
@@ -113,133 +218,184 @@ export class FilterManager {
         // Apply language filter
         filtered = this.applyLanguageFilter(filtered);
 
+        // Apply tag and mature filters
+        filtered = this.applyTagFilter(filtered);
+        filtered = this.applyMatureFilter(filtered);
+
         // Apply sorting
         filtered = this.applySorting(filtered);
 
         return filtered;
     }
 
-    applyStatusFilter(streamers) {
-        const status = this.filters.status;
+    applyWatchlistFilter(streamers) {
+        const watchlist = this.filters.watchlist;
         
-        switch (status) {
-            case 'live':
-                return streamers.filter(s => s.live);
-            case 'offline':
-                return streamers.filter(s => !s.live);
-            case 'favorites':
-                // This requires access to favorites list, will be handled in main app
-                return streamers.filter(s => s.isFavorite);
-            case 'all':
-            default:
-                return streamers;
+        if (watchlist === 'all') {
+            return streamers;
         }
+
+        const members = this.watchlists.get(watchlist)?.members || new Set();
+        return streamers.filter(streamer => members.has(streamer.name.toLowerCase()));
     }
 
-    applyViewerFilter(streamers) {
-        const viewerRange = this.filters.viewers;
+    applyStatusFilter(streamers) {
+        const statuses = this.getFilterValues('status');
         
-        if (viewerRange === 'all') {
+        if (!statuses) {
             return streamers;
         }
 
-        return streamers.filter(streamer => {
-            const viewers = streamer.viewers || 0;
-            
-            switch (viewerRange) {
-                case '0-100':
-                    return viewers >= 0 && viewers <= 100;
-                case '100-500':
-                    return viewers > 100 && viewers <= 500;
-                case '500-1000':
-                    return viewers > 500 && viewers <= 1000;
-                case '1000-5000':
-                    return viewers > 1000 && viewers <= 5000;
-                case '5000+':
-                    return viewers > 5000;
+        return streamers.filter(streamer => statuses.some(status => {
+            switch (status) {
+                case 'live':
+                    return streamer.live;
+                case 'offline':
+                    return !streamer.live;
+                case 'favorites':
+                    return this.isFavorite(streamer);
                 default:
                     return true;
             }
-        });
+        }));
+    }
+
+    applyViewerFilter(streamers) {
+        const ranges = this.getFilterValues('viewers');
+        
+        if (!ranges) {
+            return streamers;
+        }
+
+        return streamers.filter(streamer => ranges.includes(this.getViewerRange(streamer)));
+    }
+
+    getViewerRange(streamer) {
+        const viewers = streamer.viewers || 0;
+        
+        if (viewers <= 100) return '0-100';
+        if (viewers <= 500) return '100-500';
+        if (viewers <= 1000) return '500-1000';
+        if (viewers <= 5000) return '1000-5000';
+        return '5000+';
     }
 
     applyCategoryFilter(streamers) {
-        const category = this.filters.category;
+        const categories = this.getFilterValues('category');
         
-        if (category === 'all') {
+        if (!categories) {
             return streamers;
         }
 
-        return streamers.filter(streamer => {
-            return streamer.category === category;
-        });
+        return streamers.filter(streamer => categories.includes(streamer.category));
     }
 
     applySearchFilter(streamers) {
-        const query = this.filters.search.toLowerCase().trim();
+        const query = this.getSearchQuery();
         
-        if (!query) {
+        if (query.isEmpty) {
             return streamers;
         }
 
-        return streamers.filter(streamer => {
-            const searchableText = [
-                streamer.name,
-                streamer.displayName,
-                streamer.title,
-                streamer.category
-            ].filter(Boolean).join(' ').toLowerCase();
-            
-            return searchableText.includes(query);
+        const context = {
+            isFavorite: (name) => this.favorites.has(name.toLowerCase()),
+            isInList: (listName, name) => this.isInWatchlist(listName, name),
+            now: Date.now()
+        };
+        return streamers.filter(streamer => query.matches(streamer, context));
+    }
+
+    // Parsed once per search string
+    getSearchQuery() {
+        if (this.query.input !== this.filters.search) {
+            this.query = parseSearchQuery(this.filters.search);
+        }
+        return this.query;
+    }
+
+    getSearchErrors() {
+        return this.getSearchQuery().errors;
+    }
+
+    // Matched ranges per field, for highlighting
+    getSearchHighlights(streamer) {
+        const query = this.getSearchQuery();
+        return query.isEmpty ? {} : query.getHighlights(streamer);
+    }
+
+    // Completions for a query being typed, from the values streamers actually have
+    getSearchSuggestions(input, cursor, streamers) {
+        return getQuerySuggestions(input, cursor, {
+            categories: this.getAvailableCategories(streamers),
+            languages: this.getAvailableLanguages(streamers),
+            tags: this.getAvailableTags(streamers),
+            lists: Array.from(this.watchlists.values()).map(list => list.name)
         });
     }
 
     applyDurationFilter(streamers) {
-        const duration = this.filters.duration;
+        const durations = this.getFilterValues('duration');
         
-        if (duration === 'all') {
+        if (!durations) {
             return streamers;
         }
 
-        return streamers.filter(streamer => {
-            if (!streamer.live || !streamer.streamStartTime) {
-                return duration === 'offline';
-            }
+        const now = Date.now();
+        return streamers.filter(streamer => durations.includes(this.getDurationBucket(streamer, now)));
+    }
 
-            const streamDuration = Date.now() - streamer.streamStartTime;
-            const hours = streamDuration / (1000 * 60 * 60);
+    // Offline streams and streams without a start time count as 'offline'
+    getDurationBucket(streamer, now = Date.now()) {
+        if (!streamer.live || !streamer.streamStartTime) {
+            return 'offline';
+        }
 
-            switch (duration) {
-                case '<1h':
-                    return hours < 1;
-                case '1-4h':
-                    return hours >= 1 && hours <= 4;
-                case '4h+':
-                    return hours > 4;
-                case 'offline':
-                    return !streamer.live;
-                default:
-                    return true;
-            }
-        });
+        const hours = (now - streamer.streamStartTime) / (1000 * 60 * 60);
+        if (hours < 1) return '<1h';
+        if (hours <= 4) return '1-4h';
+        return '4h+';
     }
 
     applyLanguageFilter(streamers) {
-        const language = this.filters.language;
+        const languages = this.getFilterValues('language');
         
-        if (language === 'all') {
+        if (!languages) {
             return streamers;
         }
 
-        return streamers.filter(streamer => {
-            return streamer.language === language;
-        });
+        return streamers.filter(streamer => languages.includes(streamer.language));
+    }
+
+    applyTagFilter(streamers) {
+        const tags = this.getFilterValues('tags');
+        
+        if (!tags) {
+            return streamers;
+        }
+
+        return streamers.filter(streamer => (streamer.tags || []).some(tag => tags.includes(tag)));
+    }
+
+    applyMatureFilter(streamers) {
+        const values = this.getFilterValues('mature');
+        
+        if (!values) {
+            return streamers;
+        }
+
+        return streamers.filter(streamer => values.includes(streamer.mature ? 'mature' : 'not-mature'));
     }
 
     applySorting(streamers) {
         const sortBy = this.sortBy;
         const direction = this.sortDirection === 'asc' ? 1 : -1;
 
+        // Scored once up front rather than on every comparison
+        const query = this.getSearchQuery();
+        const relevance = sortBy === 'relevance'
+            ? new Map(streamers.map(streamer => [streamer, query.score(streamer)]))
+            : null;
+
         return streamers.sort((a, b) => {
             let comparison = 0;
 
@@ -297,6 +453,11 @@ export class FilterManager {
                     comparison = (b.followers || 0) - (a.followers || 0);
                     break;
 
+                case 'relevance':
+                    // Best match first when descending
+                    comparison = relevance.get(a) - relevance.get(b);
+                    break;
+
                 default:
                     comparison = 0;
             }
@@ -341,6 +502,16 @@ export class FilterManager {
         return Array.from(languages).sort();
     }
 
+    getAvailableTags(streamers) {
+        const tags = new Set();
+        
+        streamers.forEach(streamer => {
+            (streamer.tags || []).forEach(tag => tags.add(tag));
+        });
+
+        return Array.from(tags).sort();
+    }
+
     getViewerRangeStats(streamers) {
         const ranges = {
             '0-100': 0,
@@ -369,44 +540,39 @@ export class FilterManager {
         return ranges;
     }
 
-    // Filter presets
-    getFilterPresets() {
+    // Filter presets are stored by StorageManager; these read and apply the
+    // part the filter manager owns. The active watchlist is left alone.
+    capturePreset() {
+        const { watchlist, ...filters } = this.filters;
         return {
-            'popular-live': {
-                status: 'live',
-                viewers: '1000+',
-                category: 'all'
-            },
-            'new-streamers': {
-                status: 'live',
-                viewers: '0-100',
-                category: 'all'
-            },
-            'just-chatting': {
-                status: 'all',
-                viewers: 'all',
-                category: 'Just Chatting'
-            },
-            'gaming': {
-                status: 'live',
-                viewers: 'all',
-                category: 'all'
-            },
-            'favorites-live': {
-                status: 'favorites',
-                viewers: 'all',
-                category: 'all'
-            }
+            filters,
+            sortBy: this.sortBy,
+            sortDirection: this.sortDirection
         };
     }
 
-    applyFilterPreset(presetName) {
-        const presets = this.getFilterPresets();
-        const preset = presets[presetName];
-        
-        if (preset) {
-            this.setFilters(preset);
+    // Filters the preset doesn't mention go back to their defaults
+    applyPreset(preset) {
+        const { watchlist, ...filters } = preset.filters || {};
+        this.filters = { ...this.getDefaultFilters(), ...filters };
+        if (preset.sortBy) {
+            this.sortBy = preset.sortBy;
         }
+        if (preset.sortDirection) {
+            this.sortDirection = preset.sortDirection;
+        }
+
+        const errors = this.validateFilters();
+        this.emit('filtersChanged', this.filters);
+        return errors;
+    }
+
+    matchesPreset(preset) {
+        const { watchlist, ...filters } = { ...this.getDefaultFilters(), ...(preset.filters || {}) };
+        const sameValue = (a, b) => String([].concat(a).sort()) === String([].concat(b).sort());
+        return Object.entries(filters).every(([type, value]) => sameValue(this.filters[type], value)) &&
+            (!preset.sortBy || preset.sortBy === this.sortBy) &&
+            (!preset.sortDirection || preset.sortDirection === this.sortDirection);
     }
 
     // Export/Import filters
@@ -432,22 +598,25 @@ export class FilterManager {
 
     // Filter validation
     validateFilters() {
-        const validStatuses = ['all', 'live', 'offline', 'favorites'];
-        const validViewerRanges = ['all', '0-100', '100-500', '500-1000', '1000-5000', '5000+'];
-        const validSortOptions = ['status', 'viewers', 'name', 'category', 'duration', 'offline-time', 'followers'];
+        const validSortOptions = ['status', 'viewers', 'name', 'category', 'duration', 'offline-time', 'followers', 'relevance'];
         const validSortDirections = ['asc', 'desc'];
 
         const errors = [];
 
-        if (!validStatuses.includes(this.filters.status)) {
-            errors.push(`Invalid status filter: ${this.filters.status}`);
-            this.filters.status = 'all';
-        }
+        // Drops the invalid values of a multi-select filter, keeps the rest
+        const validateValues = (type, validValues, label) => {
+            const values = this.getFilterValues(type) || [];
+            const invalid = values.filter(value => !validValues.includes(value));
+            if (invalid.length > 0) {
+                errors.push(`Invalid ${label} filter: ${invalid.join(', ')}`);
+                this.filters[type] = this.toFilterValue(values.filter(value => validValues.includes(value)));
+            }
+        };
 
-        if (!validViewerRanges.includes(this.filters.viewers)) {
-            errors.push(`Invalid viewer range filter: ${this.filters.viewers}`);
-            this.filters.viewers = 'all';
-        }
+        validateValues('status', FACET_VALUES.status, 'status');
+        validateValues('viewers', FACET_VALUES.viewers, 'viewer range');
+        validateValues('duration', FACET_VALUES.duration, 'duration');
+        validateValues('mature', FACET_VALUES.mature, 'mature');
 
         if (!validSortOptions.includes(this.sortBy)) {
             errors.push(`Invalid sort option: ${this.sortBy}`);
@@ -462,108 +631,116 @@ export class FilterManager {
         return errors;
     }
 
-    // Performance optimization for large datasets
+    // Performance optimization for large datasets. Each bucket lists the
+    // positions of the streamers it holds; a tagged streamer is in one bucket
+    // per tag, a favorite is in both its live/offline and the favorites bucket.
     createFilterIndex(streamers) {
+        const now = Date.now();
         const index = {
-            byStatus: { live: [], offline: [] },
+            byStatus: { live: [], offline: [], favorites: [] },
             byCategory: {},
+            byLanguage: {},
             byViewerRange: {
                 '0-100': [],
                 '100-500': [],
                 '500-1000': [],
                 '1000-5000': [],
                 '5000+': []
+            },
+            byDuration: { '<1h': [], '1-4h': [], '4h+': [], offline: [] },
+            byTag: {},
+            byMature: { mature: [], 'not-mature': [] }
+        };
+
+        const add = (bucket, key, i) => {
+            if (!bucket[key]) {
+                bucket[key] = [];
             }
+            bucket[key].push(i);
         };
 
         streamers.forEach((streamer, i) => {
             // Index by status
-            if (streamer.live) {
-                index.byStatus.live.push(i);
-            } else {
-                index.byStatus.offline.push(i);
+            add(index.byStatus, streamer.live ? 'live' : 'offline', i);
+            if (this.isFavorite(streamer)) {
+                index.byStatus.favorites.push(i);
             }
 
-            // Index by category
+            // Index by category and language
             if (streamer.category) {
-                if (!index.byCategory[streamer.category]) {
-                    index.byCategory[streamer.category] = [];
-                }
-                index.byCategory[streamer.category].push(i);
+                add(index.byCategory, streamer.category, i);
             }
-
-            // Index by viewer range
-            const viewers = streamer.viewers || 0;
-            if (viewers <= 100) {
-                index.byViewerRange['0-100'].push(i);
-            } else if (viewers <= 500) {
-                index.byViewerRange['100-500'].push(i);
-            } else if (viewers <= 1000) {
-                index.byViewerRange['500-1000'].push(i);
-            } else if (viewers <= 5000) {
-                index.byViewerRange['1000-5000'].push(i);
-            } else {
-                index.byViewerRange['5000+'].push(i);
+            if (streamer.language) {
+                add(index.byLanguage, streamer.language, i);
             }
+
+            // Index by viewer range and stream duration
+            add(index.byViewerRange, this.getViewerRange(streamer), i);
+            add(index.byDuration, this.getDurationBucket(streamer, now), i);
+
+            // Index by tag and mature flag
+            new Set(streamer.tags || []).forEach(tag => add(index.byTag, tag, i));
+            add(index.byMature, streamer.mature ? 'mature' : 'not-mature', i);
         });
 
         return index;
     }
 
-    // Quick filter methods using index
-    quickFilter(streamers, index) {
-        if (!index) {
-            return this.applyFilters(streamers);
-        }
+    // Positions matching every active facet filter except skipFacet, null when
+    // none of them is active
+    matchIndex(index, skipFacet = null) {
+        let matches = null;
 
-        let indices = new Set();
-        let firstFilter = true;
+        Object.entries(FACETS).forEach(([facet, bucketName]) => {
+            const values = facet === skipFacet ? null : this.getFilterValues(facet);
+            if (!values) return;
 
-        // Apply status filter
-        if (this.filters.status !== 'all') {
-            const statusIndices = index.byStatus[this.filters.status] || [];
-            if (firstFilter) {
-                indices = new Set(statusIndices);
-                firstFilter = false;
-            } else {
-                indices = new Set([...indices].filter(i => statusIndices.includes(i)));
-            }
-        }
+            const selected = new Set(values.flatMap(value => index[bucketName][value] || []));
+            matches = matches ? new Set([...matches].filter(i => selected.has(i))) : selected;
+        });
 
-        // Apply category filter
-        if (this.filters.category !== 'all') {
-            const categoryIndices = index.byCategory[this.filters.category] || [];
-            if (firstFilter) {
-                indices = new Set(categoryIndices);
-                firstFilter = false;
-            } else {
-                indices = new Set([...indices].filter(i => categoryIndices.includes(i)));
-            }
-        }
+        return matches;
+    }
 
-        // Apply viewer filter
-        if (this.filters.viewers !== 'all') {
-            const viewerIndices = index.byViewerRange[this.filters.viewers] || [];
-            if (firstFilter) {
-                indices = new Set(viewerIndices);
-                firstFilter = false;
-            } else {
-                indices = new Set([...indices].filter(i => viewerIndices.includes(i)));
+    // Streamers each facet value would show, given all the other active
+    // filters: { status: { live: 12, ... }, category: { ... }, ... }
+    getFacetCounts(streamers, index = this.createFilterIndex(streamers)) {
+        // Watchlist and search aren't indexed, so they narrow the base once
+        const remaining = new Set(this.applySearchFilter(this.applyWatchlistFilter(streamers)));
+        const base = new Set();
+        streamers.forEach((streamer, i) => {
+            if (remaining.has(streamer)) {
+                base.add(i);
             }
-        }
+        });
+
+        const counts = {};
+        Object.entries(FACETS).forEach(([facet, bucketName]) => {
+            const others = this.matchIndex(index, facet);
+            counts[facet] = {};
+
+            Object.entries(index[bucketName]).forEach(([value, positions]) => {
+                counts[facet][value] = positions.filter(i => base.has(i) && (!others || others.has(i))).length;
+            });
+        });
 
-        // If no filters applied, use all streamers
-        if (firstFilter) {
-            indices = new Set(streamers.map((_, i) => i));
+        return counts;
+    }
+
+    // Quick filter methods using index
+    quickFilter(streamers, index) {
+        if (!index) {
+            return this.applyFilters(streamers);
         }
 
-        // Get filtered streamers
-        let filtered = Array.from(indices).map(i => streamers[i]);
+        const matches = this.matchIndex(index);
+        let filtered = matches
+            ? Array.from(matches).sort((a, b) => a - b).map(i => streamers[i])
+            : [...streamers];
 
         // Apply remaining filters that can't use index
+        filtered = this.applyWatchlistFilter(filtered);
         filtered = this.applySearchFilter(filtered);
-        filtered = this.applyDurationFilter(filtered);
-        filtered = this.applyLanguageFilter(filtered);
 
         // Apply sorting
         filtered = this.applySorting(filtered);
@@ -571,4 +748,3 @@ export class FilterManager {
         return filtered;
     }
 }
-
@@ -1,11 +1,29 @@
 // History Manager - Tracks stream history and provides analytics
+//
+// Sessions live in the 'streamHistory' IndexedDB store and viewer samples /
+// status changes in the 'analytics' store, one record each. Only a small
+// per-streamer summary (totals, last status, open session) is kept in memory.
+//
+// A broadcast that drops and comes back within the grace window (or with the
+// same Kick streamStartTime) is stitched into one session; the drop is kept in
+// session.interruptions. Times the monitor itself was not running are kept
+// separately as monitor gaps.
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
 export class HistoryManager {
     constructor(storage) {
         this.storage = storage;
         this.eventListeners = new Map();
         this.historyData = new Map();
         this.maxHistoryDays = 30; // Keep 30 days of history
+        this.sessionGraceMinutes = 5; // Merge reconnects within 5 minutes (0 = off)
+        this.gapThresholdMinutes = 10; // Minimum silence reported as a monitor gap
+        this.monitorGaps = [];
+        this.lastHeartbeat = null;
         this.isInitialized = false;
+        this.writeQueue = Promise.resolve();
+        this.summarySaveTimer = null;
     }
 
     // Event system
@@ -30,11 +48,19 @@ export class HistoryManager {
 
     async init() {
         try {
+            this.maxHistoryDays = this.storage.getSetting('historyRetentionDays', this.maxHistoryDays);
+            this.sessionGraceMinutes = this.storage.getSetting('sessionGraceMinutes', this.sessionGraceMinutes);
+            this.monitorGaps = this.storage.get('monitorGaps', []);
+            this.lastHeartbeat = this.storage.get('monitorHeartbeat', null);
+
+            // Move pre-4.1 localStorage history into IndexedDB
+            await this.migrateLegacyHistory();
+
             // Load existing history data
             await this.loadHistoryData();
             
             // Clean up old data
-            this.cleanupOldData();
+            await this.cleanupOldData();
             
             this.isInitialized = true;
             console.log('HistoryManager initialized');
@@ -43,30 +69,190 @@ export class HistoryManager {
         }
     }
 
+    createSummary(saved = {}) {
+        return {
+            lastSeen: saved.lastSeen || null,
+            lastStatus: saved.lastStatus || null,
+            lastSampleTime: saved.lastSampleTime || null,
+            currentSession: saved.currentSession || null,
+            lastSession: saved.lastSession || null,
+            previousPeakViewers: saved.previousPeakViewers || 0,
+            totalStreamTime: saved.totalStreamTime || 0,
+            totalViewerTime: saved.totalViewerTime || 0,
+            averageViewers: saved.averageViewers || 0,
+            peakViewers: saved.peakViewers || 0,
+            streamCount: saved.streamCount || 0
+        };
+    }
+
     async loadHistoryData() {
-        const savedHistory = this.storage.get('streamHistory', {});
+        const savedSummary = this.storage.get('streamHistorySummary', {});
         
-        // Convert saved data back to Map
-        for (const [streamerName, history] of Object.entries(savedHistory)) {
-            this.historyData.set(streamerName, {
-                sessions: history.sessions || [],
-                viewerHistory: history.viewerHistory || [],
-                statusChanges: history.statusChanges || [],
-                lastSeen: history.lastSeen || null,
-                totalStreamTime: history.totalStreamTime || 0,
-                averageViewers: history.averageViewers || 0,
-                peakViewers: history.peakViewers || 0,
-                streamCount: history.streamCount || 0
-            });
+        for (const [streamerName, summary] of Object.entries(savedSummary)) {
+            this.historyData.set(streamerName, this.createSummary(summary));
         }
     }
 
     saveHistoryData() {
-        const historyObject = {};
+        const summaryObject = {};
         for (const [streamerName, history] of this.historyData) {
-            historyObject[streamerName] = history;
+            summaryObject[streamerName] = history;
+        }
+        this.storage.set('streamHistorySummary', summaryObject);
+    }
+
+    // Coalesce summary writes so a full refresh only serializes once
+    scheduleSave() {
+        if (this.summarySaveTimer) return;
+        this.summarySaveTimer = setTimeout(() => {
+            this.summarySaveTimer = null;
+            this.saveHistoryData();
+        }, 1000);
+    }
+
+    // Writes run in order so analytics queries see every recorded update
+    enqueueWrite(storeName, records) {
+        this.writeQueue = this.writeQueue
+            .then(() => this.storage.putRecords(storeName, records))
+            .catch(error => console.error('Failed to persist history:', error));
+        return this.writeQueue;
+    }
+
+    async flush() {
+        await this.writeQueue;
+    }
+
+    async migrateLegacyHistory() {
+        const legacyHistory = this.storage.get('streamHistory', null);
+        if (!legacyHistory) return;
+
+        const sessions = [];
+        const events = [];
+        const summary = this.storage.get('streamHistorySummary', {});
+
+        for (const [streamerName, history] of Object.entries(legacyHistory)) {
+            (history.sessions || []).forEach(session => {
+                sessions.push({ ...session, streamerName });
+            });
+
+            (history.viewerHistory || []).forEach(sample => {
+                events.push(this.createViewerEvent(streamerName, sample.viewers, sample.timestamp));
+            });
+
+            (history.statusChanges || []).forEach(change => {
+                events.push(this.createStatusEvent(streamerName, change));
+            });
+
+            const lastSession = history.sessions?.[history.sessions.length - 1];
+            const lastStatus = history.statusChanges?.[history.statusChanges.length - 1];
+            const lastSample = history.viewerHistory?.[history.viewerHistory.length - 1];
+
+            summary[streamerName] = this.createSummary({
+                ...history,
+                lastStatus: lastStatus || null,
+                lastSampleTime: lastSample ? lastSample.timestamp : null,
+                currentSession: lastSession && !lastSession.endTime ? { ...lastSession, streamerName } : null,
+                totalViewerTime: (history.averageViewers || 0) * (history.totalStreamTime || 0)
+            });
+        }
+
+        const savedSessions = await this.storage.putRecords('streamHistory', sessions);
+        const savedEvents = await this.storage.putRecords('analytics', events);
+
+        if (!savedSessions || !savedEvents) {
+            console.warn('Legacy history migration failed, will retry on next start');
+            return;
+        }
+
+        this.storage.set('streamHistorySummary', summary);
+        this.storage.remove('streamHistory');
+        console.log(`Migrated ${sessions.length} sessions and ${events.length} events to IndexedDB`);
+    }
+
+    createViewerEvent(streamerName, viewers, timestamp) {
+        return {
+            id: `${streamerName}:v:${timestamp}`,
+            type: 'viewers',
+            streamerName,
+            timestamp,
+            viewers
+        };
+    }
+
+    createStatusEvent(streamerName, statusChange) {
+        return {
+            id: `${streamerName}:s:${statusChange.timestamp}`,
+            type: 'status',
+            streamerName,
+            ...statusChange
+        };
+    }
+
+    createChangeEvent(change) {
+        const streamerName = change.streamer.name;
+        return {
+            id: `${streamerName}:c:${change.type}:${change.timestamp}`,
+            type: 'change',
+            change: change.type,
+            streamerName,
+            timestamp: change.timestamp,
+            from: change.from ?? null,
+            to: change.to ?? null
+        };
+    }
+
+    // Records typed changes from StreamerManager.diffStreamer
+    recordChanges(streamer, changes) {
+        if (!this.isInitialized) return;
+
+        const events = [];
+        changes.forEach(change => {
+            switch (change.type) {
+                case 'titleChanged':
+                case 'categoryChanged':
+                case 'channelStateChanged':
+                    events.push(this.createChangeEvent(change));
+                    break;
+                case 'streamRestarted':
+                    // A new stream start time means the old session is over
+                    events.push(this.createChangeEvent(change));
+                    this.restartStreamSession(streamer, change.timestamp);
+                    break;
+            }
+        });
+
+        if (events.length > 0) {
+            this.enqueueWrite('analytics', events);
         }
-        this.storage.set('streamHistory', historyObject);
+
+        // Status transitions and viewer samples
+        this.recordStreamerUpdate(streamer);
+    }
+
+    // Kick hands out a new stream start time whenever a broadcast drops and
+    // comes back, even after a few seconds. The old broadcast ended when it was
+    // last seen live, so the grace window decides whether this is a reconnect.
+    restartStreamSession(streamer, timestamp) {
+        const history = this.historyData.get(streamer.name);
+        const session = history?.currentSession;
+        const lastSeen = session && history.lastSeen >= session.startTime
+            ? Math.min(history.lastSeen, timestamp)
+            : timestamp;
+        const restartedAt = streamer.streamStartTime
+            ? Math.min(Math.max(streamer.streamStartTime, lastSeen), timestamp)
+            : timestamp;
+
+        const statusChange = {
+            timestamp: restartedAt,
+            live: true,
+            viewers: streamer.viewers || 0,
+            title: streamer.title || '',
+            category: streamer.category || null,
+            streamStartTime: streamer.streamStartTime || null
+        };
+
+        this.endStreamSession(streamer.name, { ...statusChange, timestamp: lastSeen, live: false });
+        this.startStreamSession(streamer.name, statusChange, 'restart');
     }
 
     recordStreamerUpdate(streamer) {
@@ -78,22 +264,12 @@ export class HistoryManager {
         // Get or create history for this streamer
         let history = this.historyData.get(streamerName);
         if (!history) {
-            history = {
-                sessions: [],
-                viewerHistory: [],
-                statusChanges: [],
-                lastSeen: null,
-                totalStreamTime: 0,
-                averageViewers: 0,
-                peakViewers: 0,
-                streamCount: 0
-            };
+            history = this.createSummary();
             this.historyData.set(streamerName, history);
         }
 
         // Record status change
-        const lastStatus = history.statusChanges.length > 0 ? 
-            history.statusChanges[history.statusChanges.length - 1] : null;
+        const lastStatus = history.lastStatus;
         
         if (!lastStatus || lastStatus.live !== streamer.live) {
             const statusChange = {
@@ -101,10 +277,12 @@ export class HistoryManager {
                 live: streamer.live,
                 viewers: streamer.viewers || 0,
                 title: streamer.title || '',
-                category: streamer.category || null
+                category: streamer.category || null,
+                streamStartTime: streamer.streamStartTime || null
             };
             
-            history.statusChanges.push(statusChange);
+            history.lastStatus = statusChange;
+            this.enqueueWrite('analytics', [this.createStatusEvent(streamerName, statusChange)]);
             
             // Handle session tracking
             if (streamer.live) {
@@ -127,17 +305,23 @@ export class HistoryManager {
             history.peakViewers = streamer.viewers;
         }
 
-        // Save data periodically
-        this.saveHistoryData();
+        this.scheduleSave();
         this.emit('historyUpdated', { streamerName, history });
     }
 
-    startStreamSession(streamerName, statusChange) {
+    startStreamSession(streamerName, statusChange, reason = 'offline') {
         const history = this.historyData.get(streamerName);
         if (!history) return;
 
+        // Reconnects continue the previous session instead of starting a new one
+        if (this.shouldMergeSession(history.lastSession, statusChange)) {
+            this.resumeStreamSession(history, statusChange, reason);
+            return;
+        }
+
         const session = {
             id: this.generateSessionId(),
+            streamerName,
             startTime: statusChange.timestamp,
             endTime: null,
             startViewers: statusChange.viewers,
@@ -149,26 +333,28 @@ export class HistoryManager {
                 timestamp: statusChange.timestamp,
                 viewers: statusChange.viewers
             }],
+            streamStartTime: statusChange.streamStartTime || null,
+            interruptions: [],
             duration: 0
         };
 
-        history.sessions.push(session);
+        history.currentSession = session;
+        history.lastSession = null;
+        history.previousPeakViewers = history.peakViewers;
         history.streamCount++;
+        this.enqueueWrite('streamHistory', [{ ...session }]);
     }
 
     endStreamSession(streamerName, statusChange) {
         const history = this.historyData.get(streamerName);
-        if (!history || history.sessions.length === 0) return;
+        if (!history || !history.currentSession) return;
 
-        const lastSession = history.sessions[history.sessions.length - 1];
+        const lastSession = history.currentSession;
         if (lastSession.endTime) return; // Session already ended
 
         lastSession.endTime = statusChange.timestamp;
         lastSession.endViewers = statusChange.viewers;
-        lastSession.duration = statusChange.timestamp - lastSession.startTime;
-
-        // Update total stream time
-        history.totalStreamTime += lastSession.duration;
+        lastSession.duration = this.getActiveDuration(lastSession);
 
         // Calculate average viewers for this session
         if (lastSession.viewerSamples.length > 0) {
@@ -176,8 +362,101 @@ export class HistoryManager {
             lastSession.averageViewers = Math.round(avgViewers);
         }
 
-        // Update overall average viewers
+        // Update totals and the overall average viewers
+        history.totalStreamTime += lastSession.duration;
+        history.totalViewerTime += (lastSession.averageViewers || 0) * lastSession.duration;
         this.updateAverageViewers(streamerName);
+
+        history.currentSession = null;
+        history.lastSession = lastSession;
+        this.enqueueWrite('streamHistory', [{ ...lastSession }]);
+    }
+
+    // Same Kick broadcast, or back within the grace window
+    shouldMergeSession(lastSession, statusChange) {
+        if (!lastSession || !lastSession.endTime) return false;
+
+        const sameBroadcast = lastSession.streamStartTime && statusChange.streamStartTime &&
+            lastSession.streamStartTime === statusChange.streamStartTime;
+        if (sameBroadcast) return true;
+
+        const graceMs = this.sessionGraceMinutes * MINUTE_MS;
+        return graceMs > 0 && statusChange.timestamp - lastSession.endTime <= graceMs;
+    }
+
+    resumeStreamSession(history, statusChange, reason) {
+        const session = history.lastSession;
+
+        // Take the ended session back out of the totals; they are re-added on end
+        history.totalStreamTime -= session.duration;
+        history.totalViewerTime -= (session.averageViewers || 0) * session.duration;
+        this.updateAverageViewers(session.streamerName);
+
+        session.interruptions = session.interruptions || [];
+        session.interruptions.push({
+            start: session.endTime,
+            end: statusChange.timestamp,
+            duration: statusChange.timestamp - session.endTime,
+            reason
+        });
+        session.endTime = null;
+        session.endViewers = null;
+        session.streamStartTime = statusChange.streamStartTime || session.streamStartTime || null;
+        session.viewerSamples.push({
+            timestamp: statusChange.timestamp,
+            viewers: statusChange.viewers
+        });
+        session.peakViewers = Math.max(session.peakViewers, statusChange.viewers);
+
+        history.currentSession = session;
+        history.lastSession = null;
+        this.enqueueWrite('streamHistory', [{ ...session }]);
+    }
+
+    // Live time, not counting interruptions
+    getActiveDuration(session) {
+        const end = session.endTime || Date.now();
+        const interrupted = (session.interruptions || [])
+            .reduce((sum, interruption) => sum + interruption.duration, 0);
+        return Math.max(0, end - session.startTime - interrupted);
+    }
+
+    // Called after every refresh; a long silence since the previous heartbeat
+    // means the monitor was closed, asleep or offline
+    recordHeartbeat(expectedIntervalMs = 0) {
+        const now = Date.now();
+        const threshold = Math.max(this.gapThresholdMinutes * MINUTE_MS, expectedIntervalMs * 3);
+
+        // Without auto-refresh there is no expected cadence to measure against
+        if (this.lastHeartbeat && expectedIntervalMs > 0 && now - this.lastHeartbeat > threshold) {
+            this.monitorGaps.push({
+                start: this.lastHeartbeat,
+                end: now,
+                duration: now - this.lastHeartbeat
+            });
+            this.storage.set('monitorGaps', this.monitorGaps);
+        }
+
+        this.lastHeartbeat = now;
+        this.storage.set('monitorHeartbeat', now);
+    }
+
+    getGapReport(days = 7, sessions = []) {
+        const cutoffTime = Date.now() - (days * DAY_MS);
+        const gaps = this.monitorGaps.filter(gap => gap.end >= cutoffTime);
+        const totalDowntime = gaps.reduce((sum, gap) => sum + gap.end - Math.max(gap.start, cutoffTime), 0);
+
+        // Sessions whose numbers may be incomplete because they overlap a gap
+        const affectedSessions = sessions.filter(session => gaps.some(gap =>
+            session.startTime < gap.end && (session.endTime || Date.now()) > gap.start
+        ));
+
+        return {
+            gaps,
+            totalDowntime,
+            coverage: Math.round((1 - totalDowntime / (days * DAY_MS)) * 100),
+            affectedSessions: affectedSessions.map(session => session.id)
+        };
     }
 
     recordViewerCount(streamerName, viewers, timestamp) {
@@ -185,67 +464,80 @@ export class HistoryManager {
         if (!history) return;
 
         // Add to viewer history (sample every 5 minutes)
-        const lastSample = history.viewerHistory.length > 0 ? 
-            history.viewerHistory[history.viewerHistory.length - 1] : null;
-        
-        if (!lastSample || timestamp - lastSample.timestamp >= 5 * 60 * 1000) {
-            history.viewerHistory.push({
-                timestamp,
-                viewers
-            });
+        if (!history.lastSampleTime || timestamp - history.lastSampleTime >= 5 * 60 * 1000) {
+            history.lastSampleTime = timestamp;
+            this.enqueueWrite('analytics', [this.createViewerEvent(streamerName, viewers, timestamp)]);
         }
 
         // Update current session
-        if (history.sessions.length > 0) {
-            const currentSession = history.sessions[history.sessions.length - 1];
-            if (!currentSession.endTime) {
-                // Add viewer sample to current session
-                const lastSessionSample = currentSession.viewerSamples.length > 0 ?
-                    currentSession.viewerSamples[currentSession.viewerSamples.length - 1] : null;
-                
-                if (!lastSessionSample || timestamp - lastSessionSample.timestamp >= 2 * 60 * 1000) {
-                    currentSession.viewerSamples.push({ timestamp, viewers });
-                }
+        const currentSession = history.currentSession;
+        if (currentSession && !currentSession.endTime) {
+            let changed = false;
 
-                // Update peak viewers for session
-                if (viewers > currentSession.peakViewers) {
-                    currentSession.peakViewers = viewers;
-                }
+            // Add viewer sample to current session
+            const lastSessionSample = currentSession.viewerSamples.length > 0 ?
+                currentSession.viewerSamples[currentSession.viewerSamples.length - 1] : null;
+            
+            if (!lastSessionSample || timestamp - lastSessionSample.timestamp >= 2 * 60 * 1000) {
+                currentSession.viewerSamples.push({ timestamp, viewers });
+                changed = true;
+            }
+
+            // Update peak viewers for session
+            if (viewers > currentSession.peakViewers) {
+                currentSession.peakViewers = viewers;
+                changed = true;
+            }
+
+            if (changed) {
+                this.enqueueWrite('streamHistory', [{ ...currentSession }]);
             }
         }
     }
 
     updateAverageViewers(streamerName) {
         const history = this.historyData.get(streamerName);
-        if (!history || history.sessions.length === 0) return;
+        if (!history) return;
 
-        const completedSessions = history.sessions.filter(s => s.endTime);
-        if (completedSessions.length === 0) return;
+        if (history.totalStreamTime > 0) {
+            history.averageViewers = Math.round(history.totalViewerTime / history.totalStreamTime);
+        }
+    }
 
-        const totalViewerTime = completedSessions.reduce((sum, session) => {
-            const sessionAvg = session.averageViewers || 0;
-            const sessionDuration = session.duration || 0;
-            return sum + (sessionAvg * sessionDuration);
-        }, 0);
+    // Indexed queries
+    async getSessions(streamerName, fromTime, toTime = Infinity) {
+        await this.flush();
+        return this.storage.queryRecords('streamHistory', 'streamer_time', [streamerName, fromTime], [streamerName, toTime]);
+    }
 
-        const totalDuration = completedSessions.reduce((sum, session) => sum + (session.duration || 0), 0);
-        
-        if (totalDuration > 0) {
-            history.averageViewers = Math.round(totalViewerTime / totalDuration);
-        }
+    async getAllSessions(fromTime, toTime = Infinity) {
+        await this.flush();
+        return this.storage.queryRecords('streamHistory', 'startTime', fromTime, toTime);
+    }
+
+    async getEvents(streamerName, fromTime, toTime = Infinity) {
+        await this.flush();
+        return this.storage.queryRecords('analytics', 'streamer_time', [streamerName, fromTime], [streamerName, toTime]);
+    }
+
+    async getAllEvents(fromTime, toTime = Infinity) {
+        await this.flush();
+        return this.storage.queryRecords('analytics', 'timestamp', fromTime, toTime);
     }
 
     // Analytics methods
-    getStreamerAnalytics(streamerName, days = 7) {
-        const history = this.historyData.get(streamerName);
-        if (!history) return null;
+    async getStreamerAnalytics(streamerName, days = 7) {
+        if (!this.historyData.has(streamerName)) return null;
 
-        const cutoffTime = Date.now() - (days * 24 * 60 * 60 * 1000);
+        const cutoffTime = Date.now() - (days * DAY_MS);
         
-        // Filter data to specified time range
-        const recentSessions = history.sessions.filter(s => s.startTime >= cutoffTime);
-        const recentViewerHistory = history.viewerHistory.filter(v => v.timestamp >= cutoffTime);
-        const recentStatusChanges = history.statusChanges.filter(s => s.timestamp >= cutoffTime);
+        // Query data for the specified time range
+        const recentSessions = await this.getSessions(streamerName, cutoffTime);
+        const recentEvents = await this.getEvents(streamerName, cutoffTime);
+        const recentViewerHistory = recentEvents.filter(e => e.type === 'viewers');
+        const recentStatusChanges = recentEvents.filter(e => e.type === 'status');
+        const recentChanges = recentEvents.filter(e => e.type === 'change');
+        const interruptions = recentSessions.flatMap(s => s.interruptions || []);
 
         // Calculate analytics
         const totalStreamTime = recentSessions.reduce((sum, s) => sum + (s.duration || 0), 0);
@@ -281,12 +573,17 @@ export class HistoryManager {
             categories,
             schedulePattern,
             recentSessions: recentSessions.slice(-10), // Last 10 sessions
+            recentChanges: recentChanges.slice(-10),
+            interruptionCount: interruptions.length,
+            interruptedTime: interruptions.reduce((sum, i) => sum + i.duration, 0),
             viewerChart: this.generateViewerChart(recentViewerHistory)
         };
     }
 
-    getOverallAnalytics(days = 7) {
-        const cutoffTime = Date.now() - (days * 24 * 60 * 60 * 1000);
+    async getOverallAnalytics(days = 7) {
+        const cutoffTime = Date.now() - (days * DAY_MS);
+        const sessions = await this.getAllSessions(cutoffTime);
+        const events = await this.getAllEvents(cutoffTime);
         const analytics = {
             totalStreamers: this.historyData.size,
             activeStreamers: 0,
@@ -308,49 +605,43 @@ export class HistoryManager {
         let totalViewerTime = 0;
         let totalDuration = 0;
 
-        for (const [streamerName, history] of this.historyData) {
-            const recentSessions = history.sessions.filter(s => s.startTime >= cutoffTime);
-            
-            if (recentSessions.length > 0) {
-                analytics.activeStreamers++;
-            }
+        analytics.activeStreamers = new Set(sessions.map(s => s.streamerName)).size;
+
+        for (const session of sessions) {
+            if (session.endTime) {
+                analytics.totalSessions++;
+                analytics.totalStreamTime += session.duration;
+                
+                if (session.peakViewers > analytics.peakViewers) {
+                    analytics.peakViewers = session.peakViewers;
+                }
+
+                // Category popularity
+                if (session.category) {
+                    const count = analytics.popularCategories.get(session.category) || 0;
+                    analytics.popularCategories.set(session.category, count + 1);
+                }
+
+                // Viewer distribution
+                const avgViewers = session.averageViewers || 0;
+                if (avgViewers <= 100) {
+                    analytics.viewerDistribution['0-100']++;
+                } else if (avgViewers <= 500) {
+                    analytics.viewerDistribution['100-500']++;
+                } else if (avgViewers <= 1000) {
+                    analytics.viewerDistribution['500-1000']++;
+                } else {
+                    analytics.viewerDistribution['1000+']++;
+                }
 
-            for (const session of recentSessions) {
-                if (session.endTime) {
-                    analytics.totalSessions++;
-                    analytics.totalStreamTime += session.duration;
-                    
-                    if (session.peakViewers > analytics.peakViewers) {
-                        analytics.peakViewers = session.peakViewers;
-                    }
-
-                    // Category popularity
-                    if (session.category) {
-                        const count = analytics.popularCategories.get(session.category) || 0;
-                        analytics.popularCategories.set(session.category, count + 1);
-                    }
-
-                    // Viewer distribution
-                    const avgViewers = session.averageViewers || 0;
-                    if (avgViewers <= 100) {
-                        analytics.viewerDistribution['0-100']++;
-                    } else if (avgViewers <= 500) {
-                        analytics.viewerDistribution['100-500']++;
-                    } else if (avgViewers <= 1000) {
-                        analytics.viewerDistribution['500-1000']++;
-                    } else {
-                        analytics.viewerDistribution['1000+']++;
-                    }
-
-                    // Streaming hours
-                    const startHour = new Date(session.startTime).getHours();
-                    analytics.streamingHours[startHour]++;
-
-                    // For average calculation
-                    if (session.averageViewers && session.duration) {
-                        totalViewerTime += session.averageViewers * session.duration;
-                        totalDuration += session.duration;
-                    }
+                // Streaming hours
+                const startHour = new Date(session.startTime).getHours();
+                analytics.streamingHours[startHour]++;
+
+                // For average calculation
+                if (session.averageViewers && session.duration) {
+                    totalViewerTime += session.averageViewers * session.duration;
+                    totalDuration += session.duration;
                 }
             }
         }
@@ -366,7 +657,8 @@ export class HistoryManager {
             .slice(0, 10);
 
         // Generate daily stats
-        analytics.dailyStats = this.generateDailyStats(days);
+        analytics.dailyStats = this.generateDailyStats(days, events);
+        analytics.monitorGaps = this.getGapReport(days, sessions);
 
         return analytics;
     }
@@ -469,36 +761,32 @@ export class HistoryManager {
         return chartData;
     }
 
-    generateDailyStats(days) {
+    generateDailyStats(days, events) {
         const dailyStats = [];
         const now = Date.now();
 
         for (let i = days - 1; i >= 0; i--) {
-            const dayStart = now - (i * 24 * 60 * 60 * 1000);
-            const dayEnd = dayStart + (24 * 60 * 60 * 1000);
+            const dayStart = now - (i * DAY_MS);
+            const dayEnd = dayStart + DAY_MS;
+            const dayEvents = events.filter(e => e.timestamp >= dayStart && e.timestamp < dayEnd);
             
-            let liveStreamers = 0;
-            let totalViewers = 0;
-            let streamStarts = 0;
-
-            for (const [streamerName, history] of this.historyData) {
-                // Count stream starts
-                const dayStarts = history.statusChanges.filter(s => 
-                    s.live && s.timestamp >= dayStart && s.timestamp < dayEnd
-                );
-                streamStarts += dayStarts.length;
-
-                // Sample viewer data for this day
-                const dayViewers = history.viewerHistory.filter(v => 
-                    v.timestamp >= dayStart && v.timestamp < dayEnd
-                );
-                
-                if (dayViewers.length > 0) {
-                    const avgViewers = dayViewers.reduce((sum, v) => sum + v.viewers, 0) / dayViewers.length;
-                    totalViewers += avgViewers;
-                    liveStreamers++;
+            // Count stream starts
+            const streamStarts = dayEvents.filter(e => e.type === 'status' && e.live).length;
+
+            // Average the viewer samples of each streamer seen this day
+            const viewersByStreamer = new Map();
+            dayEvents.filter(e => e.type === 'viewers').forEach(e => {
+                if (!viewersByStreamer.has(e.streamerName)) {
+                    viewersByStreamer.set(e.streamerName, []);
                 }
+                viewersByStreamer.get(e.streamerName).push(e.viewers);
+            });
+
+            let totalViewers = 0;
+            for (const samples of viewersByStreamer.values()) {
+                totalViewers += samples.reduce((sum, v) => sum + v, 0) / samples.length;
             }
+            const liveStreamers = viewersByStreamer.size;
 
             dailyStats.push({
                 date: new Date(dayStart).toISOString().split('T')[0],
@@ -517,39 +805,45 @@ export class HistoryManager {
         return history ? history.lastSeen : null;
     }
 
-    getStreamCount(streamerName, days = 7) {
+    // Peak viewers across sessions before the current one
+    getPreviousPeak(streamerName) {
         const history = this.historyData.get(streamerName);
         if (!history) return 0;
-
-        const cutoffTime = Date.now() - (days * 24 * 60 * 60 * 1000);
-        return history.sessions.filter(s => s.startTime >= cutoffTime && s.endTime).length;
+        return history.currentSession ? history.previousPeakViewers : history.peakViewers;
     }
 
-    getTotalStreamTime(streamerName, days = 7) {
+    getCurrentSessionId(streamerName) {
         const history = this.historyData.get(streamerName);
-        if (!history) return 0;
+        return history?.currentSession ? history.currentSession.id : null;
+    }
 
-        const cutoffTime = Date.now() - (days * 24 * 60 * 60 * 1000);
-        return history.sessions
-            .filter(s => s.startTime >= cutoffTime && s.endTime)
+    async getStreamCount(streamerName, days = 7) {
+        const cutoffTime = Date.now() - (days * DAY_MS);
+        const sessions = await this.getSessions(streamerName, cutoffTime);
+        return sessions.filter(s => s.endTime).length;
+    }
+
+    async getTotalStreamTime(streamerName, days = 7) {
+        const cutoffTime = Date.now() - (days * DAY_MS);
+        const sessions = await this.getSessions(streamerName, cutoffTime);
+        return sessions
+            .filter(s => s.endTime)
             .reduce((sum, s) => sum + s.duration, 0);
     }
 
-    cleanupOldData() {
-        const cutoffTime = Date.now() - (this.maxHistoryDays * 24 * 60 * 60 * 1000);
+    async cleanupOldData() {
+        const cutoffTime = Date.now() - (this.maxHistoryDays * DAY_MS);
 
-        for (const [streamerName, history] of this.historyData) {
-            // Clean up old sessions
-            history.sessions = history.sessions.filter(s => s.startTime >= cutoffTime);
-            
-            // Clean up old viewer history
-            history.viewerHistory = history.viewerHistory.filter(v => v.timestamp >= cutoffTime);
-            
-            // Clean up old status changes
-            history.statusChanges = history.statusChanges.filter(s => s.timestamp >= cutoffTime);
-        }
+        await this.flush();
 
-        this.saveHistoryData();
+        // Clean up old sessions, viewer samples and status changes
+        const sessions = await this.storage.deleteRecordsBefore('streamHistory', 'startTime', cutoffTime);
+        const events = await this.storage.deleteRecordsBefore('analytics', 'timestamp', cutoffTime);
+
+        this.monitorGaps = this.monitorGaps.filter(gap => gap.end >= cutoffTime);
+        this.storage.set('monitorGaps', this.monitorGaps);
+
+        return sessions + events;
     }
 
     generateSessionId() {
@@ -557,40 +851,43 @@ export class HistoryManager {
     }
 
     // Export/Import methods
-    exportHistory() {
-        const historyObject = {};
+    async exportHistory() {
+        await this.flush();
+
+        const summary = {};
         for (const [streamerName, history] of this.historyData) {
-            historyObject[streamerName] = history;
+            summary[streamerName] = history;
         }
-        return historyObject;
+
+        return {
+            sessions: await this.storage.getAllRecords('streamHistory'),
+            events: await this.storage.getAllRecords('analytics'),
+            summary
+        };
     }
 
-    importHistory(historyData) {
-        for (const [streamerName, history] of Object.entries(historyData)) {
-            this.historyData.set(streamerName, history);
+    async importHistory(historyData) {
+        await this.storage.putRecords('streamHistory', historyData.sessions || []);
+        await this.storage.putRecords('analytics', historyData.events || []);
+
+        for (const [streamerName, summary] of Object.entries(historyData.summary || {})) {
+            this.historyData.set(streamerName, this.createSummary(summary));
         }
         this.saveHistoryData();
     }
 
     // Statistics for debugging
-    getStats() {
-        let totalSessions = 0;
-        let totalViewerSamples = 0;
-        let totalStatusChanges = 0;
+    async getStats() {
+        await this.flush();
 
-        for (const [streamerName, history] of this.historyData) {
-            totalSessions += history.sessions.length;
-            totalViewerSamples += history.viewerHistory.length;
-            totalStatusChanges += history.statusChanges.length;
-        }
+        const events = await this.storage.getAllRecords('analytics');
 
         return {
             streamers: this.historyData.size,
-            totalSessions,
-            totalViewerSamples,
-            totalStatusChanges,
-            memoryUsage: JSON.stringify(this.exportHistory()).length
+            totalSessions: await this.storage.countRecords('streamHistory'),
+            totalViewerSamples: events.filter(e => e.type === 'viewers').length,
+            totalStatusChanges: events.filter(e => e.type === 'status').length,
+            usingIndexedDB: Boolean(this.storage.db)
         };
     }
 }
-
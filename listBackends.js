@@ -0,0 +1,441 @@
+// List Backends - Where the monitored streamer list lives
+//
+// Every backend loads and changes the same entries ({ platform, name }).
+// ListStore keeps an offline-first local copy on top of the selected backend:
+// changes apply locally right away and are queued until the backend accepts
+// them, so the list keeps working while the backend is unreachable.
+import { parseStreamerInput } from './platformProviders.js';
+import { ListAuthError, ListBackendError } from './listClient.js';
+
+export const DEFAULT_LIST_BACKEND = 'worker';
+
+export class ListBackend {
+    constructor({ id, label, writable }) {
+        this.id = id;
+        this.label = label;
+        this.writable = writable;
+    }
+
+    async load() {
+        throw new Error(`${this.id} list backend does not implement load`);
+    }
+
+    async add(entry) {
+        throw new ListBackendError(`${this.label} is read-only`, 405);
+    }
+
+    async remove(entry) {
+        throw new ListBackendError(`${this.label} is read-only`, 405);
+    }
+
+    async reorder(entries) {
+        throw new ListBackendError(`${this.label} is read-only`, 405);
+    }
+
+    async replaceAll(entries) {
+        throw new ListBackendError(`${this.label} is read-only`, 405);
+    }
+
+    async fetchJSON(url, options = {}) {
+        const response = await fetch(url, options);
+        if (!response.ok) {
+            throw new ListBackendError(`${this.label}: HTTP ${response.status}`, response.status);
+        }
+        return response.json();
+    }
+}
+
+// Read-only JSON file, e.g. a raw gist URL
+export class GistBackend extends ListBackend {
+    constructor(getConfig) {
+        super({ id: 'gist', label: 'Gist', writable: false });
+        this.config = getConfig;
+    }
+
+    async load() {
+        const list = await this.fetchJSON(`${this.config().streamersListUrl}?t=${Date.now()}`, {
+            headers: { 'Accept': 'application/json', 'Cache-Control': 'no-cache' }
+        });
+        return normalizeEntries(list);
+    }
+}
+
+// streamers.json in the repository, written through api/update.js. The API
+// has no token exchange, so its secret is asked for on the first change and
+// only kept in memory.
+export class GitHubFileBackend extends ListBackend {
+    constructor(getConfig, authPrompt = null) {
+        super({ id: 'github', label: 'GitHub file', writable: true });
+        this.config = getConfig;
+        this.authPrompt = authPrompt;
+        this.secret = null;
+    }
+
+    async getSecret() {
+        if (!this.secret) {
+            const secret = this.authPrompt ? await this.authPrompt() : null;
+            if (!secret) {
+                throw new ListAuthError('Enter the list secret to change the GitHub file', 401);
+            }
+            this.secret = secret;
+        }
+        return this.secret;
+    }
+
+    async load() {
+        const data = await this.fetchJSON(`${this.config().updateApiUrl}?t=${Date.now()}`, {
+            headers: { 'Accept': 'application/json' }
+        });
+        return normalizeEntries(data.streamers);
+    }
+
+    add(entry) {
+        return this.post({ action: 'add', ...entry });
+    }
+
+    remove(entry) {
+        return this.post({ action: 'remove', ...entry });
+    }
+
+    // The file keeps insertion order, so reordering rewrites it
+    reorder(entries) {
+        return this.replaceAll(entries);
+    }
+
+    replaceAll(entries) {
+        return this.post({ action: 'replace', list: entries });
+    }
+
+    async post(body) {
+        const response = await fetch(this.config().updateApiUrl, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${await this.getSecret()}`
+            },
+            body: JSON.stringify(body)
+        });
+        const data = await response.json().catch(() => ({}));
+        if (response.status === 401) {
+            this.secret = null;
+            throw new ListAuthError('Wrong list secret for the GitHub file', 401);
+        }
+        if (!response.ok) {
+            throw new ListBackendError(data.error || `${this.label}: HTTP ${response.status}`, response.status);
+        }
+        return data;
+    }
+}
+
+// The list worker, signed in through ListClient
+export class WorkerBackend extends ListBackend {
+    constructor(listClient) {
+        super({ id: 'worker', label: 'Worker', writable: true });
+        this.listClient = listClient;
+        this.config = {};
+    }
+
+    async load() {
+        const data = await this.listClient.fetchList();
+        // Signed-in clients also get platform keys with the list
+        this.config = data.config || {};
+        return normalizeEntries(Array.isArray(data) ? data : data.streamers);
+    }
+
+    add(entry) {
+        return this.listClient.add(entry.name, entry.platform);
+    }
+
+    remove(entry) {
+        return this.listClient.remove(entry.name, entry.platform);
+    }
+
+    reorder(entries) {
+        return this.listClient.reorder(entries);
+    }
+
+    replaceAll(entries) {
+        return this.listClient.replaceAll(entries);
+    }
+}
+
+// Only this browser; the local copy is the list
+export class LocalBackend extends ListBackend {
+    constructor(store) {
+        super({ id: 'local', label: 'This browser only', writable: true });
+        this.store = store;
+    }
+
+    async load() {
+        return normalizeEntries(this.store.get('localStreamerList') || []);
+    }
+
+    async add(entry) {
+        const list = await this.load();
+        if (!list.some(e => entryKey(e) === entryKey(entry))) {
+            this.store.set('localStreamerList', [...list, entry]);
+        }
+    }
+
+    async remove(entry) {
+        const list = await this.load();
+        this.store.set('localStreamerList', list.filter(e => entryKey(e) !== entryKey(entry)));
+    }
+
+    async reorder(entries) {
+        this.store.set('localStreamerList', entries);
+    }
+
+    async replaceAll(entries) {
+        this.store.set('localStreamerList', entries);
+    }
+}
+
+// The GitHub file asks for its secret through the list client's prompt
+export function createListBackends({ getConfig, listClient, store }) {
+    return new Map([
+        ['worker', new WorkerBackend(listClient)],
+        ['gist', new GistBackend(getConfig)],
+        ['github', new GitHubFileBackend(getConfig, () => listClient.authPrompt?.())],
+        ['local', new LocalBackend(store)]
+    ]);
+}
+
+// Offline-first list on top of one backend
+export class ListStore {
+    // store needs get(key), set(key, value) and remove(key)
+    constructor(store, backends, backendId = DEFAULT_LIST_BACKEND) {
+        this.store = store;
+        this.backends = backends;
+        this.backendId = backends.has(backendId) ? backendId : DEFAULT_LIST_BACKEND;
+        this.eventListeners = new Map();
+        this.flushing = null;
+    }
+
+    // Event system
+    on(event, callback) {
+        if (!this.eventListeners.has(event)) {
+            this.eventListeners.set(event, []);
+        }
+        this.eventListeners.get(event).push(callback);
+    }
+
+    emit(event, data) {
+        if (this.eventListeners.has(event)) {
+            this.eventListeners.get(event).forEach(callback => {
+                try {
+                    callback(data);
+                } catch (error) {
+                    console.error('List store event listener error:', error);
+                }
+            });
+        }
+    }
+
+    get backend() {
+        return this.backends.get(this.backendId);
+    }
+
+    getLocalCopy() {
+        return this.store.get('streamerList') || { entries: [], backendId: this.backendId, syncedAt: null };
+    }
+
+    getPending() {
+        return this.store.get('listPendingOps') || [];
+    }
+
+    getStatus() {
+        const copy = this.getLocalCopy();
+        return {
+            backendId: this.backendId,
+            label: this.backend.label,
+            writable: this.backend.writable,
+            syncedAt: copy.backendId === this.backendId ? copy.syncedAt : null,
+            pending: this.getPending().length
+        };
+    }
+
+    saveLocalCopy(entries, synced) {
+        const previous = this.getLocalCopy();
+        this.store.set('streamerList', {
+            entries,
+            backendId: this.backendId,
+            syncedAt: synced ? Date.now() : previous.syncedAt
+        });
+    }
+
+    // Remote list with pending changes replayed on top; the local copy when offline
+    async load() {
+        await this.flush();
+
+        try {
+            const remote = await this.backend.load();
+            const entries = this.getPending().reduce(applyOperation, remote);
+            this.saveLocalCopy(entries, true);
+            return entries;
+        } catch (error) {
+            // Queued changes were already applied to the local copy
+            console.error(`Failed to load list from ${this.backend.label}, using local copy:`, error);
+            return this.getLocalCopy().entries;
+        }
+    }
+
+    // Mutations apply locally first, then sync
+    add(entry) {
+        return this.mutate({ type: 'add', entry: normalizeEntry(entry) });
+    }
+
+    remove(entry) {
+        return this.mutate({ type: 'remove', entry: normalizeEntry(entry) });
+    }
+
+    reorder(entries) {
+        return this.mutate({ type: 'reorder', entries: normalizeEntries(entries) });
+    }
+
+    replaceAll(entries) {
+        return this.mutate({ type: 'replaceAll', entries: normalizeEntries(entries) });
+    }
+
+    async mutate(operation) {
+        if (!this.backend.writable) {
+            throw new ListBackendError(`${this.backend.label} is read-only, switch the list source in settings to make changes`, 405);
+        }
+
+        this.saveLocalCopy(applyOperation(this.getLocalCopy().entries, operation), false);
+        this.store.set('listPendingOps', [...this.getPending(), { ...operation, queuedAt: Date.now() }]);
+
+        await this.flush();
+        return this.getStatus();
+    }
+
+    // Replays queued changes in order. Stops at the first network or auth
+    // failure (kept for later); drops changes the backend rejects. Auth
+    // failures ask for the secret again on the next flush.
+    flush() {
+        if (!this.flushing) {
+            this.flushing = this.replayPending().finally(() => {
+                this.flushing = null;
+            });
+        }
+        return this.flushing;
+    }
+
+    async replayPending() {
+        // Re-read every round so changes queued meanwhile are picked up
+        let operation;
+        while ((operation = this.getPending()[0])) {
+            try {
+                await this.sendOperation(operation);
+            } catch (error) {
+                if (error instanceof ListAuthError) {
+                    this.emit('syncAuthRequired', { error, pending: this.getPending().length });
+                    return false;
+                }
+                if (isRetryable(error)) {
+                    this.emit('syncDeferred', { error, pending: this.getPending().length });
+                    return false;
+                }
+                console.error(`List change rejected by ${this.backend.label}:`, error);
+                this.emit('syncError', { error, operation });
+            }
+            this.store.set('listPendingOps', this.getPending().slice(1));
+        }
+
+        this.emit('synced', this.getStatus());
+        return true;
+    }
+
+    sendOperation(operation) {
+        switch (operation.type) {
+            case 'add':
+                return this.backend.add(operation.entry);
+            case 'remove':
+                return this.backend.remove(operation.entry);
+            case 'reorder':
+                return this.backend.reorder(operation.entries);
+            case 'replaceAll':
+                return this.backend.replaceAll(operation.entries);
+        }
+    }
+
+    // strategy: 'merge' (union, new backend's order first), 'push' (this list
+    // replaces the new backend's) or 'pull' (take the new backend's list)
+    async switchBackend(backendId, strategy = 'merge') {
+        const target = this.backends.get(backendId);
+        if (!target) {
+            throw new Error(`Unknown list backend: ${backendId}`);
+        }
+
+        // Changes not yet synced to the old backend are already in the local copy
+        const current = this.getLocalCopy().entries;
+        const remote = strategy === 'push' ? [] : await target.load();
+
+        let entries = remote;
+        if (strategy === 'push') {
+            entries = current;
+        } else if (strategy === 'merge') {
+            const known = new Set(remote.map(entryKey));
+            entries = [...remote, ...current.filter(entry => !known.has(entryKey(entry)))];
+        }
+
+        this.backendId = backendId;
+        this.store.set('listPendingOps', []);
+        this.saveLocalCopy(entries, strategy === 'pull');
+
+        if (strategy !== 'pull' && target.writable) {
+            this.store.set('listPendingOps', [{ type: 'replaceAll', entries, queuedAt: Date.now() }]);
+            await this.flush();
+        }
+
+        this.emit('backendChanged', this.getStatus());
+        return entries;
+    }
+}
+
+// Helpers
+export function entryKey(entry) {
+    return `${entry.platform}:${entry.name}`;
+}
+
+function normalizeEntry(entry) {
+    const { platform, name } = parseStreamerInput(entry);
+    return { platform, name };
+}
+
+function normalizeEntries(list) {
+    if (!Array.isArray(list)) return [];
+
+    const seen = new Set();
+    return list.map(normalizeEntry).filter(entry => {
+        if (!entry.name || seen.has(entryKey(entry))) return false;
+        seen.add(entryKey(entry));
+        return true;
+    });
+}
+
+function applyOperation(entries, operation) {
+    switch (operation.type) {
+        case 'add':
+            return entries.some(e => entryKey(e) === entryKey(operation.entry)) ? entries : [...entries, operation.entry];
+        case 'remove':
+            return entries.filter(e => entryKey(e) !== entryKey(operation.entry));
+        case 'reorder': {
+            const order = new Map(operation.entries.map((entry, index) => [entryKey(entry), index]));
+            return [...entries].sort((a, b) => (order.get(entryKey(a)) ?? Infinity) - (order.get(entryKey(b)) ?? Infinity));
+        }
+        case 'replaceAll':
+            return operation.entries;
+        default:
+            return entries;
+    }
+}
+
+// Network failures, rate limits and server errors are worth retrying later;
+// any other 4xx is a change the backend will never accept
+function isRetryable(error) {
+    const status = error.status || 0;
+    return error instanceof TypeError || status === 0 || status === 429 || status >= 500;
+}
+
+export { ListBackendError };
@@ -0,0 +1,179 @@
+// List Client - Authenticated changes to the shared streamer list
+//
+// The list worker trades a secret for a short-lived bearer token
+// ({ action: 'login', secret } -> { token, expiresAt }). Every mutation sends
+// that token; when it is missing or expired the client asks for the secret
+// again through the auth prompt. Nothing secret is stored except the token.
+const TOKEN_KEY = 'listAuth';
+const EXPIRY_MARGIN_MS = 30 * 1000;
+
+export class ListClient {
+    // store needs get(key), set(key, value) and remove(key)
+    constructor({ getBaseUrl, store, authPrompt = null }) {
+        this.getBaseUrl = getBaseUrl;
+        this.store = store;
+        this.authPrompt = authPrompt;
+        this.pendingLogin = null;
+    }
+
+    // Called with no arguments, resolves to the secret or null when cancelled
+    setAuthPrompt(authPrompt) {
+        this.authPrompt = authPrompt;
+    }
+
+    // Token handling
+    getToken(now = Date.now()) {
+        const auth = this.store.get(TOKEN_KEY);
+        if (!auth?.token || auth.expiresAt - EXPIRY_MARGIN_MS <= now) {
+            return null;
+        }
+        return auth.token;
+    }
+
+    getExpiry() {
+        return this.getToken() ? this.store.get(TOKEN_KEY).expiresAt : null;
+    }
+
+    isAuthenticated() {
+        return this.getToken() !== null;
+    }
+
+    getAuthHeaders() {
+        const token = this.getToken();
+        return token ? { 'Authorization': `Bearer ${token}` } : {};
+    }
+
+    async login(secret) {
+        const response = await fetch(this.getBaseUrl(), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ action: 'login', secret })
+        });
+
+        if (!response.ok) {
+            throw new ListAuthError(response.status === 401 ? 'Wrong secret' : `Login failed: ${response.status}`, response.status);
+        }
+
+        const { token, expiresAt } = await response.json();
+        if (!token || !expiresAt) {
+            throw new ListAuthError('Login response did not include a token', response.status);
+        }
+
+        this.store.set(TOKEN_KEY, { token, expiresAt });
+        return expiresAt;
+    }
+
+    logout() {
+        this.store.remove(TOKEN_KEY);
+    }
+
+    // Returns a valid token, prompting for the secret once if needed.
+    // Concurrent callers share the same prompt.
+    async authorize() {
+        const token = this.getToken();
+        if (token) return token;
+
+        if (!this.authPrompt) {
+            throw new ListAuthError('Sign in to change the streamer list', 401);
+        }
+
+        if (!this.pendingLogin) {
+            this.pendingLogin = (async () => {
+                const secret = await this.authPrompt();
+                if (!secret) {
+                    throw new ListAuthError('Sign-in cancelled', 401);
+                }
+                await this.login(secret);
+                return this.getToken();
+            })().finally(() => {
+                this.pendingLogin = null;
+            });
+        }
+
+        return this.pendingLogin;
+    }
+
+    // Reading the list works without a token; signed-in users also get config
+    async fetchList() {
+        const response = await fetch(`${this.getBaseUrl()}?t=${Date.now()}`, {
+            headers: { 'Accept': 'application/json', ...this.getAuthHeaders() }
+        });
+
+        if (!response.ok) {
+            throw new ListAuthError(`Failed to fetch streamer list: ${response.status}`, response.status);
+        }
+        return response.json();
+    }
+
+    // List mutations
+    add(name, platform) {
+        return this.send('add', { name, platform });
+    }
+
+    remove(name, platform) {
+        return this.send('remove', { name, platform });
+    }
+
+    // entries: [{ name, platform }] in the new order
+    reorder(entries) {
+        return this.send('reorder', { list: entries });
+    }
+
+    replaceAll(entries) {
+        return this.send('bulkReplace', { list: entries });
+    }
+
+    refreshTwitchToken() {
+        return this.send('refreshTwitchToken');
+    }
+
+    async send(action, payload = {}, isRetry = false) {
+        const token = await this.authorize();
+        const response = await fetch(this.getBaseUrl(), {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${token}`
+            },
+            body: JSON.stringify({ action, ...payload })
+        });
+
+        // The token was revoked or expired early; sign in again once
+        if (response.status === 401 && !isRetry) {
+            this.logout();
+            return this.send(action, payload, true);
+        }
+
+        const text = await response.text();
+        if (response.status === 401 || response.status === 403) {
+            throw new ListAuthError(text || 'Not allowed to change the streamer list', response.status);
+        }
+        // The status tells ListStore whether to keep the change for later
+        if (!response.ok) {
+            throw new ListBackendError(text || `List ${action} failed: ${response.status}`, response.status);
+        }
+
+        try {
+            return JSON.parse(text);
+        } catch {
+            return text;
+        }
+    }
+}
+
+export class ListAuthError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'ListAuthError';
+        this.status = status;
+    }
+}
+
+// A list source refused a request; status 0 means it could not be reached
+export class ListBackendError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'ListBackendError';
+        this.status = status;
+    }
+}
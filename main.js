@@ -1,10 +1,30 @@
 // Main Application Entry Point
 import { StreamerManager } from './services/streamerManager.js';
-import { FilterManager } from './services/filterManager.js';
+import { FilterManager, FACETS } from './services/filterManager.js';
 import { HistoryManager } from './services/historyManager.js';
 import { NotificationManager } from './services/notificationManager.js';
 import { UIManager } from './services/uiManager.js';
 import { StorageManager } from './services/storageManager.js';
+import { MilestoneDetector } from './services/milestoneDetector.js';
+import { PollScheduler, WATCHLIST_REFRESH_RANGE } from './services/pollScheduler.js';
+import { readUrlState, writeUrlState } from './services/urlState.js';
+import { highlightMatches } from './services/searchQuery.js';
+
+const POLL_TICK_MS = 5000;
+const LOCAL_API_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+// Facet panel, in display order. Facets without fixed values list what the
+// streamers have, most common first.
+const FACET_LABELS = {
+    status: { title: 'Status', values: { live: 'Live', offline: 'Offline', favorites: 'Favorites' } },
+    category: { title: 'Category' },
+    language: { title: 'Language' },
+    viewers: { title: 'Viewers', values: { '0-100': '0-100', '100-500': '100-500', '500-1000': '500-1K', '1000-5000': '1K-5K', '5000+': '5K+' } },
+    duration: { title: 'Live for', values: { '<1h': 'Under 1h', '1-4h': '1-4h', '4h+': 'Over 4h', offline: 'Not live' } },
+    tags: { title: 'Tags' },
+    mature: { title: 'Mature', values: { mature: 'Mature', 'not-mature': 'Not mature' } }
+};
+const FACET_OPTION_LIMIT = 12;
 
 class KickStreamersApp {
     constructor() {
@@ -12,13 +32,19 @@ class KickStreamersApp {
         this.refreshInterval = null;
         this.refreshCountdown = null;
         this.countdownTimer = null;
+        this.isPolling = false;
+        this.analyticsState = { days: 7, streamer: '' };
+        this.analyticsRefreshTimer = null;
+        this.restoringUrl = false;
         
         // Initialize managers
         this.storage = new StorageManager();
         this.streamerManager = new StreamerManager(this.storage);
         this.filterManager = new FilterManager();
         this.historyManager = new HistoryManager(this.storage);
-        this.notificationManager = new NotificationManager();
+        this.notificationManager = new NotificationManager(this.storage);
+        this.milestoneDetector = new MilestoneDetector(this.storage, this.historyManager);
+        this.pollScheduler = new PollScheduler(this.storage, this.historyManager);
         this.uiManager = new UIManager();
         
         // Bind methods
@@ -50,11 +76,14 @@ class KickStreamersApp {
             await this.loadInitialData();
             
             // Setup auto-refresh
-            this.setupAutoRefresh();
+            this.setupAutoRefresh(this.storage.get('refreshInterval', 60));
             
             // Mark as initialized
             this.isInitialized = true;
             
+            // Reflect the restored view in the address bar
+            this.syncUrlState({ replace: true });
+            
             console.log('Application initialized successfully');
             this.uiManager.showToast('Application loaded successfully', 'success');
             
@@ -66,19 +95,57 @@ class KickStreamersApp {
     }
 
     async initializeManagers() {
+        // Setup toast and modal containers
+        this.uiManager.init();
+        
         // Initialize storage
         await this.storage.init();
         
+        // ?api=http://localhost:8787 runs the app against the mock API server
+        const apiBase = this.getApiBaseOverride();
+        if (apiBase) {
+            this.streamerManager.useApiBase(apiBase);
+            console.log(`Using API base ${apiBase}`);
+        }
+        
+        // Changes to the shared list ask for the list secret when signed out
+        this.streamerManager.listClient.setAuthPrompt(() => this.uiManager.showInputDialog(
+            'Enter the list secret to change the shared streamer list',
+            { title: 'Sign in', type: 'password', submitText: 'Sign in' }
+        ));
+        
         // Initialize notification manager
         await this.notificationManager.init();
         
         // Initialize history manager
         await this.historyManager.init();
         
+        // Initialize milestone detection
+        this.milestoneDetector.init();
+        this.milestoneDetector.setSettings(this.notificationManager.getSettings().milestones);
+        
         // Setup manager event listeners
         this.setupManagerEvents();
     }
 
+    // Keys, tokens and list secrets go to the API base, so a link may only
+    // point it at this machine. It is never saved.
+    getApiBaseOverride() {
+        const apiBase = new URLSearchParams(window.location.search).get('api');
+        if (!apiBase) return null;
+        
+        try {
+            const { protocol, hostname } = new URL(apiBase);
+            if (/^https?:$/.test(protocol) && LOCAL_API_HOSTS.includes(hostname)) {
+                return apiBase;
+            }
+        } catch (error) {
+            // Not a URL
+        }
+        console.warn(`Ignoring ?api=${apiBase}: only localhost API servers can be used from a link`);
+        return null;
+    }
+
     setupManagerEvents() {
         // Streamer manager events
         this.streamerManager.on('streamersLoaded', (streamers) => {
@@ -89,6 +156,26 @@ class KickStreamersApp {
             this.handleStreamerUpdated(streamer);
         });
         
+        this.streamerManager.on('streamerChanged', ({ streamer, changes }) => {
+            this.handleStreamerChanged(streamer, changes);
+        });
+        
+        this.streamerManager.on('circuitOpened', ({ host, retryIn }) => {
+            this.uiManager.showToast(`Too many failures from ${host}, pausing requests for ${Math.ceil(retryIn / 1000)}s`, 'warning');
+        });
+        
+        this.streamerManager.on('listSyncDeferred', (pending) => {
+            this.uiManager.showToast(`List saved locally, ${pending} change${pending === 1 ? '' : 's'} will sync when the list source is reachable`, 'info');
+        });
+        
+        this.streamerManager.on('listSyncAuthRequired', ({ error, pending }) => {
+            this.uiManager.showToast(`${error.message}. ${pending} list change${pending === 1 ? '' : 's'} will sync after you sign in`, 'warning');
+        });
+        
+        this.streamerManager.on('listSyncError', (error) => {
+            this.uiManager.showToast(`List change rejected: ${error.message}`, 'error');
+        });
+        
         this.streamerManager.on('error', (error) => {
             this.uiManager.showToast(`Error: ${error.message}`, 'error');
         });
@@ -97,6 +184,25 @@ class KickStreamersApp {
         this.filterManager.on('filtersChanged', (filters) => {
             this.applyFilters();
             this.updateStats();
+            this.syncPresetBar();
+            this.syncUrlState();
+        });
+        
+        // Storage events
+        this.storage.on('watchlistsChanged', () => {
+            this.syncWatchlists();
+        });
+        
+        this.storage.on('favoritesChanged', ({ favorites }) => {
+            this.filterManager.setFavorites(favorites);
+        });
+        
+        this.storage.on('savedQueriesChanged', () => {
+            this.renderSavedQueries();
+        });
+        
+        this.storage.on('filterPresetsChanged', () => {
+            this.renderPresets();
         });
         
         // History manager events
@@ -108,6 +214,15 @@ class KickStreamersApp {
         this.notificationManager.on('notificationSent', (notification) => {
             console.log('Notification sent:', notification);
         });
+        
+        this.notificationManager.on('settingsUpdated', (settings) => {
+            this.milestoneDetector.setSettings(settings.milestones);
+        });
+        
+        // Milestone events
+        this.milestoneDetector.on('milestone', ({ streamer, milestone }) => {
+            this.notificationManager.sendMilestoneNotification(streamer, milestone);
+        });
     }
 
     setupEventListeners() {
@@ -117,6 +232,7 @@ class KickStreamersApp {
         
         if (searchInput) {
             searchInput.addEventListener('input', this.debounce(this.handleSearch, 300));
+            searchInput.addEventListener('input', () => this.updateSearchSuggestions());
             searchInput.addEventListener('keydown', (e) => {
                 if (e.key === 'Enter') {
                     e.preventDefault();
@@ -190,6 +306,76 @@ class KickStreamersApp {
             });
         }
         
+        // Facets
+        const facetPanel = document.getElementById('facet-panel');
+        if (facetPanel) {
+            facetPanel.addEventListener('change', (e) => {
+                const { facet } = e.target.dataset;
+                if (facet) {
+                    this.toggleFacetValue(facet, e.target.value);
+                }
+            });
+            
+            facetPanel.addEventListener('click', (e) => {
+                const facet = e.target.dataset.facetClear;
+                if (facet) {
+                    this.clearFacet(facet);
+                }
+            });
+        }
+        
+        // Watchlists
+        const watchlistSelect = document.getElementById('watchlist-select');
+        if (watchlistSelect) {
+            watchlistSelect.addEventListener('change', (e) => {
+                this.switchWatchlist(e.target.value);
+            });
+        }
+        
+        const manageWatchlistsBtn = document.getElementById('manage-watchlists-btn');
+        if (manageWatchlistsBtn) {
+            manageWatchlistsBtn.addEventListener('click', () => this.showWatchlistManager());
+        }
+        
+        // Saved searches
+        const savedQuerySelect = document.getElementById('saved-query-select');
+        const saveQueryBtn = document.getElementById('save-query-btn');
+        const deleteQueryBtn = document.getElementById('delete-query-btn');
+        
+        if (savedQuerySelect) {
+            savedQuerySelect.addEventListener('change', (e) => this.loadSavedQuery(e.target.value));
+        }
+        
+        if (saveQueryBtn) {
+            saveQueryBtn.addEventListener('click', () => this.saveCurrentQuery());
+        }
+        
+        if (deleteQueryBtn) {
+            deleteQueryBtn.addEventListener('click', () => this.deleteSavedQuery());
+        }
+        
+        // Filter presets
+        const presetList = document.getElementById('preset-list');
+        const savePresetBtn = document.getElementById('save-preset-btn');
+        const managePresetsBtn = document.getElementById('manage-presets-btn');
+        
+        if (presetList) {
+            presetList.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-preset-id]');
+                if (button) {
+                    this.applyPreset(button.dataset.presetId);
+                }
+            });
+        }
+        
+        if (savePresetBtn) {
+            savePresetBtn.addEventListener('click', () => this.saveCurrentPreset());
+        }
+        
+        if (managePresetsBtn) {
+            managePresetsBtn.addEventListener('click', () => this.showPresetManager());
+        }
+        
         // View controls
         const gridViewBtn = document.getElementById('grid-view');
         const listViewBtn = document.getElementById('list-view');
@@ -242,6 +428,9 @@ class KickStreamersApp {
             }
         });
         
+        // Back and forward restore the view from the URL
+        window.addEventListener('popstate', () => this.restoreUrlState());
+        
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
             if (e.ctrlKey || e.metaKey) {
@@ -276,12 +465,23 @@ class KickStreamersApp {
             
             // Load saved filters
             const savedFilters = this.storage.get('filters', {});
-            this.filterManager.setFilters(savedFilters);
+            this.filterManager.setFilters({ ...savedFilters, watchlist: this.storage.getActiveWatchlistId() });
+            
+            // Load watchlists, favorites, saved searches and presets
+            this.syncWatchlists();
+            this.filterManager.setFavorites(this.storage.getFavorites());
+            this.renderSavedQueries();
+            this.renderPresets();
+            this.syncFilterControls();
+            this.showSearchErrors();
             
             // Load saved view mode
             const savedView = this.storage.get('viewMode', 'grid');
             this.handleViewChange(savedView);
             
+            // A shared link wins over the saved view
+            this.restoreUrlState({ initial: true });
+            
             // Load saved refresh interval
             const savedInterval = this.storage.get('refreshInterval', 60);
             document.getElementById('refresh-interval').value = savedInterval;
@@ -308,7 +508,8 @@ class KickStreamersApp {
         }
         
         try {
-            await this.streamerManager.refreshStreamers();
+            const streamers = await this.streamerManager.refreshStreamers();
+            this.pollScheduler.markPolled(streamers.map(s => s.name));
             this.updateLastUpdatedTime();
             this.uiManager.showToast('Streamers refreshed', 'success');
         } catch (error) {
@@ -327,6 +528,8 @@ class KickStreamersApp {
         
         this.filterManager.setFilter('search', query);
         this.applyFilters();
+        this.showSearchErrors();
+        this.syncSavedQueryControls();
         
         // Update clear button visibility
         const clearBtn = document.getElementById('clear-search');
@@ -335,6 +538,299 @@ class KickStreamersApp {
         }
     }
 
+    // Invalid terms are skipped, so say which ones
+    showSearchErrors() {
+        const errors = this.filterManager.getSearchErrors();
+        const searchInput = document.getElementById('search-input');
+        const errorList = document.getElementById('search-errors');
+        
+        if (searchInput) {
+            searchInput.classList.toggle('invalid', errors.length > 0);
+        }
+        if (errorList) {
+            errorList.innerHTML = errors.map(error => `
+                <li><code>${this.escapeHTML(error.token)}</code> ${this.escapeHTML(error.message)}</li>
+            `).join('');
+        }
+    }
+
+    updateSearchSuggestions() {
+        const searchInput = document.getElementById('search-input');
+        const datalist = document.getElementById('search-suggestions');
+        if (!searchInput || !datalist) return;
+        
+        const suggestions = this.filterManager.getSearchSuggestions(
+            searchInput.value,
+            searchInput.selectionStart ?? searchInput.value.length,
+            this.streamerManager.getStreamers()
+        );
+        datalist.replaceChildren(...suggestions.map(suggestion => new Option(suggestion)));
+    }
+
+    renderSavedQueries() {
+        const select = document.getElementById('saved-query-select');
+        if (!select) return;
+        
+        const options = this.storage.getSavedQueries().map(saved => {
+            const option = new Option(saved.name, saved.name);
+            option.title = saved.query;
+            return option;
+        });
+        select.replaceChildren(new Option('Saved searches…', ''), ...options);
+        this.syncSavedQueryControls();
+    }
+
+    // Shows the saved search matching the search box, if any
+    syncSavedQueryControls() {
+        const search = this.filterManager.getFilter('search');
+        const saved = this.storage.getSavedQueries().find(entry => entry.query === search);
+        
+        const select = document.getElementById('saved-query-select');
+        if (select) {
+            select.value = saved ? saved.name : '';
+        }
+        
+        const deleteBtn = document.getElementById('delete-query-btn');
+        if (deleteBtn) {
+            deleteBtn.disabled = !saved;
+        }
+    }
+
+    loadSavedQuery(name) {
+        const saved = this.storage.getSavedQueries().find(entry => entry.name === name);
+        const searchInput = document.getElementById('search-input');
+        if (!saved || !searchInput) return;
+        
+        searchInput.value = saved.query;
+        this.handleSearch();
+    }
+
+    async saveCurrentQuery() {
+        const query = this.filterManager.getFilter('search');
+        if (!query) {
+            this.uiManager.showToast('Type a search to save first', 'warning');
+            return;
+        }
+        
+        const name = await this.uiManager.showInputDialog(`Save "${query}" as`, {
+            title: 'Save search',
+            placeholder: 'e.g. Spanish slots',
+            submitText: 'Save',
+            required: true
+        });
+        if (!name) return;
+        
+        this.storage.saveQuery(name, query);
+        this.uiManager.showToast(`Saved search "${name}"`, 'success');
+    }
+
+    deleteSavedQuery() {
+        const select = document.getElementById('saved-query-select');
+        const name = select?.value;
+        if (!name) return;
+        
+        this.storage.removeSavedQuery(name);
+        this.uiManager.showToast(`Deleted saved search "${name}"`, 'info');
+    }
+
+    renderPresets() {
+        const list = document.getElementById('preset-list');
+        if (list) {
+            list.replaceChildren(...this.storage.getFilterPresets().map(preset => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'filter-btn';
+                button.dataset.presetId = preset.id;
+                button.textContent = preset.name;
+                button.title = this.getPresetSummary(preset);
+                return button;
+            }));
+            this.syncPresetBar();
+        }
+        
+        this.uiManager.updateModalContent('filter-presets', this.getPresetManagerHTML());
+    }
+
+    // Highlights the presets the current view matches
+    syncPresetBar() {
+        const viewMode = this.storage.get('viewMode', 'grid');
+        
+        document.querySelectorAll('#preset-list [data-preset-id]').forEach(button => {
+            const preset = this.storage.getFilterPreset(button.dataset.presetId);
+            const active = Boolean(preset) && this.filterManager.matchesPreset(preset) &&
+                (!preset.viewMode || preset.viewMode === viewMode);
+            button.classList.toggle('active', active);
+            button.setAttribute('aria-pressed', String(active));
+        });
+    }
+
+    getPresetSummary(preset) {
+        const { status, viewers, category, language, duration, search } = preset.filters;
+        const parts = [];
+        
+        if (status && status !== 'all') parts.push(status);
+        if (viewers && viewers !== 'all') parts.push(`${viewers} viewers`);
+        if (category && category !== 'all') parts.push(category);
+        if (language && language !== 'all') parts.push(language);
+        if (duration && duration !== 'all') parts.push(`live ${duration}`);
+        if (search) parts.push(`"${search}"`);
+        if (preset.sortBy) parts.push(`sorted by ${preset.sortBy} ${preset.sortDirection === 'asc' ? '↑' : '↓'}`);
+        if (preset.viewMode) parts.push(`${preset.viewMode} view`);
+        
+        return parts.join(' · ') || 'All streamers';
+    }
+
+    applyPreset(id) {
+        const preset = this.storage.getFilterPreset(id);
+        if (!preset) return;
+        
+        const errors = this.filterManager.applyPreset(preset);
+        if (errors.length > 0) {
+            this.uiManager.showToast(`Preset "${preset.name}" has outdated settings: ${errors.join(', ')}`, 'warning');
+        }
+        if (preset.viewMode) {
+            this.handleViewChange(preset.viewMode);
+        }
+        
+        this.syncFilterControls();
+        this.handleSearch();
+        this.storage.set('filters', this.filterManager.getFilters());
+        this.storage.set('sortBy', this.filterManager.getSortBy());
+    }
+
+    getCurrentPresetState() {
+        return {
+            ...this.filterManager.capturePreset(),
+            viewMode: this.storage.get('viewMode', 'grid')
+        };
+    }
+
+    async saveCurrentPreset() {
+        const name = await this.uiManager.showInputDialog('Save the current filters, search, sort and view as', {
+            title: 'New preset',
+            placeholder: 'e.g. Big Spanish streams',
+            submitText: 'Save',
+            required: true
+        });
+        if (!name) return;
+        
+        const preset = this.storage.createFilterPreset(name, this.getCurrentPresetState());
+        this.uiManager.showToast(`Saved preset "${preset.name}"`, 'success');
+    }
+
+    getPresetManagerHTML() {
+        const presets = this.storage.getFilterPresets();
+        
+        return `
+            <div class="settings-form">
+                ${presets.length === 0 ? '<p class="analytics-empty">No presets yet. Set up filters, sort and view, then save them as a preset.</p>' : `
+                    <ul class="watchlist-list">
+                        ${presets.map((preset, index) => `
+                            <li class="watchlist-item">
+                                <span class="watchlist-name">${this.escapeHTML(preset.name)}</span>
+                                <span class="watchlist-meta">${this.escapeHTML(this.getPresetSummary(preset))}</span>
+                                <button type="button" class="sort-direction-btn" data-action="move-preset" data-id="${preset.id}" data-to="${index - 1}" aria-label="Move up" title="Move up" ${index === 0 ? 'disabled' : ''}>↑</button>
+                                <button type="button" class="sort-direction-btn" data-action="move-preset" data-id="${preset.id}" data-to="${index + 1}" aria-label="Move down" title="Move down" ${index === presets.length - 1 ? 'disabled' : ''}>↓</button>
+                                <button type="button" class="btn btn-secondary" data-action="rename-preset" data-id="${preset.id}">Rename</button>
+                                <button type="button" class="btn btn-secondary" data-action="overwrite-preset" data-id="${preset.id}" title="Replace with the current filters, sort and view">Update</button>
+                                <button type="button" class="btn btn-secondary" data-action="export-preset" data-id="${preset.id}">Share</button>
+                                <button type="button" class="btn btn-secondary" data-action="delete-preset" data-id="${preset.id}">Delete</button>
+                            </li>
+                        `).join('')}
+                    </ul>
+                `}
+                <div class="settings-row inline">
+                    <button type="button" class="btn btn-primary" data-action="create-preset">Save current view</button>
+                    <label class="btn btn-secondary">
+                        Import preset
+                        <input type="file" accept="application/json,.json" data-action="import-preset" hidden>
+                    </label>
+                </div>
+            </div>
+        `;
+    }
+
+    showPresetManager() {
+        const modal = this.uiManager.showModal('filter-presets', this.getPresetManagerHTML(), {
+            title: 'Filter presets',
+            size: 'medium'
+        });
+
+        modal.element.addEventListener('click', async (e) => {
+            const { action, id, to } = e.target.dataset;
+            const preset = id ? this.storage.getFilterPreset(id) : null;
+
+            if (action === 'create-preset') {
+                e.preventDefault();
+                this.saveCurrentPreset();
+            } else if (action === 'move-preset' && preset) {
+                e.preventDefault();
+                this.storage.moveFilterPreset(preset.id, Number(to));
+            } else if (action === 'rename-preset' && preset) {
+                e.preventDefault();
+                const name = await this.uiManager.showInputDialog(`Rename "${preset.name}" to`, {
+                    title: 'Rename preset',
+                    defaultValue: preset.name,
+                    submitText: 'Rename',
+                    required: true
+                });
+                if (name) {
+                    this.storage.updateFilterPreset(preset.id, { name });
+                }
+            } else if (action === 'overwrite-preset' && preset) {
+                e.preventDefault();
+                this.storage.updateFilterPreset(preset.id, this.getCurrentPresetState());
+                this.uiManager.showToast(`Updated preset "${preset.name}"`, 'success');
+            } else if (action === 'export-preset' && preset) {
+                e.preventDefault();
+                this.exportPreset(preset);
+            } else if (action === 'delete-preset' && preset) {
+                e.preventDefault();
+                const confirmed = await this.uiManager.showConfirmDialog(
+                    `Delete the preset "${preset.name}"?`,
+                    { title: 'Delete preset', confirmText: 'Delete' }
+                );
+                if (confirmed) {
+                    this.storage.deleteFilterPreset(preset.id);
+                }
+            }
+        });
+
+        modal.element.addEventListener('change', (e) => {
+            if (e.target.dataset.action === 'import-preset') {
+                this.importPreset(e.target);
+            }
+        });
+    }
+
+    exportPreset(preset) {
+        const data = this.storage.exportFilterPreset(preset.id);
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const slug = preset.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'preset';
+
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `preset-${slug}.json`;
+        a.click();
+
+        URL.revokeObjectURL(url);
+    }
+
+    async importPreset(input) {
+        const file = input.files[0];
+        input.value = '';
+        if (!file) return;
+
+        try {
+            const preset = this.storage.importFilterPreset(JSON.parse(await file.text()));
+            this.uiManager.showToast(`Imported preset "${preset.name}"`, 'success');
+        } catch (error) {
+            console.error('Failed to import preset:', error);
+            this.uiManager.showToast(`Failed to import preset: ${error.message}`, 'error');
+        }
+    }
+
     async handleAddStreamer() {
         const addInput = document.getElementById('add-streamer-input');
         const streamerName = addInput?.value.trim();
@@ -390,6 +886,8 @@ class KickStreamersApp {
         
         // Save view mode
         this.storage.set('viewMode', viewMode);
+        this.syncPresetBar();
+        this.syncUrlState();
     }
 
     handleThemeToggle() {
@@ -404,10 +902,11 @@ class KickStreamersApp {
 
     updateFilterUI(type, value) {
         if (type === 'status') {
-            // Update filter buttons
-            const filterButtons = document.querySelectorAll('.filter-btn');
+            // Update filter buttons; the facet panel can select several
+            const values = [].concat(value);
+            const filterButtons = document.querySelectorAll('.filter-btn[data-filter]');
             filterButtons.forEach(btn => {
-                btn.classList.toggle('active', btn.dataset.filter === value);
+                btn.classList.toggle('active', values.includes(btn.dataset.filter));
             });
         }
     }
@@ -421,10 +920,187 @@ class KickStreamersApp {
         }
     }
 
+    // Shows the filter manager's current state in the toolbar
+    syncFilterControls() {
+        const filters = this.filterManager.getFilters();
+        const values = {
+            'search-input': filters.search,
+            'viewer-range': filters.viewers,
+            'category-filter': filters.category,
+            'sort-select': this.filterManager.getSortBy(),
+            'watchlist-select': filters.watchlist
+        };
+
+        Object.entries(values).forEach(([id, value]) => {
+            const element = document.getElementById(id);
+            if (element) {
+                // Several facet values have no single dropdown option
+                element.value = Array.isArray(value) ? '' : value;
+            }
+        });
+
+        this.updateFilterUI('status', filters.status);
+        this.updateSortDirectionUI();
+    }
+
+    getUrlState() {
+        const { watchlist, ...filters } = this.filterManager.getFilters();
+        
+        return {
+            ...filters,
+            sortBy: this.filterManager.getSortBy(),
+            sortDirection: this.filterManager.getSortDirection(),
+            viewMode: this.storage.get('viewMode', 'grid'),
+            // Names, not ids, so the link works in other browsers
+            list: this.storage.getWatchlist(watchlist)?.name,
+            streamer: this.uiManager.modals.has('analytics') ? this.analyticsState.streamer : ''
+        };
+    }
+
+    syncUrlState({ replace = false } = {}) {
+        if (!this.isInitialized || this.restoringUrl) return;
+        
+        writeUrlState(this.getUrlState(), {
+            defaults: { ...this.filterManager.getDefaultFilters(), sortBy: 'status', sortDirection: 'desc', viewMode: 'grid' },
+            replace
+        });
+    }
+
+    // A link describes the whole view, so anything it leaves out goes back to
+    // its default. On first load a URL without view params keeps the saved view.
+    restoreUrlState({ initial = false } = {}) {
+        const urlState = readUrlState();
+        if (initial && Object.keys(urlState).length === 0) return;
+        
+        const { list, streamer, viewMode, sortBy, sortDirection, ...filters } = urlState;
+        const errors = [];
+        
+        // Several values of a facet come comma separated
+        Object.keys(FACETS).forEach(facet => {
+            if (filters[facet]?.includes(',')) {
+                filters[facet] = filters[facet].split(',').filter(Boolean);
+            }
+        });
+        this.restoringUrl = true;
+        
+        try {
+            let watchlistId = 'all';
+            if (list) {
+                const watchlist = this.storage.getWatchlists().find(w => w.name.toLowerCase() === list.toLowerCase());
+                if (watchlist) {
+                    watchlistId = watchlist.id;
+                } else {
+                    errors.push(`Unknown list: ${list}`);
+                }
+            }
+            if (this.storage.getActiveWatchlistId() !== watchlistId) {
+                this.storage.setActiveWatchlistId(watchlistId);
+            }
+            
+            this.filterManager.importFilters({
+                filters: { ...this.filterManager.getDefaultFilters(), ...filters, watchlist: watchlistId },
+                sortBy: sortBy || 'status',
+                sortDirection: sortDirection || 'desc'
+            });
+            errors.push(...this.filterManager.validateFilters());
+            
+            if (viewMode && !['grid', 'list'].includes(viewMode)) {
+                errors.push(`Invalid view mode: ${viewMode}`);
+            }
+            this.handleViewChange(viewMode === 'list' ? 'list' : 'grid');
+            
+            this.syncFilterControls();
+            this.handleSearch();
+            this.storage.set('filters', this.filterManager.getFilters());
+            this.storage.set('sortBy', this.filterManager.getSortBy());
+            
+            if (streamer && this.streamerManager.getStreamer(streamer)) {
+                this.showAnalytics(streamer.toLowerCase());
+            } else {
+                if (streamer) {
+                    errors.push(`Unknown streamer: ${streamer}`);
+                }
+                this.uiManager.closeModal('analytics');
+            }
+        } finally {
+            this.restoringUrl = false;
+        }
+        
+        if (errors.length > 0) {
+            this.uiManager.showToast(`Ignored parts of the link: ${errors.join(', ')}`, 'warning');
+            // Drop what was ignored from the address bar
+            this.syncUrlState({ replace: true });
+        }
+    }
+
     applyFilters() {
         const streamers = this.streamerManager.getStreamers();
         const filteredStreamers = this.filterManager.applyFilters(streamers);
         this.renderStreamers(filteredStreamers);
+        this.renderFacets(streamers);
+    }
+
+    renderFacets(streamers) {
+        const panel = document.getElementById('facet-panel');
+        if (!panel) return;
+        
+        const counts = this.filterManager.getFacetCounts(streamers);
+        const attr = (value) => this.escapeHTML(value).replace(/"/g, '&quot;');
+        
+        // Keep keyboard focus on the same option across re-renders
+        const focused = panel.contains(document.activeElement) ? document.activeElement : null;
+        const focusKey = focused?.dataset.facet ? `${focused.dataset.facet}:${focused.value}` : null;
+        
+        panel.innerHTML = Object.entries(FACET_LABELS).map(([facet, { title, values }]) => {
+            const selected = this.filterManager.getFilterValues(facet) || [];
+            const facetCounts = counts[facet] || {};
+            
+            let options = values ? Object.keys(values) : Object.keys(facetCounts)
+                .filter(value => facetCounts[value] > 0 || selected.includes(value))
+                .sort((a, b) => facetCounts[b] - facetCounts[a] || a.localeCompare(b))
+                .filter((value, i) => i < FACET_OPTION_LIMIT || selected.includes(value));
+            // Selected values no streamer has right now, e.g. from a link
+            options = [...options, ...selected.filter(value => !options.includes(value))];
+            
+            if (options.length === 0) return '';
+            
+            return `
+                <fieldset class="facet-group">
+                    <legend>
+                        ${title}
+                        ${selected.length > 0 ? `<button type="button" class="facet-clear" data-facet-clear="${facet}">Clear</button>` : ''}
+                    </legend>
+                    ${options.map(value => {
+                        const count = facetCounts[value] || 0;
+                        return `
+                            <label class="facet-option ${count === 0 ? 'empty' : ''}">
+                                <input type="checkbox" data-facet="${facet}" value="${attr(value)}" ${selected.includes(value) ? 'checked' : ''}>
+                                <span class="facet-label">${this.escapeHTML(values?.[value] || value)}</span>
+                                <span class="facet-count">${count}</span>
+                            </label>
+                        `;
+                    }).join('')}
+                </fieldset>
+            `;
+        }).join('');
+        
+        if (focusKey) {
+            const input = Array.from(panel.querySelectorAll('input[data-facet]'))
+                .find(el => `${el.dataset.facet}:${el.value}` === focusKey);
+            input?.focus();
+        }
+    }
+
+    toggleFacetValue(facet, value) {
+        this.filterManager.toggleFilterValue(facet, value);
+        this.syncFilterControls();
+        this.storage.set('filters', this.filterManager.getFilters());
+    }
+
+    clearFacet(facet) {
+        this.filterManager.setFilter(facet, 'all');
+        this.syncFilterControls();
+        this.storage.set('filters', this.filterManager.getFilters());
     }
 
     renderStreamers(streamers) {
@@ -458,6 +1134,8 @@ class KickStreamersApp {
         const card = document.createElement('div');
         card.className = this.getCardClasses(streamer);
         card.setAttribute('data-streamer', streamer.name);
+        card.setAttribute('tabindex', '0');
+        card.setAttribute('aria-haspopup', 'menu');
         card.innerHTML = this.getCardHTML(streamer);
         
         // Add event listeners
@@ -466,6 +1144,14 @@ class KickStreamersApp {
         return card;
     }
 
+    // Kick is the default platform, so only other platforms get a badge
+    getPlatformBadgeHTML(streamer) {
+        if (!streamer.platform || streamer.platform === 'kick') return '';
+        
+        const provider = this.streamerManager.getProvider(streamer.platform);
+        return `<span class="platform-badge platform-${streamer.platform}">${provider ? provider.label : streamer.platform}</span>`;
+    }
+
     getCardClasses(streamer) {
         const classes = ['streamer-card'];
         
@@ -480,6 +1166,7 @@ class KickStreamersApp {
     getCardHTML(streamer) {
         const isFavorite = this.storage.isFavorite(streamer.name);
         const offlineDuration = this.getOfflineDuration(streamer);
+        const highlights = this.filterManager.getSearchHighlights(streamer);
         
         return `
             <div class="card-header">
@@ -488,9 +1175,10 @@ class KickStreamersApp {
                     <div class="streamer-details">
                         <h3 class="streamer-name">
                             <a href="${streamer.url}" target="_blank" rel="noopener">
-                                ${this.escapeHTML(streamer.displayName)}
+                                ${this.highlight(streamer.displayName, highlights.displayName)}
                                 ${streamer.isVerified ? '<span class="verified">✓</span>' : ''}
                             </a>
+                            ${this.getPlatformBadgeHTML(streamer)}
                         </h3>
                         <div class="streamer-stats">
                             ${streamer.followers > 0 ? `<span class="followers">${this.formatNumber(streamer.followers)} followers</span>` : ''}
@@ -507,13 +1195,13 @@ class KickStreamersApp {
             
             <div class="card-content">
                 <div class="stream-status">
-                    ${this.getStatusHTML(streamer)}
+                    ${this.getStatusHTML(streamer, highlights)}
                 </div>
                 
                 ${streamer.category ? `
                     <div class="stream-category">
                         <span class="category-icon">${this.getCategoryIcon(streamer.category)}</span>
-                        <span class="category-name">${this.escapeHTML(streamer.category)}</span>
+                        <span class="category-name">${this.highlight(streamer.category, highlights.category)}</span>
                     </div>
                 ` : ''}
                 
@@ -539,25 +1227,70 @@ class KickStreamersApp {
         `;
     }
 
-    getStatusHTML(streamer) {
+    getStatusHTML(streamer, highlights = {}) {
+        if (streamer.channelState === 'not-found' || streamer.channelState === 'banned') {
+            return `<span class="status channel-state channel-${streamer.channelState}">${this.getChannelStateLabel(streamer)}</span>`;
+        }
+        
+        // The old name of a renamed channel still returns its data, so the
+        // rename is only a badge next to the usual status
+        const renamedBadge = streamer.channelState === 'renamed'
+            ? `<span class="status channel-state channel-renamed">${this.getChannelStateLabel(streamer)}</span>`
+            : '';
+        
         if (streamer.error) {
-            return '<span class="status error">⚠️ Unavailable</span>';
+            const info = streamer.errorInfo;
+            const title = info ? ` title="${this.escapeHTML(info.message)}"` : '';
+            return `${renamedBadge}<span class="status error error-${info?.kind || 'unknown'}"${title}>⚠️ ${this.getErrorLabel(info)}</span>`;
         }
         
         if (streamer.live) {
             return `
+                ${renamedBadge}
                 <span class="status live">🔴 Live</span>
-                <div class="stream-title">${this.escapeHTML(streamer.title)}</div>
+                <div class="stream-title">${this.highlight(streamer.title, highlights.title)}</div>
                 <span class="viewer-count">${this.formatNumber(streamer.viewers)} viewers</span>
             `;
         }
         
         return `
+            ${renamedBadge}
             <span class="status offline">⚫ Offline</span>
             <span class="offline-duration">${this.getOfflineDuration(streamer)}</span>
         `;
     }
 
+    getChannelStateLabel(streamer) {
+        switch (streamer.channelState) {
+            case 'not-found':
+                return '🚫 Channel not found';
+            case 'banned':
+                return '⛔ Banned';
+            case 'renamed':
+                return `↪️ Renamed to ${this.escapeHTML(streamer.renamedTo)}`;
+            default:
+                return '';
+        }
+    }
+
+    getErrorLabel(errorInfo) {
+        const labels = {
+            'rate-limited': 'Rate limited',
+            'blocked': 'Blocked by Cloudflare',
+            'not-found': 'Channel not found',
+            'network': 'Network error',
+            'server': 'Platform error',
+            'malformed': 'Unexpected response',
+            'auth': 'API key missing or refused',
+            'circuit-open': 'Paused after repeated failures'
+        };
+        
+        if (!errorInfo) return 'Unavailable';
+        
+        const label = labels[errorInfo.kind] || 'Unavailable';
+        return errorInfo.retryAfter ? `${label}, retrying in ${Math.ceil(errorInfo.retryAfter / 1000)}s` : label;
+    }
+
     setupCardEventListeners(card, streamer) {
         card.addEventListener('click', (e) => {
             const action = e.target.dataset.action;
@@ -569,10 +1302,40 @@ class KickStreamersApp {
                     break;
                 case 'show-menu':
                     e.preventDefault();
+                    e.stopPropagation();
                     this.showContextMenu(e.target, streamer);
                     break;
             }
         });
+        
+        // Right-click
+        card.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+            this.showContextMenu(card, streamer, { x: e.clientX, y: e.clientY });
+        });
+        
+        // Long-press on touch screens
+        let longPressTimer = null;
+        const cancelLongPress = () => clearTimeout(longPressTimer);
+        
+        card.addEventListener('pointerdown', (e) => {
+            if (e.pointerType !== 'touch') return;
+            longPressTimer = setTimeout(() => {
+                this.showContextMenu(card, streamer, { x: e.clientX, y: e.clientY });
+            }, 500);
+        });
+        card.addEventListener('pointerup', cancelLongPress);
+        card.addEventListener('pointermove', cancelLongPress);
+        card.addEventListener('pointercancel', cancelLongPress);
+        
+        // Menu key or Shift+F10 while the card is focused
+        card.addEventListener('keydown', (e) => {
+            if (e.target !== card) return;
+            if (e.key === 'ContextMenu' || (e.shiftKey && e.key === 'F10')) {
+                e.preventDefault();
+                this.showContextMenu(card, streamer, { keyboard: true });
+            }
+        });
     }
 
     toggleFavorite(streamerName) {
@@ -619,6 +1382,8 @@ class KickStreamersApp {
         }
     }
 
+    // The interval is the base rate for live and favorite channels; the poll
+    // scheduler stretches it for dormant channels
     setupAutoRefresh(intervalSeconds = 60) {
         // Clear existing timers
         if (this.refreshInterval) {
@@ -628,33 +1393,61 @@ class KickStreamersApp {
             clearInterval(this.countdownTimer);
         }
         
+        this.autoRefreshSeconds = intervalSeconds;
+        
         if (intervalSeconds === 0) {
             this.hideRefreshCountdown();
+            this.storage.set('refreshInterval', intervalSeconds);
             return;
         }
         
-        this.refreshCountdown = intervalSeconds;
+        // Stay within the streamer manager's rate limiter
+        const limiter = this.streamerManager.rateLimiter;
+        this.pollScheduler.setBaseInterval(intervalSeconds * 1000);
+        this.pollScheduler.setBudget(Math.min(120, limiter.maxRequests * (60000 / limiter.windowMs)));
         
-        // Setup refresh interval
-        this.refreshInterval = setInterval(() => {
-            this.handleRefresh();
-            this.refreshCountdown = intervalSeconds;
-        }, intervalSeconds * 1000);
+        // Setup scheduler tick
+        this.refreshInterval = setInterval(() => this.runScheduledRefresh(), POLL_TICK_MS);
         
         // Setup countdown timer
         this.countdownTimer = setInterval(() => {
-            this.refreshCountdown--;
+            const nextPollIn = this.pollScheduler.getNextPollIn(this.streamerManager.getStreamers());
+            this.refreshCountdown = Math.max(1, Math.ceil(nextPollIn / 1000));
             this.updateRefreshCountdown();
-            
-            if (this.refreshCountdown <= 0) {
-                this.refreshCountdown = intervalSeconds;
-            }
         }, 1000);
         
-        this.updateRefreshCountdown();
         this.storage.set('refreshInterval', intervalSeconds);
     }
 
+    async runScheduledRefresh() {
+        // A running refresh (manual or scheduled) is never cut short by a tick
+        if (!this.isInitialized || this.isPolling || this.streamerManager.isRefreshing()) return;
+        
+        this.historyManager.recordHeartbeat(POLL_TICK_MS);
+        
+        const streamers = this.streamerManager.getStreamers();
+        const due = this.pollScheduler.getDueStreamers(streamers);
+        if (due.length === 0) return;
+        
+        this.isPolling = true;
+        try {
+            if (this.pollScheduler.shouldRelearn()) {
+                await this.pollScheduler.learnSchedules(streamers.map(s => s.name));
+            }
+            
+            // Only a completed fetch counts; an aborted or failed batch stays due
+            await this.streamerManager.refreshStreamers(due);
+            this.pollScheduler.markPolled(due);
+            this.updateLastUpdatedTime();
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.error('Scheduled refresh failed:', error);
+            }
+        } finally {
+            this.isPolling = false;
+        }
+    }
+
     updateRefreshCountdown() {
         const countdownElement = document.getElementById('refresh-countdown');
         if (countdownElement && this.refreshCountdown > 0) {
@@ -679,10 +1472,26 @@ class KickStreamersApp {
 
     initializeTheme() {
         const savedTheme = this.storage.get('theme');
+        document.body.setAttribute('data-theme', this.resolveTheme(savedTheme));
+    }
+
+    resolveTheme(theme) {
+        if (theme === 'dark' || theme === 'light') {
+            return theme;
+        }
+        
         const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
-        const theme = savedTheme || (prefersDark ? 'dark' : 'light');
+        return prefersDark ? 'dark' : 'light';
+    }
+
+    applyTheme(theme) {
+        document.body.setAttribute('data-theme', this.resolveTheme(theme));
         
-        document.body.setAttribute('data-theme', theme);
+        if (theme === 'system') {
+            this.storage.remove('theme');
+        } else {
+            this.storage.set('theme', theme);
+        }
     }
 
     // Utility methods
@@ -704,6 +1513,11 @@ class KickStreamersApp {
         return div.innerHTML;
     }
 
+    // Escaped text with search matches in <mark>
+    highlight(text, ranges) {
+        return highlightMatches(text, ranges, (value) => this.escapeHTML(value));
+    }
+
     formatNumber(num) {
         if (num >= 1000000) return (num / 1000000).toFixed(1) + 'M';
         if (num >= 1000) return (num / 1000).toFixed(1) + 'K';
@@ -728,6 +1542,14 @@ class KickStreamersApp {
         return icons[category] || '🎮';
     }
 
+    formatDuration(ms) {
+        const totalMinutes = Math.round((ms || 0) / (1000 * 60));
+        const hours = Math.floor(totalMinutes / 60);
+        const minutes = totalMinutes % 60;
+        
+        return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+    }
+
     getOfflineDuration(streamer) {
         const lastSeen = this.historyManager.getLastSeen(streamer.name);
         if (!lastSeen) return 'Unknown';
@@ -746,17 +1568,26 @@ class KickStreamersApp {
 
     // Event handlers for manager events
     handleStreamersLoaded(streamers) {
+        this.milestoneDetector.check(streamers);
         this.applyFilters();
         this.updateStats();
         this.updateLastUpdatedTime();
     }
 
-    handleStreamerUpdated(streamer) {
+    handleStreamerChanged(streamer, changes) {
         // Update history
-        this.historyManager.recordStreamerUpdate(streamer);
+        this.historyManager.recordChanges(streamer, changes);
         
-        // Check for live notifications
-        if (streamer.live && this.storage.isFavorite(streamer.name)) {
+        // Live/offline notifications are handled by handleStreamerUpdated
+        changes
+            .filter(change => change.type !== 'wentLive' && change.type !== 'wentOffline')
+            .forEach(change => this.notificationManager.sendChangeNotification(change));
+    }
+
+    handleStreamerUpdated(streamer) {
+        // Check for live notifications (favorites and per-streamer rules are
+        // applied by NotificationManager.shouldNotify)
+        if (streamer.live) {
             this.notificationManager.sendLiveNotification(streamer);
         }
         
@@ -775,7 +1606,7 @@ class KickStreamersApp {
         // Update status
         const statusElement = card.querySelector('.stream-status');
         if (statusElement) {
-            statusElement.innerHTML = this.getStatusHTML(streamer);
+            statusElement.innerHTML = this.getStatusHTML(streamer, this.filterManager.getSearchHighlights(streamer));
         }
         
         // Update thumbnail
@@ -821,26 +1652,1436 @@ class KickStreamersApp {
         }
     }
 
-    showAnalytics() {
-        // Implementation for analytics modal
-        console.log('Show analytics modal');
+    // Analytics dashboard
+    async showAnalytics(streamerName = this.analyticsState.streamer) {
+        this.analyticsState.streamer = streamerName || '';
+        
+        if (!this.uiManager.modals.has('analytics')) {
+            const modal = this.uiManager.showModal('analytics', '<div class="loading-spinner"></div>', {
+                title: 'Analytics',
+                size: 'large',
+                onClose: () => this.syncUrlState()
+            });
+            
+            modal.element.addEventListener('click', (e) => {
+                const range = e.target.dataset.range;
+                if (range) {
+                    this.analyticsState.days = parseInt(range);
+                    this.renderAnalytics();
+                }
+            });
+            
+            modal.element.addEventListener('change', (e) => {
+                if (e.target.id === 'analytics-streamer') {
+                    this.analyticsState.streamer = e.target.value;
+                    this.renderAnalytics();
+                    this.syncUrlState();
+                }
+            });
+        }
+        
+        this.syncUrlState();
+        await this.renderAnalytics();
     }
 
+    async renderAnalytics() {
+        const { days, streamer } = this.analyticsState;
+        
+        try {
+            const overall = await this.historyManager.getOverallAnalytics(days);
+            const streamerAnalytics = streamer ?
+                await this.historyManager.getStreamerAnalytics(streamer, days) : null;
+            
+            this.uiManager.updateModalContent('analytics', this.getAnalyticsHTML(overall, streamerAnalytics));
+        } catch (error) {
+            console.error('Failed to load analytics:', error);
+            this.uiManager.updateModalContent('analytics', '<p class="analytics-empty">Failed to load analytics</p>');
+        }
+    }
+
+    // Re-render an open dashboard at most every few seconds while refreshes stream in
+    updateAnalytics() {
+        if (!this.uiManager.modals.has('analytics') || this.analyticsRefreshTimer) return;
+        
+        this.analyticsRefreshTimer = setTimeout(() => {
+            this.analyticsRefreshTimer = null;
+            if (this.uiManager.modals.has('analytics')) {
+                this.renderAnalytics();
+            }
+        }, 5000);
+    }
+
+    getAnalyticsHTML(overall, streamerAnalytics) {
+        const { days, streamer } = this.analyticsState;
+        const streamerOptions = this.streamerManager.getStreamers()
+            .map(s => s.name)
+            .sort()
+            .map(name => `<option value="${this.escapeHTML(name)}" ${name === streamer ? 'selected' : ''}>${this.escapeHTML(name)}</option>`)
+            .join('');
+        
+        return `
+            <div class="analytics-toolbar">
+                <div class="range-selector" role="group" aria-label="Time range">
+                    ${[7, 30].map(range => `
+                        <button class="range-btn ${range === days ? 'active' : ''}" data-range="${range}">${range} days</button>
+                    `).join('')}
+                </div>
+                <select id="analytics-streamer" class="analytics-select" aria-label="Streamer">
+                    <option value="">All streamers</option>
+                    ${streamerOptions}
+                </select>
+            </div>
+            
+            ${streamerAnalytics ? this.getStreamerAnalyticsHTML(streamerAnalytics) : ''}
+            ${streamer && !streamerAnalytics ? '<p class="analytics-empty">No history recorded for this streamer yet</p>' : ''}
+            ${!streamer ? this.getOverallAnalyticsHTML(overall) : ''}
+        `;
+    }
+
+    getOverallAnalyticsHTML(overall) {
+        return `
+            <div class="analytics-grid">
+                ${this.getStatCardHTML('Active streamers', `${overall.activeStreamers} / ${overall.totalStreamers}`)}
+                ${this.getStatCardHTML('Sessions', overall.totalSessions)}
+                ${this.getStatCardHTML('Stream time', this.formatDuration(overall.totalStreamTime))}
+                ${this.getStatCardHTML('Average viewers', this.formatNumber(overall.averageViewers))}
+                ${this.getStatCardHTML('Peak viewers', this.formatNumber(overall.peakViewers))}
+            </div>
+            
+            <div class="analytics-card">
+                <h3>Daily activity</h3>
+                ${this.getLineChartHTML(overall.dailyStats.map(d => ({ label: d.date, value: d.averageViewers })), 'Average viewers per live streamer')}
+            </div>
+            
+            <div class="analytics-card">
+                <h3>Stream starts by hour</h3>
+                ${this.getHeatmapHTML(overall.streamingHours, this.getHourLabels())}
+            </div>
+            
+            <div class="analytics-grid">
+                <div class="analytics-card">
+                    <h3>Top categories</h3>
+                    ${this.getBarListHTML(overall.popularCategories)}
+                </div>
+                <div class="analytics-card">
+                    <h3>Viewer distribution</h3>
+                    ${this.getBarListHTML(Object.entries(overall.viewerDistribution))}
+                </div>
+            </div>
+            
+            <div class="analytics-card">
+                <h3>Monitor coverage</h3>
+                ${this.getGapReportHTML(overall.monitorGaps)}
+            </div>
+        `;
+    }
+
+    getGapReportHTML(report) {
+        if (report.gaps.length === 0) {
+            return '<p class="analytics-empty">The monitor was running for the whole range</p>';
+        }
+        
+        return `
+            <p class="analytics-empty">
+                ${report.coverage}% covered, ${this.formatDuration(report.totalDowntime)} not monitored.
+                ${report.affectedSessions.length} session(s) may be incomplete.
+            </p>
+            <ul class="change-list">
+                ${report.gaps.slice().reverse().slice(0, 10).map(gap => `
+                    <li class="change-list-item">
+                        <span class="change-list-type">${this.formatDuration(gap.duration)}</span>
+                        <span class="change-list-value">${new Date(gap.start).toLocaleString()} → ${new Date(gap.end).toLocaleString()}</span>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    getStreamerAnalyticsHTML(analytics) {
+        const pattern = analytics.schedulePattern;
+        const growthClass = analytics.viewerGrowth >= 0 ? 'positive' : 'negative';
+        
+        return `
+            <div class="analytics-grid">
+                ${this.getStatCardHTML('Streams', analytics.streamCount)}
+                ${this.getStatCardHTML('Stream time', this.formatDuration(analytics.totalStreamTime))}
+                ${this.getStatCardHTML('Average duration', this.formatDuration(analytics.averageStreamDuration))}
+                ${this.getStatCardHTML('Average viewers', this.formatNumber(analytics.averageViewers))}
+                ${this.getStatCardHTML('Peak viewers', this.formatNumber(analytics.peakViewers))}
+                ${this.getStatCardHTML('Viewer growth', `<span class="${growthClass}">${analytics.viewerGrowth}%</span>`)}
+                ${this.getStatCardHTML('Reconnects', `${analytics.interruptionCount} (${this.formatDuration(analytics.interruptedTime)})`)}
+            </div>
+            
+            <div class="analytics-card">
+                <h3>Viewers</h3>
+                ${this.getLineChartHTML(analytics.viewerChart.map(p => ({ label: new Date(p.timestamp).toLocaleString(), value: p.viewers })), 'Viewer count')}
+            </div>
+            
+            <div class="analytics-card">
+                <h3>Schedule by hour</h3>
+                ${this.getHeatmapHTML(pattern.hourDistribution, this.getHourLabels())}
+            </div>
+            
+            <div class="analytics-card">
+                <h3>Schedule by day</h3>
+                ${this.getHeatmapHTML(pattern.dayDistribution, ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'])}
+            </div>
+            
+            <div class="analytics-card">
+                <h3>Categories</h3>
+                ${this.getBarListHTML(analytics.categories)}
+            </div>
+            
+            <div class="analytics-card">
+                <h3>Recent changes</h3>
+                ${this.getChangeListHTML(analytics.recentChanges)}
+            </div>
+        `;
+    }
+
+    getChangeListHTML(changes) {
+        if (!changes || changes.length === 0) {
+            return '<p class="analytics-empty">No title or category changes in this range</p>';
+        }
+        
+        const labels = {
+            titleChanged: 'Title',
+            categoryChanged: 'Category',
+            streamRestarted: 'Restarted',
+            channelStateChanged: 'Channel'
+        };
+        
+        return `
+            <ul class="change-list">
+                ${changes.slice().reverse().map(change => `
+                    <li class="change-list-item">
+                        <span class="change-list-type">${labels[change.change] || change.change}</span>
+                        <span class="change-list-value">${change.change === 'streamRestarted' ? '' : this.escapeHTML(change.to || '—')}</span>
+                        <time class="change-list-time">${new Date(change.timestamp).toLocaleString()}</time>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    getStatCardHTML(label, value) {
+        return `
+            <div class="analytics-card analytics-stat">
+                <div class="analytics-stat-value">${value}</div>
+                <div class="analytics-stat-label">${label}</div>
+            </div>
+        `;
+    }
+
+    getLineChartHTML(points, label) {
+        if (points.length < 2) {
+            return '<div class="chart-container">Not enough data yet</div>';
+        }
+        
+        const width = 600;
+        const height = 180;
+        const max = Math.max(...points.map(p => p.value), 1);
+        const step = width / (points.length - 1);
+        const coords = points.map((p, i) => 
+            `${Math.round(i * step)},${Math.round(height - (p.value / max) * height)}`
+        );
+        
+        return `
+            <div class="chart-container viewer-chart">
+                <svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" role="img" aria-label="${this.escapeHTML(label)}">
+                    <polygon class="chart-area" points="0,${height} ${coords.join(' ')} ${width},${height}"></polygon>
+                    <polyline class="chart-line" points="${coords.join(' ')}"></polyline>
+                </svg>
+                <div class="chart-legend">
+                    <span>${this.escapeHTML(points[0].label)}</span>
+                    <span>Max ${this.formatNumber(max)}</span>
+                    <span>${this.escapeHTML(points[points.length - 1].label)}</span>
+                </div>
+            </div>
+        `;
+    }
+
+    getHeatmapHTML(counts, labels) {
+        const max = Math.max(...counts, 1);
+        
+        return `
+            <div class="heatmap" style="grid-template-columns: repeat(${counts.length}, 1fr)">
+                ${counts.map((count, i) => `
+                    <div class="heatmap-cell" style="--intensity: ${(count / max).toFixed(2)}" title="${labels[i]}: ${count}">
+                        <span class="heatmap-label">${labels[i]}</span>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    getBarListHTML(entries) {
+        if (entries.length === 0) {
+            return '<p class="analytics-empty">No data</p>';
+        }
+        
+        const max = Math.max(...entries.map(([, count]) => count), 1);
+        
+        return `
+            <ul class="bar-list">
+                ${entries.map(([label, count]) => `
+                    <li class="bar-list-item">
+                        <span class="bar-list-label">${this.escapeHTML(label)}</span>
+                        <span class="bar-list-bar" style="width: ${Math.round((count / max) * 100)}%"></span>
+                        <span class="bar-list-count">${count}</span>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    getHourLabels() {
+        return Array.from({ length: 24 }, (_, hour) => String(hour).padStart(2, '0'));
+    }
+
+    // Settings panel
     showSettings() {
-        // Implementation for settings modal
-        console.log('Show settings modal');
+        // A second settings form would stack on top of the first one with
+        // its own unsaved state, so bring the open one forward instead
+        const open = this.uiManager.modals.get('settings');
+        if (open) {
+            open.element.querySelector('input, select, button')?.focus();
+            return;
+        }
+
+        const modal = this.uiManager.showModal('settings', this.getSettingsHTML(), {
+            title: 'Settings',
+            size: 'medium',
+            // Drop any unsaved live theme preview
+            onClose: () => this.initializeTheme()
+        });
+        
+        modal.element.addEventListener('change', (e) => {
+            if (e.target.name === 'theme') {
+                document.body.setAttribute('data-theme', this.resolveTheme(e.target.value));
+            } else if (e.target.dataset.sound) {
+                this.handleCustomSoundChange(e.target);
+            }
+        });
+        
+        modal.element.addEventListener('click', async (e) => {
+            const { reset, action, sound } = e.target.dataset;
+            
+            if (reset) {
+                e.preventDefault();
+                this.resetSettingsSection(reset);
+            } else if (action === 'remove-sound') {
+                e.preventDefault();
+                this.notificationManager.removeCustomSound(sound);
+                this.uiManager.updateModalContent('settings', this.getSettingsHTML());
+            } else if (action === 'export-backup') {
+                e.preventDefault();
+                await this.storage.createBackup();
+            } else if (action === 'clear-cache') {
+                e.preventDefault();
+                this.storage.clearCache();
+                this.streamerManager.clearCache();
+                this.uiManager.showToast('Cache cleared', 'success');
+            } else if (action === 'cleanup-dead') {
+                e.preventDefault();
+                this.showDeadChannelCleanup();
+            } else if (action === 'list-sign-in') {
+                e.preventDefault();
+                try {
+                    await this.streamerManager.listClient.authorize();
+                    this.uiManager.showToast('Signed in', 'success');
+                } catch (error) {
+                    this.uiManager.showToast(error.message, 'warning');
+                }
+                this.uiManager.updateModalContent('settings', this.getSettingsHTML());
+            } else if (action === 'list-sign-out') {
+                e.preventDefault();
+                this.streamerManager.listClient.logout();
+                this.uiManager.updateModalContent('settings', this.getSettingsHTML());
+            }
+        });
+        
+        modal.element.addEventListener('submit', (e) => {
+            e.preventDefault();
+            if (this.saveSettings(modal.element)) {
+                this.uiManager.closeModal('settings');
+            }
+        });
+    }
+
+    getSettingsHTML() {
+        const notifications = this.notificationManager.getSettings();
+        const theme = this.storage.get('theme', 'system');
+        const refreshInterval = this.storage.get('refreshInterval', 60);
+        const retentionDays = this.storage.getSetting('historyRetentionDays', 30);
+        const graceMinutes = this.storage.getSetting('sessionGraceMinutes', 5);
+        const platformKeys = this.storage.getSetting('platformKeys', {});
+        const providerHealth = this.streamerManager.getProviderHealth();
+        const proxyStats = this.streamerManager.getProxyStats();
+        const listExpiry = this.streamerManager.listClient.getExpiry();
+        const listStatus = this.streamerManager.getListStatus();
+        const hourOptions = (selected) => this.getHourLabels()
+            .map((label, hour) => `<option value="${hour}" ${hour === selected ? 'selected' : ''}>${label}:00</option>`)
+            .join('');
+        
+        return `
+            <form class="settings-form" novalidate>
+                <fieldset class="settings-section">
+                    <legend>Appearance</legend>
+                    <label class="settings-row">
+                        <span>Theme</span>
+                        <select name="theme">
+                            ${['system', 'dark', 'light'].map(value => `
+                                <option value="${value}" ${value === theme ? 'selected' : ''}>${value[0].toUpperCase() + value.slice(1)}</option>
+                            `).join('')}
+                        </select>
+                    </label>
+                    <button type="button" class="btn btn-secondary settings-reset" data-reset="appearance">Reset to defaults</button>
+                </fieldset>
+                
+                <fieldset class="settings-section">
+                    <legend>Refresh</legend>
+                    <label class="settings-row">
+                        <span>Refresh interval for live and favorite channels (seconds, 0 = off)</span>
+                        <input type="number" name="refreshInterval" min="0" max="3600" step="1" value="${refreshInterval}">
+                    </label>
+                    <button type="button" class="btn btn-secondary settings-reset" data-reset="refresh">Reset to defaults</button>
+                </fieldset>
+                
+                <fieldset class="settings-section">
+                    <legend>Notifications</legend>
+                    <label class="settings-row checkbox">
+                        <input type="checkbox" name="enabled" ${notifications.enabled ? 'checked' : ''}>
+                        <span>Enable notifications</span>
+                    </label>
+                    <label class="settings-row checkbox">
+                        <input type="checkbox" name="desktop" ${notifications.desktop ? 'checked' : ''}>
+                        <span>Desktop notifications</span>
+                    </label>
+                    <label class="settings-row checkbox">
+                        <input type="checkbox" name="sound" ${notifications.sound ? 'checked' : ''}>
+                        <span>Play sounds</span>
+                    </label>
+                    <label class="settings-row checkbox">
+                        <input type="checkbox" name="onlyFavorites" ${notifications.onlyFavorites ? 'checked' : ''}>
+                        <span>Only notify for favorites</span>
+                    </label>
+                    <label class="settings-row checkbox">
+                        <input type="checkbox" name="offline" ${notifications.offline ? 'checked' : ''}>
+                        <span>Notify when streams end</span>
+                    </label>
+                    <label class="settings-row">
+                        <span>Minimum viewers</span>
+                        <input type="number" name="viewerThreshold" min="0" step="1" value="${notifications.viewerThreshold}">
+                    </label>
+                    <label class="settings-row">
+                        <span>Only these categories (comma separated, empty = all)</span>
+                        <input type="text" name="categories" value="${this.escapeHTML(notifications.categories.join(', '))}">
+                    </label>
+                    <label class="settings-row checkbox">
+                        <input type="checkbox" name="quietHoursEnabled" ${notifications.quietHours.enabled ? 'checked' : ''}>
+                        <span>Quiet hours</span>
+                    </label>
+                    <div class="settings-row inline">
+                        <label>From <select name="quietHoursStart">${hourOptions(notifications.quietHours.start)}</select></label>
+                        <label>to <select name="quietHoursEnd">${hourOptions(notifications.quietHours.end)}</select></label>
+                        <select name="quietHoursMode" aria-label="During quiet hours">
+                            <option value="suppress" ${notifications.quietHours.mode === 'suppress' ? 'selected' : ''}>Discard notifications</option>
+                            <option value="defer" ${notifications.quietHours.mode === 'defer' ? 'selected' : ''}>Send a digest afterwards</option>
+                        </select>
+                    </div>
+                    <label class="settings-row checkbox">
+                        <input type="checkbox" name="milestonesEnabled" ${notifications.milestones.enabled ? 'checked' : ''}>
+                        <span>Milestone notifications</span>
+                    </label>
+                    <label class="settings-row">
+                        <span>Viewer milestones (comma separated)</span>
+                        <input type="text" name="milestoneViewers" value="${notifications.milestones.viewerThresholds.join(', ')}">
+                    </label>
+                    <label class="settings-row">
+                        <span>Stream length milestones in hours (comma separated)</span>
+                        <input type="text" name="milestoneHours" value="${notifications.milestones.durationHours.join(', ')}">
+                    </label>
+                    <label class="settings-row checkbox">
+                        <input type="checkbox" name="milestonePeak" ${notifications.milestones.personalPeak ? 'checked' : ''}>
+                        <span>New personal viewer peak</span>
+                    </label>
+                    <label class="settings-row checkbox">
+                        <input type="checkbox" name="changeTitle" ${notifications.changes.titleChanged ? 'checked' : ''}>
+                        <span>Title changes</span>
+                    </label>
+                    <label class="settings-row checkbox">
+                        <input type="checkbox" name="changeCategory" ${notifications.changes.categoryChanged ? 'checked' : ''}>
+                        <span>Category switches</span>
+                    </label>
+                    <label class="settings-row checkbox">
+                        <input type="checkbox" name="changeRestart" ${notifications.changes.streamRestarted ? 'checked' : ''}>
+                        <span>Stream restarts</span>
+                    </label>
+                    <label class="settings-row checkbox">
+                        <input type="checkbox" name="changeViewers" ${notifications.changes.viewersChanged ? 'checked' : ''}>
+                        <span>Viewer spikes and drops</span>
+                    </label>
+                    <label class="settings-row">
+                        <span>Minimum viewer change</span>
+                        <input type="number" name="changeViewerDelta" min="1" step="1" value="${notifications.changes.viewerDelta}">
+                    </label>
+                    ${['live', 'offline', 'milestone'].map(type => `
+                        <div class="settings-row">
+                            <span>Custom ${type} sound</span>
+                            ${notifications.customSounds[type] ? `
+                                <button type="button" class="btn btn-secondary" data-action="remove-sound" data-sound="${type}">Remove custom sound</button>
+                            ` : `
+                                <input type="file" accept="audio/*" data-sound="${type}">
+                            `}
+                        </div>
+                    `).join('')}
+                    <button type="button" class="btn btn-secondary settings-reset" data-reset="notifications">Reset to defaults</button>
+                </fieldset>
+                
+                <fieldset class="settings-section">
+                    <legend>Platforms</legend>
+                    <ul class="platform-health">
+                        ${providerHealth.map(health => `
+                            <li class="platform-health-item">
+                                <span class="platform-health-dot ${health.configured ? health.status : 'unconfigured'}"></span>
+                                <span>${health.label}</span>
+                                <span class="platform-health-status">${this.getProviderStatusText(health)}</span>
+                            </li>
+                        `).join('')}
+                    </ul>
+                    ${this.streamerManager.getCircuitStatus().filter(circuit => circuit.state !== 'closed').map(circuit => `
+                        <p class="analytics-empty">Requests to ${this.escapeHTML(circuit.host)} are paused (${circuit.state}), ${circuit.failures} failures in a row</p>
+                    `).join('')}
+                    <label class="settings-row">
+                        <span>Twitch client ID</span>
+                        <input type="text" name="twitchClientId" autocomplete="off" value="${this.escapeHTML(platformKeys.twitchClientId || '')}">
+                    </label>
+                    <label class="settings-row">
+                        <span>Twitch access token</span>
+                        <input type="password" name="twitchAccessToken" autocomplete="off" value="${this.escapeHTML(platformKeys.twitchAccessToken || '')}">
+                    </label>
+                    <label class="settings-row">
+                        <span>YouTube API key</span>
+                        <input type="password" name="youtubeApiKey" autocomplete="off" value="${this.escapeHTML(platformKeys.youtubeApiKey || '')}">
+                    </label>
+                    <label class="settings-row">
+                        <span>Kick proxies (one per line, {url} is the API address)</span>
+                        <textarea name="kickProxies" rows="3" spellcheck="false">${this.escapeHTML(this.streamerManager.proxyPool.getTemplates().join('\n'))}</textarea>
+                    </label>
+                    ${proxyStats.length > 0 ? `
+                        <ul class="platform-health">
+                            ${proxyStats.map(proxy => `
+                                <li class="platform-health-item">
+                                    <span class="platform-health-dot ${this.getProxyHealthClass(proxy)}"></span>
+                                    <span class="proxy-template">${this.escapeHTML(proxy.template)}</span>
+                                    <span class="platform-health-status">${this.getProxyStatusText(proxy)}</span>
+                                </li>
+                            `).join('')}
+                        </ul>
+                    ` : ''}
+                </fieldset>
+                
+                <fieldset class="settings-section">
+                    <legend>Shared list</legend>
+                    <label class="settings-row">
+                        <span>List source</span>
+                        <select name="listBackend">
+                            ${this.streamerManager.getListBackends().map(backend => `
+                                <option value="${backend.id}" ${backend.id === listStatus.backendId ? 'selected' : ''}>${backend.label}${backend.writable ? '' : ' (read-only)'}</option>
+                            `).join('')}
+                        </select>
+                    </label>
+                    <label class="settings-row">
+                        <span>When switching source</span>
+                        <select name="listSyncStrategy">
+                            <option value="merge">Merge both lists</option>
+                            <option value="push">Replace it with the current list</option>
+                            <option value="pull">Use its list</option>
+                        </select>
+                    </label>
+                    <p class="analytics-empty">${this.getListStatusText(listStatus)}</p>
+                    <p class="analytics-empty">
+                        ${listExpiry
+                            ? `Signed in until ${new Date(listExpiry).toLocaleTimeString()}`
+                            : 'Signed out. Adding or removing streamers asks for the list secret.'}
+                    </p>
+                    <div class="settings-row inline">
+                        ${listExpiry
+                            ? '<button type="button" class="btn btn-secondary" data-action="list-sign-out">Sign out</button>'
+                            : '<button type="button" class="btn btn-secondary" data-action="list-sign-in">Sign in</button>'}
+                    </div>
+                </fieldset>
+                
+                <fieldset class="settings-section">
+                    <legend>Storage</legend>
+                    <label class="settings-row">
+                        <span>Keep history for (days)</span>
+                        <input type="number" name="historyRetentionDays" min="1" max="365" step="1" value="${retentionDays}">
+                    </label>
+                    <label class="settings-row">
+                        <span>Merge reconnects within (minutes, 0 = off)</span>
+                        <input type="number" name="sessionGraceMinutes" min="0" max="120" step="1" value="${graceMinutes}">
+                    </label>
+                    <div class="settings-row inline">
+                        <button type="button" class="btn btn-secondary" data-action="export-backup">Export backup</button>
+                        <button type="button" class="btn btn-secondary" data-action="clear-cache">Clear cache</button>
+                        <button type="button" class="btn btn-secondary" data-action="cleanup-dead">Clean up dead channels</button>
+                    </div>
+                    <button type="button" class="btn btn-secondary settings-reset" data-reset="storage">Reset to defaults</button>
+                </fieldset>
+                
+                <ul class="settings-errors" aria-live="polite"></ul>
+                
+                <div class="settings-actions">
+                    <button type="submit" class="btn btn-primary">Save</button>
+                </div>
+            </form>
+        `;
+    }
+
+    getProviderStatusText(health) {
+        if (!health.configured) return 'Not configured';
+        
+        switch (health.status) {
+            case 'ok':
+                return `OK, last checked ${new Date(health.lastSuccess).toLocaleTimeString()}`;
+            case 'degraded':
+            case 'down':
+                return `${health.status === 'down' ? 'Down' : 'Failing'}: ${this.escapeHTML(health.lastError?.message || 'Unknown error')}`;
+            default:
+                return 'No requests yet';
+        }
     }
 
-    showContextMenu(target, streamer) {
-        // Implementation for context menu
-        console.log('Show context menu for', streamer.name);
+    getListStatusText(status) {
+        const synced = status.syncedAt ? `last synced ${new Date(status.syncedAt).toLocaleString()}` : 'not synced yet';
+        const pending = status.pending > 0 ? `, ${status.pending} change${status.pending === 1 ? '' : 's'} waiting to sync` : '';
+        return `${status.label}: ${synced}${pending}`;
     }
 
-    closeModals() {
-        const overlay = document.getElementById('modal-overlay');
-        if (overlay) {
-            overlay.classList.remove('active');
+    getProxyHealthClass(proxy) {
+        if (proxy.quarantined) return 'down';
+        if (proxy.successRate === null) return '';
+        return proxy.successRate >= 50 ? 'ok' : 'degraded';
+    }
+
+    getProxyStatusText(proxy) {
+        if (proxy.quarantined) {
+            return `Blocked, retrying in ${Math.ceil(proxy.quarantinedFor / 60000)} min`;
+        }
+        if (proxy.requests === 0) return 'No requests yet';
+
+        const latency = proxy.averageLatency !== null ? `, ${proxy.averageLatency} ms avg` : '';
+        return `${proxy.successRate}% of ${proxy.requests} requests${latency}`;
+    }
+
+    // Returns a map of field name -> error message
+    validateSettings(values) {
+        const errors = {};
+        const isInteger = (value) => Number.isInteger(value) && !Number.isNaN(value);
+        
+        if (!isInteger(values.refreshInterval) || values.refreshInterval < 0 || values.refreshInterval > 3600) {
+            errors.refreshInterval = 'Refresh interval must be between 0 and 3600 seconds';
+        } else if (values.refreshInterval > 0 && values.refreshInterval < 15) {
+            errors.refreshInterval = 'Refresh interval must be at least 15 seconds to respect rate limits';
+        }
+        
+        if (!isInteger(values.viewerThreshold) || values.viewerThreshold < 0) {
+            errors.viewerThreshold = 'Minimum viewers must be a whole number of 0 or more';
         }
+        
+        const isPositiveList = (list) => list.every(value => Number.isFinite(value) && value > 0);
+        if (!isPositiveList(values.milestones.viewerThresholds)) {
+            errors.milestoneViewers = 'Viewer milestones must be positive numbers';
+        }
+        if (!isPositiveList(values.milestones.durationHours)) {
+            errors.milestoneHours = 'Stream length milestones must be positive numbers of hours';
+        }
+        
+        if (!isInteger(values.changes.viewerDelta) || values.changes.viewerDelta < 1) {
+            errors.changeViewerDelta = 'Minimum viewer change must be a whole number of 1 or more';
+        }
+        
+        if (values.quietHours.enabled && values.quietHours.start === values.quietHours.end) {
+            errors.quietHoursEnd = 'Quiet hours must start and end at different times';
+        }
+        
+        if (!isInteger(values.historyRetentionDays) || values.historyRetentionDays < 1 || values.historyRetentionDays > 365) {
+            errors.historyRetentionDays = 'History retention must be between 1 and 365 days';
+        }
+        
+        if (!isInteger(values.sessionGraceMinutes) || values.sessionGraceMinutes < 0 || values.sessionGraceMinutes > 120) {
+            errors.sessionGraceMinutes = 'Reconnect window must be between 0 and 120 minutes';
+        }
+        
+        const badProxy = values.kickProxies.find(template => !template.includes('{url}'));
+        if (badProxy) {
+            errors.kickProxies = `Proxy "${badProxy}" needs a {url} placeholder`;
+        }
+        
+        return errors;
+    }
+
+    readSettingsForm(form) {
+        const field = (name) => form.querySelector(`[name="${name}"]`);
+        const numberList = (name) => field(name).value.split(',')
+            .map(value => value.trim())
+            .filter(Boolean)
+            .map(Number);
+        
+        return {
+            theme: field('theme').value,
+            refreshInterval: Number(field('refreshInterval').value),
+            enabled: field('enabled').checked,
+            desktop: field('desktop').checked,
+            sound: field('sound').checked,
+            onlyFavorites: field('onlyFavorites').checked,
+            offline: field('offline').checked,
+            viewerThreshold: Number(field('viewerThreshold').value),
+            categories: field('categories').value.split(',').map(c => c.trim()).filter(Boolean),
+            quietHours: {
+                enabled: field('quietHoursEnabled').checked,
+                start: parseInt(field('quietHoursStart').value),
+                end: parseInt(field('quietHoursEnd').value),
+                mode: field('quietHoursMode').value
+            },
+            milestones: {
+                enabled: field('milestonesEnabled').checked,
+                viewerThresholds: numberList('milestoneViewers'),
+                durationHours: numberList('milestoneHours'),
+                personalPeak: field('milestonePeak').checked
+            },
+            changes: {
+                titleChanged: field('changeTitle').checked,
+                categoryChanged: field('changeCategory').checked,
+                streamRestarted: field('changeRestart').checked,
+                viewersChanged: field('changeViewers').checked,
+                viewerDelta: Number(field('changeViewerDelta').value)
+            },
+            historyRetentionDays: Number(field('historyRetentionDays').value),
+            sessionGraceMinutes: Number(field('sessionGraceMinutes').value),
+            platformKeys: {
+                twitchClientId: field('twitchClientId').value.trim(),
+                twitchAccessToken: field('twitchAccessToken').value.trim(),
+                youtubeApiKey: field('youtubeApiKey').value.trim()
+            },
+            listBackend: field('listBackend').value,
+            listSyncStrategy: field('listSyncStrategy').value,
+            kickProxies: field('kickProxies').value.split('\n').map(line => line.trim()).filter(Boolean)
+        };
+    }
+
+    saveSettings(container) {
+        const form = container.querySelector('.settings-form');
+        const values = this.readSettingsForm(form);
+        const errors = this.validateSettings(values);
+        
+        // Show validation errors next to their fields
+        form.querySelectorAll('.invalid').forEach(el => el.classList.remove('invalid'));
+        form.querySelector('.settings-errors').innerHTML = Object.entries(errors).map(([name, message]) => {
+            form.querySelector(`[name="${name}"]`)?.classList.add('invalid');
+            return `<li>${this.escapeHTML(message)}</li>`;
+        }).join('');
+        
+        if (Object.keys(errors).length > 0) {
+            this.uiManager.showToast('Please fix the highlighted settings', 'warning');
+            return false;
+        }
+        
+        // Appearance
+        this.applyTheme(values.theme);
+        
+        // Refresh
+        const intervalSelect = document.getElementById('refresh-interval');
+        if (intervalSelect) {
+            intervalSelect.value = values.refreshInterval;
+        }
+        this.setupAutoRefresh(values.refreshInterval);
+        
+        // Notifications
+        this.notificationManager.updateSettings({
+            enabled: values.enabled,
+            desktop: values.desktop,
+            sound: values.sound,
+            onlyFavorites: values.onlyFavorites,
+            offline: values.offline,
+            viewerThreshold: values.viewerThreshold,
+            categories: values.categories,
+            milestones: values.milestones,
+            changes: values.changes,
+            quietHours: values.quietHours
+        });
+        
+        // Storage
+        this.storage.updateSettings({
+            historyRetentionDays: values.historyRetentionDays,
+            sessionGraceMinutes: values.sessionGraceMinutes,
+            platformKeys: values.platformKeys
+        });
+        this.streamerManager.setProxyTemplates(values.kickProxies);
+        
+        if (values.listBackend !== this.streamerManager.getListStatus().backendId) {
+            this.switchListBackend(values.listBackend, values.listSyncStrategy);
+        }
+        this.historyManager.maxHistoryDays = values.historyRetentionDays;
+        this.historyManager.sessionGraceMinutes = values.sessionGraceMinutes;
+        
+        this.uiManager.showToast('Settings saved', 'success');
+        return true;
+    }
+
+    resetSettingsSection(section) {
+        switch (section) {
+            case 'appearance':
+                this.storage.remove('theme');
+                this.initializeTheme();
+                break;
+            case 'refresh':
+                this.storage.remove('refreshInterval');
+                this.setupAutoRefresh(60);
+                break;
+            case 'notifications':
+                this.notificationManager.resetSettings();
+                break;
+            case 'storage':
+                // Only what this section shows; list source, endpoints and proxies live elsewhere
+                this.storage.removeSettings(['historyRetentionDays', 'sessionGraceMinutes']);
+                this.historyManager.maxHistoryDays = 30;
+                this.historyManager.sessionGraceMinutes = 5;
+                break;
+        }
+        
+        this.uiManager.updateModalContent('settings', this.getSettingsHTML());
+        this.uiManager.showToast('Settings reset to defaults', 'info');
+    }
+
+    async handleCustomSoundChange(input) {
+        const file = input.files[0];
+        if (!file) return;
+        
+        if (!file.type.startsWith('audio/')) {
+            this.uiManager.showToast('Please choose an audio file', 'warning');
+            input.value = '';
+            return;
+        }
+        
+        try {
+            await this.notificationManager.setCustomSound(input.dataset.sound, file);
+            this.uiManager.updateModalContent('settings', this.getSettingsHTML());
+            this.uiManager.showToast('Custom sound saved', 'success');
+        } catch (error) {
+            this.uiManager.showToast('Failed to load sound', 'error');
+        }
+    }
+
+    // Watchlists
+    syncWatchlists() {
+        const watchlists = this.storage.getWatchlists();
+        this.pollScheduler.setWatchlists(watchlists);
+        this.filterManager.setWatchlists(watchlists);
+
+        // The active list may just have been deleted
+        const activeId = this.storage.getActiveWatchlistId();
+        if (this.filterManager.getFilter('watchlist') !== activeId) {
+            this.filterManager.setFilter('watchlist', activeId);
+        }
+
+        const select = document.getElementById('watchlist-select');
+        if (select) {
+            select.innerHTML = `
+                <option value="all">All streamers</option>
+                ${watchlists.map(list => `
+                    <option value="${list.id}">${this.escapeHTML(list.name)} (${list.members.length})</option>
+                `).join('')}
+            `;
+            select.value = activeId;
+        }
+
+        this.uiManager.updateModalContent('watchlists', this.getWatchlistManagerHTML());
+    }
+
+    // Switching only changes filters, nothing is refetched
+    switchWatchlist(id) {
+        const watchlist = this.storage.getWatchlist(id);
+        const activeId = watchlist ? watchlist.id : 'all';
+        const defaults = watchlist?.settings || {};
+
+        this.storage.setActiveWatchlistId(activeId);
+        this.filterManager.setFilters({ ...(defaults.filters || {}), watchlist: activeId });
+        if (defaults.sortBy) {
+            this.filterManager.setSortBy(defaults.sortBy);
+        }
+        if (defaults.sortDirection) {
+            this.filterManager.setSortDirection(defaults.sortDirection);
+        }
+        // Lists saved before imports were checked may carry unusable defaults
+        this.filterManager.validateFilters().forEach(error => console.warn(`Watchlist ${activeId}:`, error));
+
+        this.syncFilterControls();
+        this.storage.set('filters', this.filterManager.getFilters());
+    }
+
+    getWatchlistSummary(list) {
+        const { refreshInterval, rule, filters, sortBy } = list.settings;
+        const parts = [`${list.members.length} streamer${list.members.length === 1 ? '' : 's'}`];
+
+        if (refreshInterval) parts.push(`refresh every ${refreshInterval}s`);
+        if (rule) parts.push(`notifications: ${rule.notify}`);
+        if (filters || sortBy) parts.push('own view defaults');
+
+        return parts.join(' · ');
+    }
+
+    getWatchlistManagerHTML() {
+        const watchlists = this.storage.getWatchlists();
+
+        return `
+            <div class="settings-form">
+                ${watchlists.length === 0 ? '<p class="analytics-empty">No watchlists yet. Add streamers to a list from their card menu.</p>' : `
+                    <ul class="watchlist-list">
+                        ${watchlists.map(list => `
+                            <li class="watchlist-item">
+                                <span class="watchlist-name">${this.escapeHTML(list.name)}</span>
+                                <span class="watchlist-meta">${this.getWatchlistSummary(list)}</span>
+                                <button type="button" class="btn btn-secondary" data-action="edit-watchlist" data-id="${list.id}">Edit</button>
+                                <button type="button" class="btn btn-secondary" data-action="export-watchlist" data-id="${list.id}">Export</button>
+                                <button type="button" class="btn btn-secondary" data-action="delete-watchlist" data-id="${list.id}">Delete</button>
+                            </li>
+                        `).join('')}
+                    </ul>
+                `}
+                <div class="settings-row inline">
+                    <button type="button" class="btn btn-primary" data-action="create-watchlist">New list</button>
+                    <label class="btn btn-secondary">
+                        Import list
+                        <input type="file" accept="application/json,.json" data-action="import-watchlist" hidden>
+                    </label>
+                </div>
+            </div>
+        `;
+    }
+
+    showWatchlistManager() {
+        const modal = this.uiManager.showModal('watchlists', this.getWatchlistManagerHTML(), {
+            title: 'Watchlists',
+            size: 'medium'
+        });
+
+        modal.element.addEventListener('click', async (e) => {
+            const { action, id } = e.target.dataset;
+            const watchlist = id ? this.storage.getWatchlist(id) : null;
+
+            if (action === 'create-watchlist') {
+                e.preventDefault();
+                const name = await this.uiManager.showInputDialog('Name of the new watchlist', {
+                    title: 'New watchlist',
+                    placeholder: 'e.g. IRL',
+                    submitText: 'Create',
+                    required: true
+                });
+                if (name) {
+                    this.storage.createWatchlist(name);
+                }
+            } else if (action === 'edit-watchlist' && watchlist) {
+                e.preventDefault();
+                this.showWatchlistSettings(watchlist);
+            } else if (action === 'export-watchlist' && watchlist) {
+                e.preventDefault();
+                this.exportWatchlist(watchlist);
+            } else if (action === 'delete-watchlist' && watchlist) {
+                e.preventDefault();
+                const confirmed = await this.uiManager.showConfirmDialog(
+                    `Delete the watchlist "${watchlist.name}"? The streamers stay monitored.`,
+                    { title: 'Delete watchlist', confirmText: 'Delete' }
+                );
+                if (confirmed) {
+                    this.storage.deleteWatchlist(watchlist.id);
+                    this.uiManager.showToast(`Deleted ${watchlist.name}`, 'success');
+                }
+            }
+        });
+
+        modal.element.addEventListener('change', (e) => {
+            if (e.target.dataset.action === 'import-watchlist') {
+                this.importWatchlist(e.target);
+            }
+        });
+    }
+
+    exportWatchlist(watchlist) {
+        const data = this.storage.exportWatchlist(watchlist.id);
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const slug = watchlist.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'list';
+
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `watchlist-${slug}.json`;
+        a.click();
+
+        URL.revokeObjectURL(url);
+    }
+
+    async importWatchlist(input) {
+        const file = input.files[0];
+        input.value = '';
+        if (!file) return;
+
+        let watchlist;
+        try {
+            watchlist = this.storage.importWatchlist(JSON.parse(await file.text()));
+        } catch (error) {
+            console.error('Failed to import watchlist:', error);
+            this.uiManager.showToast(`Failed to import watchlist: ${error.message}`, 'error');
+            return;
+        }
+
+        this.uiManager.showToast(`Imported ${watchlist.name}`, 'success');
+
+        // A shared list can name streamers this browser doesn't monitor yet
+        const monitored = new Set(this.streamerManager.getStreamers().map(s => s.name));
+        const missing = watchlist.members.filter(name => !monitored.has(name));
+        if (missing.length === 0) return;
+
+        const confirmed = await this.uiManager.showConfirmDialog(
+            `${missing.length} streamer${missing.length === 1 ? ' is' : 's are'} on ${watchlist.name} but not monitored yet. Add ${missing.length === 1 ? 'it' : 'them'}?`,
+            { title: 'Import watchlist', confirmText: 'Add' }
+        );
+        if (!confirmed) return;
+
+        for (const name of missing) {
+            try {
+                await this.streamerManager.addStreamer(name);
+            } catch (error) {
+                console.error(`Failed to add ${name}:`, error);
+                this.uiManager.showToast(`Failed to add ${name}`, 'error');
+            }
+        }
+    }
+
+    showWatchlistSettings(watchlist) {
+        const modalId = 'watchlist-settings';
+        const { refreshInterval, rule, filters, sortBy } = watchlist.settings;
+        const currentRule = rule || { notify: 'default' };
+        const modes = {
+            default: 'Use global notification settings',
+            always: 'Always notify',
+            never: 'Never notify',
+            filtered: 'Only when these conditions match'
+        };
+
+        const content = `
+            <form class="settings-form" novalidate>
+                <label class="settings-row">
+                    <span>Name</span>
+                    <input type="text" name="name" value="${this.escapeHTML(watchlist.name)}">
+                </label>
+                <label class="settings-row">
+                    <span>Refresh interval for this list (seconds, 0 = global setting)</span>
+                    <input type="number" name="refreshInterval" min="0" max="${WATCHLIST_REFRESH_RANGE.max}" step="1" value="${refreshInterval || 0}">
+                </label>
+                <label class="settings-row">
+                    <span>Notifications</span>
+                    <select name="notify">
+                        ${Object.entries(modes).map(([value, label]) => `
+                            <option value="${value}" ${value === currentRule.notify ? 'selected' : ''}>${label}</option>
+                        `).join('')}
+                    </select>
+                </label>
+                <label class="settings-row">
+                    <span>Only above this many viewers</span>
+                    <input type="number" name="minViewers" min="0" step="1" value="${currentRule.minViewers || 0}">
+                </label>
+                <label class="settings-row">
+                    <span>Only for categories (comma separated)</span>
+                    <input type="text" name="categories" value="${this.escapeHTML((currentRule.categories || []).join(', '))}">
+                </label>
+                <label class="settings-row">
+                    <span>Filter and sort when switching to this list</span>
+                    <select name="viewDefaults">
+                        ${filters || sortBy ? '<option value="keep">Keep saved defaults</option>' : ''}
+                        <option value="current">Use the current filters and sort</option>
+                        <option value="none" ${filters || sortBy ? '' : 'selected'}>Keep whatever is selected</option>
+                    </select>
+                </label>
+                <p class="analytics-empty">Per-streamer notification rules still win over list rules.</p>
+                <ul class="settings-errors" aria-live="polite"></ul>
+                <div class="settings-actions">
+                    <button type="submit" class="btn btn-primary">Save</button>
+                </div>
+            </form>
+        `;
+
+        const modal = this.uiManager.showModal(modalId, content, {
+            title: `Watchlist: ${watchlist.name}`,
+            size: 'small'
+        });
+
+        modal.element.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const form = e.target;
+            const field = (name) => form.querySelector(`[name="${name}"]`);
+            const name = field('name').value.trim();
+            const interval = Number(field('refreshInterval').value);
+            const notify = field('notify').value;
+            const minViewers = Number(field('minViewers').value);
+            const categories = field('categories').value.split(',').map(c => c.trim()).filter(Boolean);
+
+            const errors = [];
+            if (!name) {
+                errors.push('The list needs a name');
+            }
+            const { min, max } = WATCHLIST_REFRESH_RANGE;
+            if (!Number.isInteger(interval) || interval < 0 || interval > max) {
+                errors.push(`Refresh interval must be between 0 and ${max} seconds`);
+            } else if (interval > 0 && interval < min) {
+                errors.push(`Refresh interval must be at least ${min} seconds to respect rate limits`);
+            }
+            if (!Number.isInteger(minViewers) || minViewers < 0) {
+                errors.push('Viewer count must be a whole number of 0 or more');
+            }
+            if (errors.length > 0) {
+                form.querySelector('.settings-errors').innerHTML = errors.map(error => `<li>${error}</li>`).join('');
+                return;
+            }
+
+            const settings = {
+                refreshInterval: interval || null,
+                rule: notify === 'default' ? null : { notify, minViewers, categories }
+            };
+
+            const viewDefaults = field('viewDefaults').value;
+            if (viewDefaults === 'current') {
+                // Search and the list itself are not part of a list's defaults
+                const { search, watchlist: activeList, ...currentFilters } = this.filterManager.getFilters();
+                settings.filters = currentFilters;
+                settings.sortBy = this.filterManager.getSortBy();
+                settings.sortDirection = this.filterManager.getSortDirection();
+            } else if (viewDefaults === 'none') {
+                settings.filters = null;
+                settings.sortBy = null;
+                settings.sortDirection = null;
+            }
+
+            this.storage.updateWatchlist(watchlist.id, { name, settings });
+            this.uiManager.closeModal(modalId);
+            this.uiManager.showToast(`Saved ${name}`, 'success');
+        });
+    }
+
+    // Which lists a streamer is on, from the card menu
+    showWatchlistMembership(streamer) {
+        const modalId = 'watchlist-membership';
+        const watchlists = this.storage.getWatchlists();
+        const current = new Set(this.storage.getWatchlistsFor(streamer.name).map(list => list.id));
+
+        const content = `
+            <form class="settings-form" novalidate>
+                ${watchlists.length > 0 ? `
+                    <ul class="watchlist-list">
+                        ${watchlists.map(list => `
+                            <li>
+                                <label class="settings-row checkbox">
+                                    <input type="checkbox" name="watchlist" value="${list.id}" ${current.has(list.id) ? 'checked' : ''}>
+                                    <span>${this.escapeHTML(list.name)}</span>
+                                </label>
+                            </li>
+                        `).join('')}
+                    </ul>
+                ` : ''}
+                <label class="settings-row">
+                    <span>Add to a new list</span>
+                    <input type="text" name="newList" placeholder="List name">
+                </label>
+                <div class="settings-actions">
+                    <button type="submit" class="btn btn-primary">Save</button>
+                </div>
+            </form>
+        `;
+
+        const modal = this.uiManager.showModal(modalId, content, {
+            title: `Watchlists for ${streamer.displayName}`,
+            size: 'small'
+        });
+
+        modal.element.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const form = e.target;
+            const checked = new Set(Array.from(form.querySelectorAll('[name="watchlist"]:checked')).map(input => input.value));
+            const newList = form.querySelector('[name="newList"]').value.trim();
+
+            watchlists.forEach(list => {
+                this.storage.setWatchlistMember(list.id, streamer.name, checked.has(list.id));
+            });
+            if (newList) {
+                this.storage.createWatchlist(newList, [streamer.name]);
+            }
+
+            this.uiManager.closeModal(modalId);
+            this.uiManager.showToast(`Watchlists updated for ${streamer.displayName}`, 'success');
+        });
+    }
+
+    // Streamer card context menu
+    showContextMenu(target, streamer, options = {}) {
+        const isFavorite = this.storage.isFavorite(streamer.name);
+        const isMuted = this.notificationManager.isMuted(streamer.name);
+        
+        const items = [
+            {
+                action: 'open',
+                label: 'Open stream',
+                icon: '↗',
+                callback: () => window.open(streamer.url, '_blank', 'noopener')
+            },
+            {
+                action: 'copy-url',
+                label: 'Copy URL',
+                icon: '🔗',
+                callback: () => this.copyStreamerURL(streamer)
+            },
+            { separator: true },
+            {
+                action: 'toggle-favorite',
+                label: isFavorite ? 'Remove from favorites' : 'Add to favorites',
+                icon: isFavorite ? '☆' : '⭐',
+                callback: () => this.toggleFavorite(streamer.name)
+            },
+            {
+                action: 'toggle-mute',
+                label: isMuted ? 'Unmute notifications' : 'Mute notifications',
+                icon: isMuted ? '🔔' : '🔕',
+                callback: () => this.toggleMute(streamer.name)
+            },
+            {
+                action: 'watchlists',
+                label: 'Watchlists…',
+                icon: '📋',
+                callback: () => this.showWatchlistMembership(streamer)
+            },
+            {
+                action: 'notification-rules',
+                label: 'Notification rules…',
+                icon: '⚙️',
+                callback: () => this.showStreamerRulesDialog(streamer)
+            },
+            {
+                action: 'analytics',
+                label: 'View analytics',
+                icon: '📊',
+                callback: () => this.showAnalytics(streamer.name)
+            },
+            { separator: true },
+            {
+                action: 'remove',
+                label: 'Remove streamer',
+                icon: '🗑',
+                danger: true,
+                callback: () => this.confirmRemoveStreamer(streamer)
+            }
+        ];
+        
+        // Anchor to the target when there is no pointer position
+        let { x, y } = options;
+        if (x === undefined || y === undefined) {
+            const rect = target.getBoundingClientRect();
+            x = rect.left;
+            y = rect.bottom;
+        }
+        
+        this.uiManager.showContextMenu(x, y, items, {
+            focusFirst: Boolean(options.keyboard),
+            returnFocus: options.keyboard ? target : null
+        });
+    }
+
+    async copyStreamerURL(streamer) {
+        try {
+            await navigator.clipboard.writeText(streamer.url);
+            this.uiManager.showToast('Stream URL copied', 'success');
+        } catch (error) {
+            console.error('Failed to copy URL:', error);
+            this.uiManager.showToast('Failed to copy URL', 'error');
+        }
+    }
+
+    toggleMute(streamerName) {
+        const isMuted = this.notificationManager.toggleMute(streamerName);
+        this.uiManager.showToast(
+            `Notifications ${isMuted ? 'muted' : 'unmuted'} for ${streamerName}`,
+            'info'
+        );
+    }
+
+    showStreamerRulesDialog(streamer) {
+        const modalId = 'streamer-rules';
+        const rule = this.storage.getStreamerRule(streamer.name) || { notify: 'default' };
+        const modes = {
+            default: 'Use global notification settings',
+            always: 'Always notify',
+            never: 'Never notify',
+            filtered: 'Only when these conditions match'
+        };
+        
+        const content = `
+            <form class="settings-form streamer-rules-form" novalidate>
+                <label class="settings-row">
+                    <span>Notifications</span>
+                    <select name="notify">
+                        ${Object.entries(modes).map(([value, label]) => `
+                            <option value="${value}" ${value === rule.notify ? 'selected' : ''}>${label}</option>
+                        `).join('')}
+                    </select>
+                </label>
+                <label class="settings-row">
+                    <span>Only above this many viewers</span>
+                    <input type="number" name="minViewers" min="0" step="1" value="${rule.minViewers || 0}">
+                </label>
+                <label class="settings-row">
+                    <span>Only for categories (comma separated)</span>
+                    <input type="text" name="categories" value="${this.escapeHTML((rule.categories || []).join(', '))}">
+                </label>
+                <ul class="settings-errors" aria-live="polite"></ul>
+                <div class="settings-actions">
+                    <button type="submit" class="btn btn-primary">Save</button>
+                </div>
+            </form>
+        `;
+        
+        const modal = this.uiManager.showModal(modalId, content, {
+            title: `Notifications for ${streamer.displayName}`,
+            size: 'small'
+        });
+        
+        modal.element.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const form = e.target;
+            const notify = form.querySelector('[name="notify"]').value;
+            const minViewers = Number(form.querySelector('[name="minViewers"]').value);
+            const categories = form.querySelector('[name="categories"]').value
+                .split(',').map(c => c.trim()).filter(Boolean);
+            
+            if (!Number.isInteger(minViewers) || minViewers < 0) {
+                form.querySelector('.settings-errors').innerHTML = '<li>Viewer count must be a whole number of 0 or more</li>';
+                return;
+            }
+            
+            if (notify === 'default') {
+                this.storage.removeStreamerRule(streamer.name);
+            } else {
+                this.storage.setStreamerRule(streamer.name, { notify, minViewers, categories });
+            }
+            
+            this.uiManager.closeModal(modalId);
+            this.uiManager.showToast(`Notification rules saved for ${streamer.displayName}`, 'success');
+        });
+    }
+
+    // Proposes removing channels that no longer exist; renamed ones can be
+    // re-added under their new name
+    showDeadChannelCleanup() {
+        const deadChannels = this.streamerManager.getDeadChannels();
+        if (deadChannels.length === 0) {
+            this.uiManager.showToast('No dead channels found', 'info');
+            return;
+        }
+        
+        const modalId = 'dead-channel-cleanup';
+        const content = `
+            <form class="settings-form">
+                <p>These channels are missing, banned or renamed. Checked channels will be removed from the list.</p>
+                <ul class="dead-channel-list">
+                    ${deadChannels.map(streamer => `
+                        <li>
+                            <label class="settings-row checkbox">
+                                <input type="checkbox" name="remove" value="${this.escapeHTML(streamer.name)}" checked>
+                                <span>${this.escapeHTML(streamer.displayName)}</span>
+                                <span class="status channel-state channel-${streamer.channelState}">${this.getChannelStateLabel(streamer)}</span>
+                            </label>
+                            ${streamer.renamedTo ? `
+                                <label class="settings-row checkbox">
+                                    <input type="checkbox" name="replace" value="${this.escapeHTML(streamer.name)}" checked>
+                                    <span>Add ${this.escapeHTML(streamer.renamedTo)} instead</span>
+                                </label>
+                            ` : ''}
+                        </li>
+                    `).join('')}
+                </ul>
+                <div class="settings-actions">
+                    <button type="submit" class="btn btn-primary">Remove selected</button>
+                </div>
+            </form>
+        `;
+        
+        const modal = this.uiManager.showModal(modalId, content, {
+            title: 'Clean up dead channels',
+            size: 'small'
+        });
+        
+        modal.element.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const form = e.target;
+            const checked = (name) => Array.from(form.querySelectorAll(`[name="${name}"]:checked`)).map(input => input.value);
+            const replace = new Set(checked('replace'));
+            const removals = checked('remove');
+            
+            this.uiManager.closeModal(modalId);
+            
+            let removed = 0;
+            for (const name of removals) {
+                const streamer = this.streamerManager.getStreamer(name);
+                try {
+                    await this.streamerManager.removeStreamer(name);
+                    this.pollScheduler.forget(name);
+                    removed++;
+                    
+                    if (replace.has(name) && streamer?.renamedTo) {
+                        await this.streamerManager.addStreamer({ platform: streamer.platform, name: streamer.renamedTo });
+                    }
+                } catch (error) {
+                    console.error(`Failed to clean up ${name}:`, error);
+                    this.uiManager.showToast(`Failed to remove ${streamer?.displayName || name}`, 'error');
+                }
+            }
+            
+            if (removed > 0) {
+                this.uiManager.showToast(`Removed ${removed} dead channel${removed === 1 ? '' : 's'}`, 'success');
+            }
+        });
+    }
+
+    async switchListBackend(backendId, strategy) {
+        try {
+            this.uiManager.showToast('Switching list source...', 'info');
+            await this.streamerManager.switchListBackend(backendId, strategy);
+            this.uiManager.showToast(`List source set to ${this.streamerManager.getListStatus().label}`, 'success');
+        } catch (error) {
+            console.error('Failed to switch list source:', error);
+            this.uiManager.showToast(`Failed to switch list source: ${error.message}`, 'error');
+        }
+    }
+
+    async confirmRemoveStreamer(streamer) {
+        const confirmed = await this.uiManager.showConfirmDialog(
+            `Remove ${streamer.displayName} from the monitored list?`,
+            { title: 'Remove streamer', confirmText: 'Remove' }
+        );
+        
+        if (!confirmed) return;
+        
+        try {
+            await this.streamerManager.removeStreamer(streamer.name);
+            this.pollScheduler.forget(streamer.name);
+            this.uiManager.showToast(`Removed ${streamer.displayName}`, 'success');
+        } catch (error) {
+            console.error('Failed to remove streamer:', error);
+            this.uiManager.showToast(`Failed to remove ${streamer.displayName}`, 'error');
+        }
+    }
+
+    closeModals() {
+        this.uiManager.closeAllModals();
     }
 
     showErrorState(error) {
@@ -0,0 +1,184 @@
+// Milestone Detector - Spots viewer and duration milestones in live refreshes
+export class MilestoneDetector {
+    constructor(storage, historyManager) {
+        this.storage = storage;
+        this.historyManager = historyManager;
+        this.eventListeners = new Map();
+        this.firedMilestones = {};
+        this.retentionMs = 48 * 60 * 60 * 1000; // Forget sessions after 2 days
+        this.settings = this.getDefaultSettings();
+    }
+
+    // Event system
+    on(event, callback) {
+        if (!this.eventListeners.has(event)) {
+            this.eventListeners.set(event, []);
+        }
+        this.eventListeners.get(event).push(callback);
+    }
+
+    emit(event, data) {
+        if (this.eventListeners.has(event)) {
+            this.eventListeners.get(event).forEach(callback => {
+                try {
+                    callback(data);
+                } catch (error) {
+                    console.error('Milestone event listener error:', error);
+                }
+            });
+        }
+    }
+
+    init() {
+        this.loadFiredMilestones();
+        this.pruneFiredMilestones();
+    }
+
+    getDefaultSettings() {
+        return {
+            enabled: true,
+            viewerThresholds: [1000, 5000, 10000],
+            personalPeak: true,
+            durationHours: [4, 8, 12]
+        };
+    }
+
+    setSettings(settings = {}) {
+        this.settings = { ...this.getDefaultSettings(), ...settings };
+    }
+
+    // Fired milestones are persisted so a reload does not repeat them
+    loadFiredMilestones() {
+        this.firedMilestones = this.storage.get('firedMilestones', {});
+    }
+
+    saveFiredMilestones() {
+        this.storage.set('firedMilestones', this.firedMilestones);
+    }
+
+    pruneFiredMilestones() {
+        const cutoff = Date.now() - this.retentionMs;
+        let pruned = false;
+
+        for (const [sessionKey, entry] of Object.entries(this.firedMilestones)) {
+            if (entry.lastSeen < cutoff) {
+                delete this.firedMilestones[sessionKey];
+                pruned = true;
+            }
+        }
+
+        if (pruned) {
+            this.saveFiredMilestones();
+        }
+    }
+
+    // Main detection method, called with every refreshed streamer list
+    check(streamers) {
+        if (!this.settings.enabled) return [];
+
+        const detected = [];
+        const now = Date.now();
+
+        streamers.forEach(streamer => {
+            if (!streamer.live || streamer.error) return;
+
+            // Without a session there is nothing to deduplicate against yet;
+            // the next refresh that records the stream opens one
+            const sessionKey = this.getSessionKey(streamer);
+            if (!sessionKey) return;
+
+            let entry = this.firedMilestones[sessionKey];
+            if (!entry) {
+                entry = { fired: [], lastSeen: now };
+                this.firedMilestones[sessionKey] = entry;
+            }
+            entry.lastSeen = now;
+
+            const newMilestones = this.getMilestones(streamer, now)
+                .filter(milestone => !entry.fired.includes(milestone.id));
+
+            // Passing several thresholds at once (e.g. first refresh after a
+            // reload) only announces the highest one in each group
+            const highestByGroup = new Map();
+            newMilestones.forEach(milestone => {
+                entry.fired.push(milestone.id);
+                highestByGroup.set(milestone.group, milestone);
+            });
+
+            highestByGroup.forEach(milestone => {
+                detected.push({ streamer, milestone });
+            });
+        });
+
+        this.saveFiredMilestones();
+        detected.forEach(event => this.emit('milestone', event));
+
+        return detected;
+    }
+
+    // HistoryManager's session id, which survives reconnects and restarts it
+    // stitched together. Null until history has opened a session.
+    getSessionKey(streamer) {
+        const sessionId = this.historyManager.getCurrentSessionId(streamer.name);
+        return sessionId ? `${streamer.name}:${sessionId}` : null;
+    }
+
+    getMilestones(streamer, now) {
+        const milestones = [];
+        const viewers = streamer.viewers || 0;
+
+        // Viewer count thresholds
+        [...this.settings.viewerThresholds].sort((a, b) => a - b).forEach(threshold => {
+            if (viewers >= threshold) {
+                milestones.push({
+                    id: `viewers-${threshold}`,
+                    group: 'viewers',
+                    type: `${this.formatNumber(threshold)} viewers`,
+                    message: `Passed ${threshold.toLocaleString()} viewers`,
+                    value: viewers
+                });
+            }
+        });
+
+        // New personal peak compared with previous sessions
+        if (this.settings.personalPeak) {
+            const previousPeak = this.historyManager.getPreviousPeak(streamer.name);
+            if (previousPeak > 0 && viewers > previousPeak) {
+                milestones.push({
+                    id: 'personal-peak',
+                    group: 'peak',
+                    type: 'a new peak',
+                    message: `${viewers.toLocaleString()} viewers beats the previous peak of ${previousPeak.toLocaleString()}`,
+                    value: viewers
+                });
+            }
+        }
+
+        // Stream duration
+        if (streamer.streamStartTime) {
+            const hoursLive = (now - streamer.streamStartTime) / (60 * 60 * 1000);
+            [...this.settings.durationHours].sort((a, b) => a - b).forEach(hours => {
+                if (hoursLive >= hours) {
+                    milestones.push({
+                        id: `duration-${hours}h`,
+                        group: 'duration',
+                        type: `${hours} hours live`,
+                        message: `Has been streaming for ${hours} hours`,
+                        value: hours
+                    });
+                }
+            });
+        }
+
+        return milestones;
+    }
+
+    formatNumber(num) {
+        return num >= 1000 ? `${num / 1000}K` : String(num);
+    }
+
+    clear() {
+        this.firedMilestones = {};
+        this.storage.remove('firedMilestones');
+    }
+}
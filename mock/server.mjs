@@ -0,0 +1,425 @@
+// Local stand-in for the Kick, Twitch and YouTube APIs plus the list worker.
+//
+//   node mock/server.mjs [--port 8787] [--script mock/scenarios/reconnect.json]
+//                        [--secret <list secret>] [--token-ttl <seconds>]
+//
+// Open the app with ?api=http://localhost:8787 to route every request here.
+// Channels start from the recorded JSON in mock/fixtures/<platform>/<name>.json
+// and can be switched at runtime:
+//
+//   POST /__mock/scenario  { "channel": "kick:xqc", "scenario": "offline" }
+//   POST /__mock/reset
+//   GET  /__mock/state
+//
+// List changes on /worker need a token from { "action": "login", "secret" };
+// without --secret (or MOCK_LIST_SECRET) a random one is printed at startup.
+// /api/update mirrors api/update.js and takes the secret itself as bearer.
+//
+// Scenarios: live, offline, rate-limit, malformed, slow, cloudflare,
+// not-found, banned, renamed (with "renamedTo") and normal. "channel": "*"
+// applies one to every channel.
+import http from 'node:http';
+import { readFileSync, readdirSync, existsSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { randomBytes } from 'node:crypto';
+import { toOperations, validateOperation, applyOperations } from '../api/update.js';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = dirname(fileURLToPath(import.meta.url));
+const FIXTURES = join(ROOT, 'fixtures');
+const PLATFORMS = ['kick', 'twitch', 'youtube'];
+
+const args = parseArgs(process.argv.slice(2));
+const port = Number(args.port || process.env.PORT || 8787);
+const listSecret = args.secret || process.env.MOCK_LIST_SECRET || randomBytes(6).toString('hex');
+const tokenTtlMs = Number(args['token-ttl'] || 900) * 1000;
+const tokens = new Map(); // token -> expiresAt
+
+let channels = loadFixtures();
+let globalScenario = null;
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  log(req.method, url.pathname + url.search);
+
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Headers', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  if (req.method === 'OPTIONS') return send(res, 204);
+
+  try {
+    await route(req, res, url);
+  } catch (err) {
+    send(res, 500, { error: err.message });
+  }
+});
+
+async function route(req, res, url) {
+  const path = url.pathname;
+
+  // Control API
+  if (path === '/__mock/state') return send(res, 200, { globalScenario, channels: Object.fromEntries(channels) });
+  if (path === '/__mock/reset' && req.method === 'POST') {
+    channels = loadFixtures();
+    globalScenario = null;
+    return send(res, 200, { ok: true });
+  }
+  if (path === '/__mock/scenario' && req.method === 'POST') {
+    const body = await readBody(req);
+    applyScenario(body);
+    return send(res, 200, { ok: true });
+  }
+
+  // Channel list, as served from the gist / worker
+  if (path === '/streamers.json') return send(res, 200, listEntries());
+  if (path === '/worker') return handleWorker(req, res, url);
+  if (path === '/api/update') return handleUpdateApi(req, res);
+
+  // Platform APIs
+  let match = path.match(/^\/kick\/api\/v1\/channels\/([^/]+)$/);
+  if (match) return serveChannel(res, 'kick', match[1], kickPayload);
+
+  match = path.match(/^\/twitch\/helix\/(streams|users)$/);
+  if (match) {
+    const login = url.searchParams.get(match[1] === 'streams' ? 'user_login' : 'login');
+    return serveChannel(res, 'twitch', login, (channel) => twitchPayload(channel, match[1]), { missing: { data: [] } });
+  }
+
+  if (path === '/youtube/v3/search') return handleYouTubeSearch(res, url);
+  if (path === '/youtube/v3/videos') {
+    const channel = findYouTubeChannel((c) => youtubeVideo(c).id === url.searchParams.get('id'));
+    return serveChannel(res, 'youtube', channel?.name, (c) => ({ items: c.live ? [youtubeVideo(c)] : [] }), { missing: { items: [] } });
+  }
+
+  send(res, 404, { error: `No mock route for ${path}` });
+}
+
+// Responds for one channel, honouring its scenario
+async function serveChannel(res, platform, name, buildPayload, options = {}) {
+  const channel = name ? channels.get(`${platform}:${name.toLowerCase()}`) : null;
+  const scenario = takeScenario(channel);
+
+  if (scenario?.type === 'slow') await sleep(scenario.delayMs || 5000);
+  if (scenario?.type === 'rate-limit') return send(res, 429, { error: 'Too Many Requests' }, { 'Retry-After': '2' });
+  if (scenario?.type === 'cloudflare') return sendRaw(res, 403, '<html><title>Just a moment...</title></html>', 'text/html');
+  if (scenario?.type === 'malformed') return sendRaw(res, 200, '{"livestream": {"session_title": ', 'application/json');
+
+  if (!channel || channel.notFound) {
+    return options.missing ? send(res, 200, options.missing) : send(res, 404, { message: 'Not found' });
+  }
+
+  jitterViewers(channel);
+  send(res, 200, buildPayload(channel));
+}
+
+// Per-channel scenarios win over the global one; counted ones run out
+function takeScenario(channel) {
+  const scenario = channel?.scenario || globalScenario;
+  if (!scenario) return null;
+
+  if (scenario.count !== undefined) {
+    scenario.count--;
+    if (scenario.count <= 0) {
+      if (channel?.scenario === scenario) channel.scenario = null;
+      else globalScenario = null;
+    }
+  }
+  return scenario;
+}
+
+function applyScenario({ channel: key, scenario, count, delayMs, viewers, title, category, renamedTo }) {
+  const targets = key === '*' ? [...channels.values()] : [getOrCreateChannel(key)];
+  const timed = { type: scenario, count, delayMs };
+
+  if (key === '*' && scenario === 'normal') globalScenario = null;
+
+  if (key === '*' && ['rate-limit', 'malformed', 'slow', 'cloudflare'].includes(scenario)) {
+    globalScenario = timed;
+    return;
+  }
+
+  for (const channel of targets) {
+    switch (scenario) {
+      case 'live':
+        channel.notFound = false;
+        channel.live = true;
+        channel.startedAt = new Date().toISOString();
+        if (viewers !== undefined) channel.viewers = viewers;
+        if (title !== undefined) channel.title = title;
+        if (category !== undefined) channel.category = category;
+        break;
+      case 'offline':
+        channel.live = false;
+        break;
+      case 'not-found':
+        channel.notFound = true;
+        break;
+      case 'banned':
+        channel.banned = true;
+        channel.live = false;
+        break;
+      case 'renamed':
+        channel.renamedTo = (renamedTo || `${channel.name}_new`).toLowerCase();
+        break;
+      case 'normal':
+        channel.scenario = null;
+        channel.notFound = false;
+        channel.banned = false;
+        channel.renamedTo = null;
+        break;
+      default:
+        channel.scenario = timed;
+    }
+  }
+}
+
+function getOrCreateChannel(key) {
+  const [platform, name] = key.includes(':') ? key.split(':') : ['kick', key];
+  const id = `${platform}:${name.toLowerCase()}`;
+  if (!channels.has(id)) {
+    channels.set(id, {
+      platform, name: name.toLowerCase(), live: false, viewers: 0, title: 'Mock stream',
+      category: 'Just Chatting', startedAt: null, notFound: false, scenario: null, data: {}
+    });
+  }
+  return channels.get(id);
+}
+
+// Payload builders, starting from the recorded fixture
+function kickPayload(channel) {
+  const data = structuredClone(channel.data);
+  data.slug = channel.renamedTo || data.slug || channel.name;
+  data.user = data.user || { username: channel.name, profile_pic: null };
+  if (channel.banned) data.is_banned = true;
+  data.livestream = channel.live ? {
+    ...(data.livestream || {}),
+    session_title: channel.title,
+    viewer_count: channel.viewers,
+    created_at: channel.startedAt,
+    categories: [{ name: channel.category }]
+  } : null;
+  return data;
+}
+
+function twitchPayload(channel, resource) {
+  const user = channel.data.user || { login: channel.name, display_name: channel.name };
+  if (resource === 'users') return { data: [user] };
+  if (!channel.live) return { data: [] };
+  return {
+    data: [{
+      ...(channel.data.stream || { thumbnail_url: 'https://static-cdn.jtvnw.net/previews-ttv/mock-{width}x{height}.jpg' }),
+      type: 'live',
+      title: channel.title,
+      viewer_count: channel.viewers,
+      game_name: channel.category,
+      started_at: channel.startedAt
+    }]
+  };
+}
+
+function handleYouTubeSearch(res, url) {
+  const channelId = url.searchParams.get('channelId');
+  if (channelId) {
+    const channel = findYouTubeChannel((c) => youtubeChannelId(c) === channelId);
+    return serveChannel(res, 'youtube', channel?.name, (c) => ({
+      items: c.live ? [{ id: { videoId: youtubeVideo(c).id }, snippet: youtubeVideo(c).snippet }] : []
+    }), { missing: { items: [] } });
+  }
+
+  const q = (url.searchParams.get('q') || '').toLowerCase();
+  return serveChannel(res, 'youtube', q, (c) => ({
+    items: [{ id: { channelId: youtubeChannelId(c) }, snippet: c.data.channel?.snippet || { title: c.name } }]
+  }), { missing: { items: [] } });
+}
+
+function youtubeVideo(channel) {
+  const video = channel.data.video || { id: `mock-${channel.name}`, snippet: {} };
+  return {
+    ...video,
+    snippet: { ...video.snippet, title: channel.title },
+    liveStreamingDetails: { actualStartTime: channel.startedAt, concurrentViewers: String(channel.viewers) }
+  };
+}
+
+function youtubeChannelId(channel) {
+  return channel.data.channel?.id || `mock-${channel.name}`;
+}
+
+function findYouTubeChannel(predicate) {
+  return [...channels.values()].find((c) => c.platform === 'youtube' && predicate(c));
+}
+
+// Worker: list GET/POST, Twitch token refresh and the Kick proxy
+async function handleWorker(req, res, url) {
+  const proxyTarget = url.searchParams.get('proxyTarget');
+  if (proxyTarget) {
+    const target = new URL(proxyTarget);
+    return route(req, res, target);
+  }
+
+  // The list is public; API keys only go to signed-in clients
+  if (req.method === 'GET') {
+    return send(res, 200, {
+      streamers: [...channels.values()].map(({ platform, name }) => ({ platform, name })),
+      config: isAuthorized(req) ? { twitchClientId: 'mock-client', twitchAccessToken: 'mock-token', youtubeApiKey: 'mock-key' } : {}
+    });
+  }
+
+  const body = await readBody(req);
+  if (body.action === 'login') {
+    if (body.secret !== listSecret) return sendRaw(res, 401, 'Wrong secret', 'text/plain');
+    const token = randomBytes(16).toString('hex');
+    const expiresAt = Date.now() + tokenTtlMs;
+    tokens.set(token, expiresAt);
+    return send(res, 200, { token, expiresAt });
+  }
+
+  if (!isAuthorized(req)) return sendRaw(res, 401, 'Sign in to change the streamer list', 'text/plain');
+
+  const key = (entry) => `${entry.platform || 'kick'}:${String(entry.name).toLowerCase()}`;
+  switch (body.action) {
+    case 'refreshTwitchToken':
+      return send(res, 200, { twitchAccessToken: `mock-token-${Date.now()}` });
+    case 'add':
+      getOrCreateChannel(key(body));
+      return send(res, 200, { ok: true });
+    case 'remove':
+      channels.delete(key(body));
+      return send(res, 200, { ok: true });
+    case 'reorder':
+    case 'bulkReplace': {
+      const next = new Map();
+      for (const entry of body.list || []) {
+        const id = key(entry);
+        next.set(id, channels.get(id) || getOrCreateChannel(id));
+      }
+      // Reordering keeps channels that were left out, at the end
+      if (body.action === 'reorder') channels.forEach((channel, id) => next.has(id) || next.set(id, channel));
+      channels = next;
+      return send(res, 200, { ok: true });
+    }
+  }
+  send(res, 400, { error: 'Unknown worker request' });
+}
+
+// api/update.js stand-in: same operations, the list secret as bearer token
+async function handleUpdateApi(req, res) {
+  const list = [...channels.values()].map(({ platform, name }) => ({ platform, name }));
+  if (req.method === 'GET') return send(res, 200, { streamers: list });
+  if (req.headers.authorization !== `Bearer ${listSecret}`) return send(res, 401, { error: 'Unauthorized' });
+
+  let operations;
+  let invalid;
+  try {
+    operations = toOperations(await readBody(req));
+    invalid = operations.map(validateOperation).find(Boolean);
+  } catch (err) {
+    return send(res, 400, { error: err instanceof SyntaxError ? 'Invalid JSON body' : err.message });
+  }
+  if (invalid) return send(res, 400, { error: invalid });
+
+  const result = applyOperations(list, operations);
+  channels = new Map(result.list.map(({ platform, name }) => [`${platform}:${name}`, getOrCreateChannel(`${platform}:${name}`)]));
+  send(res, 200, { message: result.changed ? 'Updated' : 'No changes', results: result.results });
+}
+
+function isAuthorized(req) {
+  const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+  const expiresAt = tokens.get(token);
+  if (!expiresAt) return false;
+  if (expiresAt <= Date.now()) {
+    tokens.delete(token);
+    return false;
+  }
+  return true;
+}
+
+function listEntries() {
+  return [...channels.values()].map(({ platform, name }) => (platform === 'kick' ? name : { platform, name }));
+}
+
+// Fixtures
+function loadFixtures() {
+  const loaded = new Map();
+  for (const platform of PLATFORMS) {
+    const dir = join(FIXTURES, platform);
+    if (!existsSync(dir)) continue;
+
+    for (const file of readdirSync(dir).filter((f) => f.endsWith('.json'))) {
+      const name = file.replace(/\.json$/, '').toLowerCase();
+      const data = JSON.parse(readFileSync(join(dir, file), 'utf-8'));
+      loaded.set(`${platform}:${name}`, { platform, name, ...summarize(platform, data), notFound: false, scenario: null, data });
+    }
+  }
+  return loaded;
+}
+
+function summarize(platform, data) {
+  if (platform === 'kick') {
+    const ls = data.livestream;
+    return { live: !!ls, viewers: ls?.viewer_count || 0, title: ls?.session_title || 'Mock stream', category: ls?.categories?.[0]?.name || 'Just Chatting', startedAt: ls?.created_at || null };
+  }
+  if (platform === 'twitch') {
+    const st = data.stream;
+    return { live: !!st, viewers: st?.viewer_count || 0, title: st?.title || 'Mock stream', category: st?.game_name || 'Just Chatting', startedAt: st?.started_at || null };
+  }
+  const details = data.video?.liveStreamingDetails;
+  return { live: !!data.video, viewers: Number(details?.concurrentViewers || 0), title: data.video?.snippet?.title || 'Mock stream', category: 'YouTube Live', startedAt: details?.actualStartTime || null };
+}
+
+function jitterViewers(channel) {
+  if (!channel.live || !channel.viewers) return;
+  const change = Math.round(channel.viewers * (Math.random() - 0.5) * 0.1);
+  channel.viewers = Math.max(1, channel.viewers + change);
+}
+
+// Scripted timeline: [{ "after": ms, "channel": "...", "scenario": "..." }]
+function runScript(file) {
+  const steps = JSON.parse(readFileSync(file, 'utf-8'));
+  for (const step of steps) {
+    setTimeout(() => {
+      log('script', `${step.channel} -> ${step.scenario}`);
+      applyScenario(step);
+    }, step.after || 0).unref();
+  }
+}
+
+// Helpers
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function sendRaw(res, status, body, contentType) {
+  res.writeHead(status, { 'Content-Type': contentType });
+  res.end(body);
+}
+
+async function readBody(req) {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  const raw = Buffer.concat(chunks).toString('utf-8');
+  return raw ? JSON.parse(raw) : {};
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function parseArgs(argv) {
+  const parsed = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) parsed[argv[i].slice(2)] = argv[i + 1];
+  }
+  return parsed;
+}
+
+function log(...parts) {
+  console.log(new Date().toISOString().slice(11, 19), ...parts);
+}
+
+server.listen(port, () => {
+  log(`Mock API listening on http://localhost:${port} with ${channels.size} channels`);
+  if (!args.secret && !process.env.MOCK_LIST_SECRET) log(`List secret for this run: ${listSecret}`);
+  if (args.script) runScript(args.script);
+});
@@ -1,20 +1,38 @@
 // Enhanced Notification Manager
 export class NotificationManager {
-    constructor() {
+    constructor(storage) {
+        this.storage = storage;
         this.eventListeners = new Map();
         this.notificationQueue = [];
+        this.deferredNotifications = [];
+        this.quietHoursTimer = null;
         this.isProcessing = false;
         this.settings = {
             enabled: true,
             sound: true,
             desktop: true,
-            favorites: true,
+            onlyFavorites: true,
+            offline: true,
             viewerThreshold: 0,
             categories: [],
+            milestones: {
+                enabled: true,
+                viewerThresholds: [1000, 5000, 10000],
+                personalPeak: true,
+                durationHours: [4, 8, 12]
+            },
+            changes: {
+                titleChanged: false,
+                categoryChanged: false,
+                streamRestarted: false,
+                viewersChanged: false,
+                viewerDelta: 1000 // Minimum jump for viewersChanged
+            },
             quietHours: {
                 enabled: false,
                 start: 22,
-                end: 8
+                end: 8,
+                mode: 'suppress' // suppress or defer (morning digest)
             },
             customSounds: {
                 live: null,
@@ -22,6 +40,7 @@ export class NotificationManager {
                 milestone: null
             }
         };
+        this.favorites = new Set();
         this.soundCache = new Map();
         this.lastNotifications = new Map();
         this.notificationCooldown = 5 * 60 * 1000; // 5 minutes
@@ -51,6 +70,17 @@ export class NotificationManager {
         try {
             // Load settings
             this.loadSettings();
+            this.loadDeferredNotifications();
+            
+            // Keep favorites in sync with StorageManager
+            this.favorites = new Set(this.storage.getFavorites());
+            this.storage.on('favoritesChanged', ({ favorites }) => {
+                this.favorites = new Set(favorites);
+                this.emit('favoritesUpdated', favorites);
+            });
+            
+            // Deliver the digest once quiet hours are over
+            this.startQuietHoursWatcher();
             
             // Request notification permission
             await this.requestPermission();
@@ -71,13 +101,39 @@ export class NotificationManager {
         const saved = localStorage.getItem('notificationSettings');
         if (saved) {
             try {
-                this.settings = { ...this.settings, ...JSON.parse(saved) };
+                const parsed = JSON.parse(saved);
+                this.migrateSettings(parsed);
+                this.settings = {
+                    ...this.settings,
+                    ...parsed,
+                    changes: { ...this.settings.changes, ...parsed.changes },
+                    quietHours: { ...this.settings.quietHours, ...parsed.quietHours }
+                };
             } catch (error) {
                 console.error('Failed to load notification settings:', error);
             }
         }
     }
 
+    // Rewrites settings saved by older versions, once
+    migrateSettings(parsed) {
+        if (!Array.isArray(parsed.mutedStreamers) && !('favorites' in parsed)) return;
+        
+        // Mutes used to be a list in these settings; they are 'never' rules now
+        (parsed.mutedStreamers || []).forEach(streamerName => {
+            if (!this.storage.getStreamerRule(streamerName)) {
+                this.storage.setStreamerRule(streamerName, { notify: 'never' });
+            }
+        });
+        delete parsed.mutedStreamers;
+        
+        // 'favorites: true' used to mean "include everyone", but live alerts were
+        // limited to favorites anyway. onlyFavorites starts from its default.
+        delete parsed.favorites;
+        
+        localStorage.setItem('notificationSettings', JSON.stringify(parsed));
+    }
+
     saveSettings() {
         localStorage.setItem('notificationSettings', JSON.stringify(this.settings));
     }
@@ -216,7 +272,77 @@ export class NotificationManager {
         };
 
         await this.sendNotification(notification);
-        this.recordNotification(streamer.name, 'milestone');
+
+        // Milestones are deduplicated upstream, so cooldown is per milestone
+        this.recordNotification(streamer.name, `milestone-${milestone.id || milestone.type}`);
+        this.saveNotificationToHistory({
+            type: 'milestone',
+            title: notification.title,
+            body: notification.body,
+            data: notification.data
+        });
+    }
+
+    // Typed changes from StreamerManager.diffStreamer
+    async sendChangeNotification(change) {
+        const { streamer } = change;
+        if (change.type === 'viewersChanged' &&
+            Math.abs(change.delta) < this.settings.changes.viewerDelta) {
+            return;
+        }
+        if (!this.shouldNotify('change', streamer, change.type) ||
+            this.isOnCooldown(streamer.name, `change-${change.type}`)) {
+            return;
+        }
+
+        const notification = {
+            type: 'change',
+            streamer,
+            ...this.getChangeMessage(change),
+            icon: streamer.avatar || '/icons/default-icon.png',
+            tag: `change-${streamer.name}-${change.type}`,
+            data: {
+                streamerName: streamer.name,
+                change: change.type,
+                from: change.from,
+                to: change.to,
+                timestamp: change.timestamp
+            }
+        };
+
+        await this.sendNotification(notification);
+        this.recordNotification(streamer.name, `change-${change.type}`);
+        this.saveNotificationToHistory({
+            type: 'change',
+            title: notification.title,
+            body: notification.body,
+            data: notification.data
+        });
+    }
+
+    getChangeMessage(change) {
+        const name = change.streamer.displayName;
+
+        switch (change.type) {
+            case 'titleChanged':
+                return { title: `${name} changed the title`, body: change.to };
+            case 'categoryChanged':
+                return {
+                    title: `${name} switched category`,
+                    body: `${change.from || 'No category'} → ${change.to || 'No category'}`
+                };
+            case 'streamRestarted':
+                return { title: `${name} restarted the stream`, body: change.streamer.title };
+            case 'viewersChanged': {
+                const direction = change.delta > 0 ? 'up' : 'down';
+                return {
+                    title: `${name} viewers ${direction} ${Math.abs(change.delta).toLocaleString()}`,
+                    body: `Now at ${change.to.toLocaleString()} viewers`
+                };
+            }
+            default:
+                return { title: `${name} updated`, body: '' };
+        }
     }
 
     async sendCustomNotification(options) {
@@ -238,12 +364,6 @@ export class NotificationManager {
             return;
         }
 
-        // Check quiet hours
-        if (this.isQuietHours()) {
-            console.log('Notification suppressed due to quiet hours');
-            return;
-        }
-
         // Add to queue
         this.notificationQueue.push(notification);
         
@@ -259,6 +379,16 @@ export class NotificationManager {
         while (this.notificationQueue.length > 0) {
             const notification = this.notificationQueue.shift();
             
+            // Check quiet hours
+            if (this.isQuietHours() && notification.type !== 'digest') {
+                if (this.settings.quietHours.mode === 'defer') {
+                    this.deferNotification(notification);
+                } else {
+                    console.log('Notification suppressed due to quiet hours');
+                }
+                continue;
+            }
+            
             try {
                 // Send desktop notification
                 if (this.settings.desktop && Notification.permission === 'granted') {
@@ -356,17 +486,107 @@ export class NotificationManager {
         this.emit('notificationClicked', notification);
     }
 
+    // Quiet hours digest
+    loadDeferredNotifications() {
+        try {
+            this.deferredNotifications = JSON.parse(localStorage.getItem('deferredNotifications') || '[]');
+        } catch (error) {
+            this.deferredNotifications = [];
+        }
+    }
+
+    saveDeferredNotifications() {
+        localStorage.setItem('deferredNotifications', JSON.stringify(this.deferredNotifications));
+    }
+
+    deferNotification(notification) {
+        // A newer notification with the same tag replaces the older one
+        this.deferredNotifications = this.deferredNotifications.filter(n => n.tag !== notification.tag);
+        this.deferredNotifications.push({
+            type: notification.type,
+            title: notification.title,
+            body: notification.body,
+            tag: notification.tag,
+            data: notification.data,
+            timestamp: Date.now()
+        });
+        this.saveDeferredNotifications();
+        this.emit('notificationDeferred', notification);
+    }
+
+    startQuietHoursWatcher() {
+        if (this.quietHoursTimer) {
+            clearInterval(this.quietHoursTimer);
+        }
+
+        this.quietHoursTimer = setInterval(() => this.flushDeferredNotifications(), 60 * 1000);
+        this.flushDeferredNotifications();
+    }
+
+    async flushDeferredNotifications() {
+        if (this.isQuietHours() || this.deferredNotifications.length === 0) {
+            return;
+        }
+
+        const deferred = this.deferredNotifications;
+        this.deferredNotifications = [];
+        this.saveDeferredNotifications();
+
+        const maxLines = 5;
+        const lines = deferred.slice(-maxLines).map(n => n.title);
+        if (deferred.length > maxLines) {
+            lines.push(`…and ${deferred.length - maxLines} more`);
+        }
+
+        await this.sendNotification({
+            type: 'digest',
+            title: `${deferred.length} notification${deferred.length !== 1 ? 's' : ''} during quiet hours`,
+            body: lines.join('\n'),
+            icon: '/icons/default-icon.png',
+            tag: `digest-${Date.now()}`,
+            data: {
+                notifications: deferred,
+                timestamp: Date.now()
+            }
+        });
+    }
+
     // Notification filtering and settings
-    shouldNotify(type, streamer) {
+    shouldNotify(type, streamer, detail) {
         // Check if notifications are enabled
         if (!this.settings.enabled) {
             return false;
         }
 
+        // Per-type switches apply to everyone; rules only choose streamers
+        if (!this.isTypeEnabled(type, detail)) {
+            return false;
+        }
+
+        // Per-streamer rules override the global filters
+        const rule = this.storage.getStreamerRule(streamer.name);
+        if (rule) {
+            if (!this.matchesStreamerRule(rule, streamer)) {
+                return false;
+            }
+            return !this.isOnCooldown(streamer.name, type);
+        }
+
+        // Then watchlist rules; any list that allows it is enough
+        const listRules = this.storage.getWatchlistsFor(streamer.name)
+            .map(list => list.settings.rule)
+            .filter(Boolean);
+        if (listRules.length > 0) {
+            if (!listRules.some(listRule => this.matchesStreamerRule(listRule, streamer))) {
+                return false;
+            }
+            return !this.isOnCooldown(streamer.name, type);
+        }
+
         // Check type-specific settings
         switch (type) {
             case 'live':
-                if (!this.settings.favorites && !this.isFavorite(streamer.name)) {
+                if (this.settings.onlyFavorites && !this.isFavorite(streamer.name)) {
                     return false;
                 }
                 if (streamer.viewers < this.settings.viewerThreshold) {
@@ -378,7 +598,8 @@ export class NotificationManager {
                 }
                 break;
             case 'offline':
-                if (!this.settings.favorites && !this.isFavorite(streamer.name)) {
+            case 'change':
+                if (this.settings.onlyFavorites && !this.isFavorite(streamer.name)) {
                     return false;
                 }
                 break;
@@ -392,12 +613,25 @@ export class NotificationManager {
         return true;
     }
 
-    isQuietHours() {
+    // detail is the change type for 'change' notifications
+    isTypeEnabled(type, detail) {
+        switch (type) {
+            case 'offline':
+                return this.settings.offline;
+            case 'milestone':
+                return this.settings.milestones.enabled;
+            case 'change':
+                return Boolean(this.settings.changes[detail]);
+            default:
+                return true;
+        }
+    }
+
+    isQuietHours(now = new Date()) {
         if (!this.settings.quietHours.enabled) {
             return false;
         }
 
-        const now = new Date();
         const currentHour = now.getHours();
         const start = this.settings.quietHours.start;
         const end = this.settings.quietHours.end;
@@ -426,9 +660,45 @@ export class NotificationManager {
     }
 
     isFavorite(streamerName) {
-        // This should be connected to the storage manager
-        const favorites = JSON.parse(localStorage.getItem('favorites') || '[]');
-        return favorites.includes(streamerName);
+        return this.favorites.has(streamerName.toLowerCase().trim());
+    }
+
+    // Rule shape: { notify: 'always' | 'never' | 'filtered', minViewers, categories }
+    matchesStreamerRule(rule, streamer) {
+        switch (rule.notify) {
+            case 'never':
+                return false;
+            case 'filtered':
+                if (rule.minViewers && (streamer.viewers || 0) < rule.minViewers) {
+                    return false;
+                }
+                if (rule.categories && rule.categories.length > 0 &&
+                    !rule.categories.includes(streamer.category)) {
+                    return false;
+                }
+                return true;
+            case 'always':
+            default:
+                return true;
+        }
+    }
+
+    // Per-streamer mute
+    isMuted(streamerName) {
+        return this.storage.getStreamerRule(streamerName)?.notify === 'never';
+    }
+
+    toggleMute(streamerName) {
+        const muted = !this.isMuted(streamerName);
+
+        if (muted) {
+            this.storage.setStreamerRule(streamerName, { notify: 'never' });
+        } else {
+            this.storage.removeStreamerRule(streamerName);
+        }
+
+        this.emit('streamerRuleUpdated', { streamerName, rule: this.storage.getStreamerRule(streamerName) });
+        return muted;
     }
 
     // Settings management
@@ -447,13 +717,28 @@ export class NotificationManager {
             enabled: true,
             sound: true,
             desktop: true,
-            favorites: true,
+            onlyFavorites: true,
+            offline: true,
             viewerThreshold: 0,
             categories: [],
+            milestones: {
+                enabled: true,
+                viewerThresholds: [1000, 5000, 10000],
+                personalPeak: true,
+                durationHours: [4, 8, 12]
+            },
+            changes: {
+                titleChanged: false,
+                categoryChanged: false,
+                streamRestarted: false,
+                viewersChanged: false,
+                viewerDelta: 1000 // Minimum jump for viewersChanged
+            },
             quietHours: {
                 enabled: false,
                 start: 22,
-                end: 8
+                end: 8,
+                mode: 'suppress' // suppress or defer (morning digest)
             },
             customSounds: {
                 live: null,
@@ -523,6 +808,8 @@ export class NotificationManager {
             live: '🔴',
             offline: '⚫',
             milestone: '🎉',
+            change: '✏️',
+            digest: '🌅',
             custom: '📢'
         };
         return icons[type] || '📢';
@@ -594,6 +881,11 @@ export class NotificationManager {
         // Clear notification queue
         this.notificationQueue = [];
         
+        if (this.quietHoursTimer) {
+            clearInterval(this.quietHoursTimer);
+            this.quietHoursTimer = null;
+        }
+        
         // Revoke custom sound URLs
         Object.values(this.settings.customSounds).forEach(url => {
             if (url) {
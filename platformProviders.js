@@ -0,0 +1,397 @@
+// Platform Providers - Fetch and normalize channel data per streaming platform
+//
+// Each provider knows its endpoints, how to turn a response into the common
+// streamer shape, how fast it may be called and whether it is currently
+// healthy. StreamerManager picks the provider from the streamer's platform.
+export const DEFAULT_PLATFORM = 'kick';
+
+export class PlatformProvider {
+    constructor({ id, label, rateLimit }) {
+        this.id = id;
+        this.label = label;
+        this.rateLimit = rateLimit; // { maxRequests, windowMs }
+        this.health = {
+            status: 'unknown',
+            lastSuccess: null,
+            lastError: null,
+            consecutiveFailures: 0
+        };
+    }
+
+    getChannelURL(name) {
+        throw new Error(`${this.id} provider does not implement getChannelURL`);
+    }
+
+    // Returns the raw API payload for one channel
+    async fetchChannel(name, options = {}) {
+        throw new Error(`${this.id} provider does not implement fetchChannel`);
+    }
+
+    // Turns the raw payload into the streamer shape used across the app
+    normalize(data, name) {
+        throw new Error(`${this.id} provider does not implement normalize`);
+    }
+
+    // Whether the provider has the credentials it needs
+    isConfigured() {
+        return true;
+    }
+
+    // Channel state from a successful payload: active, banned or renamed.
+    // Channels that do not exist surface as 404 errors instead.
+    getChannelState(data, name) {
+        return { state: 'active', renamedTo: null };
+    }
+
+    async fetchJSON(url, options = {}) {
+        const response = await fetch(url, {
+            signal: options.signal,
+            headers: {
+                'Accept': 'application/json',
+                ...options.headers
+            }
+        });
+
+        if (!response.ok) {
+            const error = new ProviderError(`HTTP ${response.status}: ${response.statusText}`, response.status, this.id);
+            error.retryAfter = parseRetryAfter(response.headers?.get('Retry-After'));
+            error.contentType = response.headers?.get('Content-Type') || '';
+            throw error;
+        }
+
+        try {
+            return await response.json();
+        } catch (parseError) {
+            const error = new ProviderError(`Malformed response: ${parseError.message}`, response.status, this.id);
+            error.malformed = true;
+            throw error;
+        }
+    }
+
+    // Health tracking
+    recordSuccess() {
+        this.health = {
+            ...this.health,
+            status: 'ok',
+            lastSuccess: Date.now(),
+            consecutiveFailures: 0
+        };
+    }
+
+    recordFailure(error) {
+        const consecutiveFailures = this.health.consecutiveFailures + 1;
+        this.health = {
+            ...this.health,
+            status: consecutiveFailures >= 3 ? 'down' : 'degraded',
+            lastError: { message: error.message, status: error.status || null, timestamp: Date.now() },
+            consecutiveFailures
+        };
+    }
+
+    getHealth() {
+        return {
+            id: this.id,
+            label: this.label,
+            configured: this.isConfigured(),
+            ...this.health
+        };
+    }
+}
+
+export class KickProvider extends PlatformProvider {
+    constructor(getConfig = () => ({})) {
+        super({ id: 'kick', label: 'Kick', rateLimit: { maxRequests: 10, windowMs: 1000 } });
+        this.config = getConfig;
+    }
+
+    get baseURL() {
+        return this.config().kickApiBase || 'https://kick.com/api/v1';
+    }
+
+    getChannelURL(name) {
+        return `https://kick.com/${name}`;
+    }
+
+    async fetchChannel(name, options = {}) {
+        const url = `${this.baseURL}/channels/${encodeURIComponent(name)}`;
+
+        // Browsers usually need a CORS proxy for Kick; share the health-scored pool
+        const { proxyPool } = this.config();
+        if (proxyPool && proxyPool.size > 0) {
+            try {
+                return await proxyPool.fetchJSON(url, {
+                    signal: options.signal,
+                    headers: { 'Accept': 'application/json' },
+                    validate: data => data && (data.livestream !== undefined || data.user !== undefined)
+                });
+            } catch (error) {
+                if (error.name === 'AbortError') throw error;
+                const providerError = new ProviderError(error.message, error.status, this.id);
+                providerError.retryAfter = error.retryAfter ?? null;
+                providerError.contentType = error.contentType || '';
+                throw providerError;
+            }
+        }
+
+        return this.fetchJSON(url, {
+            ...options,
+            headers: { 'User-Agent': 'KickStreamersMonitor/4.0' }
+        });
+    }
+
+    getChannelState(data, name) {
+        if (data.is_banned || data.user?.is_banned) {
+            return { state: 'banned', renamedTo: null };
+        }
+        // Old slugs can still resolve to the channel under its new name. Slugs
+        // spell a username's '_' as '-', so musa_usa comes back as musa-usa.
+        const toSlug = value => value.toLowerCase().replace(/_/g, '-');
+        if (data.slug && toSlug(data.slug) !== toSlug(name)) {
+            return { state: 'renamed', renamedTo: data.slug.toLowerCase() };
+        }
+        return super.getChannelState(data, name);
+    }
+
+    normalize(data, name) {
+        const livestream = data.livestream;
+        const user = data.user || {};
+
+        return {
+            name,
+            displayName: user.username || name,
+            live: livestream !== null && livestream !== undefined,
+            title: livestream?.session_title || 'Offline',
+            viewers: livestream?.viewer_count || 0,
+            url: this.getChannelURL(name),
+            category: livestream?.categories?.[0]?.name || null,
+            thumbnail: livestream?.thumbnail?.url || null,
+            avatar: user.profile_pic || null,
+            followers: data.followers_count || 0,
+            isVerified: data.verified || false,
+            language: livestream?.language || 'en',
+            streamStartTime: livestream?.created_at ? new Date(livestream.created_at).getTime() : null,
+            tags: livestream?.tags || [],
+            mature: livestream?.is_mature || false
+        };
+    }
+}
+
+export class TwitchProvider extends PlatformProvider {
+    constructor(getConfig = () => ({})) {
+        // Helix allows 800 points per minute per client
+        super({ id: 'twitch', label: 'Twitch', rateLimit: { maxRequests: 12, windowMs: 1000 } });
+        this.config = getConfig;
+    }
+
+    get baseURL() {
+        return this.config().twitchApiBase || 'https://api.twitch.tv/helix';
+    }
+
+    getChannelURL(name) {
+        return `https://twitch.tv/${name}`;
+    }
+
+    isConfigured() {
+        const { twitchClientId, twitchAccessToken } = this.config();
+        return Boolean(twitchClientId && twitchAccessToken);
+    }
+
+    async fetchChannel(name, options = {}) {
+        if (!this.isConfigured()) {
+            throw new ProviderError('Twitch client ID and access token are not set', 401, this.id);
+        }
+
+        const { twitchClientId, twitchAccessToken } = this.config();
+        const requestOptions = {
+            ...options,
+            headers: {
+                'Client-ID': twitchClientId,
+                'Authorization': `Bearer ${twitchAccessToken}`
+            }
+        };
+        const login = encodeURIComponent(name);
+
+        const [streams, users] = await Promise.all([
+            this.fetchJSON(`${this.baseURL}/streams?user_login=${login}`, requestOptions),
+            this.fetchJSON(`${this.baseURL}/users?login=${login}`, requestOptions)
+        ]);
+
+        if (!users.data?.[0]) {
+            throw new ProviderError(`Twitch channel ${name} not found`, 404, this.id);
+        }
+
+        return { stream: streams.data?.[0] || null, user: users.data[0] };
+    }
+
+    normalize(data, name) {
+        const stream = data.stream?.type === 'live' ? data.stream : null;
+        const user = data.user || {};
+
+        return {
+            name,
+            displayName: user.display_name || name,
+            live: stream !== null,
+            title: stream?.title || 'Offline',
+            viewers: stream?.viewer_count || 0,
+            url: this.getChannelURL(name),
+            category: stream?.game_name || null,
+            thumbnail: stream ? stream.thumbnail_url.replace('{width}', '640').replace('{height}', '360') : null,
+            avatar: user.profile_image_url || null,
+            followers: 0,
+            isVerified: user.broadcaster_type === 'partner',
+            language: stream?.language || 'en',
+            streamStartTime: stream?.started_at ? new Date(stream.started_at).getTime() : null,
+            tags: stream?.tags || [],
+            mature: stream?.is_mature || false
+        };
+    }
+}
+
+export class YouTubeProvider extends PlatformProvider {
+    constructor(getConfig = () => ({})) {
+        // The Data API quota is small, so keep YouTube slow
+        super({ id: 'youtube', label: 'YouTube', rateLimit: { maxRequests: 1, windowMs: 1000 } });
+        this.config = getConfig;
+        this.channels = new Map();
+    }
+
+    get baseURL() {
+        return this.config().youtubeApiBase || 'https://www.googleapis.com/youtube/v3';
+    }
+
+    getChannelURL(name) {
+        const channel = this.channels.get(name);
+        return channel ? `https://www.youtube.com/channel/${channel.id}` : `https://youtube.com/@${name}`;
+    }
+
+    isConfigured() {
+        return Boolean(this.config().youtubeApiKey);
+    }
+
+    async fetchChannel(name, options = {}) {
+        if (!this.isConfigured()) {
+            throw new ProviderError('YouTube API key is not set', 401, this.id);
+        }
+
+        const key = encodeURIComponent(this.config().youtubeApiKey);
+
+        // Channel lookups cost 100 quota units, so remember the result
+        let channel = this.channels.get(name);
+        if (!channel) {
+            const search = await this.fetchJSON(
+                `${this.baseURL}/search?part=snippet&type=channel&q=${encodeURIComponent(name)}&key=${key}`,
+                options
+            );
+            const item = search.items?.[0];
+            if (!item) {
+                throw new ProviderError(`YouTube channel ${name} not found`, 404, this.id);
+            }
+            channel = { id: item.id.channelId, snippet: item.snippet };
+            this.channels.set(name, channel);
+        }
+
+        const live = await this.fetchJSON(
+            `${this.baseURL}/search?part=snippet&channelId=${channel.id}&eventType=live&type=video&key=${key}`,
+            options
+        );
+        const videoId = live.items?.[0]?.id?.videoId;
+        if (!videoId) {
+            return { channel, video: null };
+        }
+
+        const videos = await this.fetchJSON(
+            `${this.baseURL}/videos?part=liveStreamingDetails,snippet&id=${videoId}&key=${key}`,
+            options
+        );
+
+        return { channel, video: videos.items?.[0] || null };
+    }
+
+    normalize(data, name) {
+        const video = data.video;
+        const details = video?.liveStreamingDetails;
+
+        return {
+            name,
+            displayName: data.channel.snippet?.title || video?.snippet?.channelTitle || name,
+            live: Boolean(video),
+            title: video?.snippet?.title || 'Offline',
+            viewers: parseInt(details?.concurrentViewers || 0),
+            url: this.getChannelURL(name),
+            category: video ? 'YouTube Live' : null,
+            thumbnail: video?.snippet?.thumbnails?.medium?.url || null,
+            avatar: data.channel.snippet?.thumbnails?.default?.url || null,
+            followers: 0,
+            isVerified: false,
+            language: video?.snippet?.defaultAudioLanguage || 'en',
+            streamStartTime: details?.actualStartTime ? new Date(details.actualStartTime).getTime() : null,
+            tags: video?.snippet?.tags || [],
+            mature: false
+        };
+    }
+}
+
+// Config is read lazily so key changes in settings apply without a reload
+export function createDefaultProviders(getConfig = () => ({})) {
+    return new Map([
+        ['kick', new KickProvider(getConfig)],
+        ['twitch', new TwitchProvider(getConfig)],
+        ['youtube', new YouTubeProvider(getConfig)]
+    ]);
+}
+
+// Kick channels keep their bare name as key so existing favorites and
+// history still match; other platforms are prefixed ("twitch:name")
+export function getStreamerKey(platform, name) {
+    return platform === DEFAULT_PLATFORM ? name : `${platform}:${name}`;
+}
+
+export function parseStreamerKey(key) {
+    const separator = key.indexOf(':');
+    if (separator === -1) {
+        return { platform: DEFAULT_PLATFORM, name: key };
+    }
+    return { platform: key.slice(0, separator), name: key.slice(separator + 1) };
+}
+
+// Accepts "name", "platform:name", a channel URL or a { platform, name } entry
+export function parseStreamerInput(input) {
+    if (input && typeof input === 'object') {
+        return {
+            platform: (input.platform || DEFAULT_PLATFORM).toLowerCase(),
+            name: String(input.name).toLowerCase().trim()
+        };
+    }
+
+    const value = String(input).trim();
+    const urlMatch = value.match(/^(?:https?:\/\/)?(?:www\.)?(kick\.com|twitch\.tv|youtube\.com)\/(?:@|c\/|channel\/)?([^/?#]+)/i);
+    if (urlMatch) {
+        const platforms = { 'kick.com': 'kick', 'twitch.tv': 'twitch', 'youtube.com': 'youtube' };
+        return { platform: platforms[urlMatch[1].toLowerCase()], name: urlMatch[2].toLowerCase() };
+    }
+
+    const { platform, name } = parseStreamerKey(value.toLowerCase());
+    return { platform, name: name.trim() };
+}
+
+// Retry-After is either seconds or an HTTP date; returns milliseconds
+export function parseRetryAfter(value) {
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+export class ProviderError extends Error {
+    constructor(message, status, platform) {
+        super(message);
+        this.name = 'ProviderError';
+        this.status = status;
+        this.platform = platform;
+    }
+}
@@ -0,0 +1,182 @@
+// Poll Scheduler - Decides which streamers are due for a refresh
+//
+// Live and favorite channels are polled at the base interval, channels inside
+// a learned go-live window a little less often and everyone else rarely. A
+// per-minute request budget keeps large lists within the API rate limits.
+// Watchlists with their own refresh cadence replace the base interval for
+// their members; a streamer on several lists gets the fastest one.
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DEAD_CHANNEL_INTERVAL = 6 * HOUR_MS;
+
+// Seconds a watchlist may set as its own refresh interval, in the editors and
+// in imported files alike. Members skip the tiers, so the floor stays high.
+export const WATCHLIST_REFRESH_RANGE = { min: 30, max: 3600 };
+
+export class PollScheduler {
+    constructor(storage, historyManager) {
+        this.storage = storage;
+        this.historyManager = historyManager;
+        this.baseInterval = 60 * 1000;
+        this.maxRequestsPerMinute = 120;
+        this.lastPolled = new Map();
+        this.listIntervals = new Map();
+        this.requestLog = [];
+        this.schedules = new Map();
+        this.learnedAt = 0;
+        this.learnEvery = 6 * HOUR_MS;
+    }
+
+    setBaseInterval(intervalMs) {
+        this.baseInterval = intervalMs;
+    }
+
+    // Never plan more requests than the rate limiter can serve
+    setBudget(requestsPerMinute) {
+        this.maxRequestsPerMinute = Math.max(1, Math.floor(requestsPerMinute));
+    }
+
+    // Lists are { members, settings: { refreshInterval } } as kept by StorageManager
+    setWatchlists(lists) {
+        this.listIntervals = new Map();
+        lists.forEach(list => {
+            const intervalMs = (list.settings.refreshInterval || 0) * 1000;
+            if (intervalMs <= 0) return;
+
+            list.members.forEach(name => {
+                const current = this.listIntervals.get(name);
+                this.listIntervals.set(name, current ? Math.min(current, intervalMs) : intervalMs);
+            });
+        });
+    }
+
+    getBaseInterval(streamer) {
+        return this.listIntervals.get(streamer.name.toLowerCase()) || this.baseInterval;
+    }
+
+    // Tier multipliers relative to the base interval
+    getInterval(streamer, now = Date.now()) {
+        const baseInterval = this.getBaseInterval(streamer);
+
+        // Missing and banned channels are only rechecked occasionally
+        if (this.isDeadChannel(streamer)) {
+            return Math.max(baseInterval, DEAD_CHANNEL_INTERVAL);
+        }
+        if (streamer.live) {
+            return baseInterval;
+        }
+        if (this.storage.isFavorite(streamer.name)) {
+            return baseInterval * 2;
+        }
+        if (this.isLikelyLive(streamer.name, now)) {
+            return baseInterval * 2;
+        }
+        return Math.min(baseInterval * 10, 30 * MINUTE_MS);
+    }
+
+    getPriority(streamer, now) {
+        if (this.isDeadChannel(streamer)) return 4;
+        if (streamer.live) return 0;
+        if (this.storage.isFavorite(streamer.name)) return 1;
+        if (this.isLikelyLive(streamer.name, now)) return 2;
+        return 3;
+    }
+
+    // Renamed channels still answer under the old name with full data, so they
+    // keep their normal tier until the rename is applied in cleanup
+    isDeadChannel(streamer) {
+        return streamer.channelState === 'not-found' || streamer.channelState === 'banned';
+    }
+
+    // Streamers whose interval has elapsed, most important and most overdue first
+    getDueStreamers(streamers, now = Date.now()) {
+        const due = streamers
+            .map(streamer => {
+                const lastPolled = this.lastPolled.get(streamer.name) || streamer.lastUpdated || 0;
+                const overdue = now - lastPolled - this.getInterval(streamer, now);
+                return { streamer, overdue, priority: this.getPriority(streamer, now) };
+            })
+            .filter(entry => entry.overdue >= 0)
+            .sort((a, b) => a.priority - b.priority || b.overdue - a.overdue);
+
+        return due
+            .slice(0, this.getRemainingBudget(now))
+            .map(entry => entry.streamer.name);
+    }
+
+    getRemainingBudget(now = Date.now()) {
+        this.requestLog = this.requestLog.filter(time => now - time < MINUTE_MS);
+        return Math.max(0, this.maxRequestsPerMinute - this.requestLog.length);
+    }
+
+    markPolled(names, now = Date.now()) {
+        names.forEach(name => {
+            this.lastPolled.set(name, now);
+            this.requestLog.push(now);
+        });
+    }
+
+    // Milliseconds until the next streamer becomes due
+    getNextPollIn(streamers, now = Date.now()) {
+        if (streamers.length === 0) return this.baseInterval;
+
+        return Math.max(0, Math.min(...streamers.map(streamer => {
+            const lastPolled = this.lastPolled.get(streamer.name) || streamer.lastUpdated || 0;
+            return lastPolled + this.getInterval(streamer, now) - now;
+        })));
+    }
+
+    // Learn go-live windows from the last four weeks of sessions
+    async learnSchedules(names) {
+        const fromTime = Date.now() - 28 * 24 * HOUR_MS;
+
+        for (const name of names) {
+            try {
+                const sessions = await this.historyManager.getSessions(name, fromTime);
+                if (sessions.length === 0) {
+                    this.schedules.delete(name);
+                    continue;
+                }
+
+                const pattern = this.historyManager.analyzeSchedulePattern(sessions);
+                this.schedules.set(name, {
+                    hours: pattern.hourDistribution,
+                    days: pattern.dayDistribution,
+                    sessions: sessions.length
+                });
+            } catch (error) {
+                console.error(`Failed to learn schedule for ${name}:`, error);
+            }
+        }
+
+        this.learnedAt = Date.now();
+    }
+
+    shouldRelearn(now = Date.now()) {
+        return now - this.learnedAt >= this.learnEvery;
+    }
+
+    // A streamer is likely to go live if they usually start on this weekday
+    // within the current or next hour
+    isLikelyLive(name, now = Date.now()) {
+        const schedule = this.schedules.get(name);
+        if (!schedule) return false;
+
+        const date = new Date(now);
+        if (schedule.days[date.getDay()] === 0) return false;
+
+        const hour = date.getHours();
+        const starts = schedule.hours[hour] + schedule.hours[(hour + 1) % 24];
+        return starts >= Math.max(1, schedule.sessions * 0.1);
+    }
+
+    forget(name) {
+        this.lastPolled.delete(name);
+        this.schedules.delete(name);
+    }
+
+    reset() {
+        this.lastPolled.clear();
+        this.requestLog = [];
+    }
+}
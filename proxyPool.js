@@ -0,0 +1,228 @@
+// Proxy Pool - Health-scored CORS proxies for platform APIs
+//
+// Templates contain {url} (the encoded target URL) and optionally other
+// placeholders such as {worker}. Proxies are tried best-first by success rate
+// and latency; a proxy answering with a Cloudflare block is quarantined for a
+// while instead of being tried on every request.
+import { parseRetryAfter } from './platformProviders.js';
+
+export class ProxyPool {
+    constructor(templates = [], options = {}) {
+        this.quarantineMs = options.quarantineMs || 10 * 60 * 1000;
+        this.timeout = options.timeout || 6000;
+        this.proxies = new Map();
+        templates.forEach(template => this.addTemplate(template));
+    }
+
+    get size() {
+        return this.proxies.size;
+    }
+
+    // Template management
+    addTemplate(template) {
+        const value = template.trim();
+        if (!value || this.proxies.has(value)) return false;
+
+        this.proxies.set(value, {
+            template: value,
+            successes: 0,
+            failures: 0,
+            totalLatency: 0,
+            lastLatency: null,
+            lastError: null,
+            lastUsed: null,
+            quarantinedUntil: 0
+        });
+        return true;
+    }
+
+    removeTemplate(template) {
+        return this.proxies.delete(template);
+    }
+
+    setTemplates(templates) {
+        // Keep stats for templates that stay in the list
+        const previous = this.proxies;
+        this.proxies = new Map();
+        templates.forEach(template => {
+            const value = template.trim();
+            if (previous.has(value)) {
+                this.proxies.set(value, previous.get(value));
+            } else {
+                this.addTemplate(value);
+            }
+        });
+    }
+
+    getTemplates() {
+        return Array.from(this.proxies.keys());
+    }
+
+    buildURL(template, targetUrl, vars = {}) {
+        let url = template.replace('{url}', encodeURIComponent(targetUrl));
+        for (const [name, value] of Object.entries(vars)) {
+            url = url.replace(`{${name}}`, value);
+        }
+        return url;
+    }
+
+    // Scoring
+    isQuarantined(proxy, now = Date.now()) {
+        return proxy.quarantinedUntil > now;
+    }
+
+    getScore(proxy) {
+        // Smoothed success rate so new proxies start at 50%
+        const successRate = (proxy.successes + 1) / (proxy.successes + proxy.failures + 2);
+        const averageLatency = proxy.successes > 0 ? proxy.totalLatency / proxy.successes : this.timeout / 2;
+        return successRate - Math.min(averageLatency / this.timeout, 1) * 0.25;
+    }
+
+    // Healthy proxies best-first; if everything is quarantined, the one that
+    // comes out soonest is still tried
+    getOrdered(now = Date.now()) {
+        const proxies = Array.from(this.proxies.values());
+        const healthy = proxies
+            .filter(proxy => !this.isQuarantined(proxy, now))
+            .sort((a, b) => this.getScore(b) - this.getScore(a));
+
+        if (healthy.length > 0) return healthy;
+
+        return proxies.sort((a, b) => a.quarantinedUntil - b.quarantinedUntil).slice(0, 1);
+    }
+
+    recordSuccess(proxy, latency) {
+        proxy.successes++;
+        proxy.totalLatency += latency;
+        proxy.lastLatency = latency;
+        proxy.lastUsed = Date.now();
+        proxy.quarantinedUntil = 0;
+    }
+
+    recordFailure(proxy, error) {
+        proxy.failures++;
+        proxy.lastUsed = Date.now();
+        proxy.lastError = { message: error.message, status: error.status || null, timestamp: Date.now() };
+
+        if (error.blocked) {
+            proxy.quarantinedUntil = Date.now() + this.quarantineMs;
+        }
+    }
+
+    // Fetches JSON through the pool. options.headers may be a function of the
+    // template; options.validate rejects payloads that are not the real API.
+    async fetchJSON(targetUrl, options = {}) {
+        const attempts = [];
+
+        for (const proxy of this.getOrdered()) {
+            if (options.signal?.aborted) {
+                throw new DOMException('Aborted', 'AbortError');
+            }
+
+            const startedAt = Date.now();
+            try {
+                const data = await this.request(proxy, targetUrl, options);
+                this.recordSuccess(proxy, Date.now() - startedAt);
+                return data;
+            } catch (error) {
+                if (error.name === 'AbortError' && options.signal?.aborted) {
+                    throw error;
+                }
+                // A 404 from the platform means the proxy did its job
+                if (error.status === 404 && !error.blocked) {
+                    this.recordSuccess(proxy, Date.now() - startedAt);
+                } else {
+                    this.recordFailure(proxy, error);
+                }
+                attempts.push({
+                    template: proxy.template,
+                    error: error.message,
+                    status: error.status || null,
+                    blocked: Boolean(error.blocked),
+                    retryAfter: error.retryAfter ?? null,
+                    contentType: error.contentType || ''
+                });
+            }
+        }
+
+        throw new ProxyPoolError(
+            attempts.length ? `All proxies failed for ${targetUrl}` : 'No proxies configured',
+            this.getPoolStatus(attempts),
+            attempts
+        );
+    }
+
+    // One status for the whole pool: not found, blocked or rate limited only
+    // when every proxy said so
+    getPoolStatus(attempts) {
+        if (attempts.length === 0) return 502;
+        if (attempts.every(attempt => attempt.status === 404 && !attempt.blocked)) return 404;
+        if (attempts.every(attempt => attempt.blocked)) return 403;
+        if (attempts.every(attempt => attempt.status === 429)) return 429;
+        return 502;
+    }
+
+    async request(proxy, targetUrl, options) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), options.timeout || this.timeout);
+        options.signal?.addEventListener('abort', () => controller.abort(), { once: true });
+
+        try {
+            const headers = typeof options.headers === 'function' ? options.headers(proxy.template) : (options.headers || {});
+            const response = await fetch(this.buildURL(proxy.template, targetUrl, options.vars), {
+                headers,
+                signal: controller.signal
+            });
+
+            const contentType = response.headers.get('Content-Type') || '';
+            if (!response.ok || contentType.includes('text/html')) {
+                const error = new Error(`HTTP ${response.status}`);
+                error.status = response.status;
+                error.blocked = response.status === 403 || response.status === 503 || contentType.includes('text/html');
+                error.retryAfter = parseRetryAfter(response.headers.get('Retry-After'));
+                error.contentType = contentType;
+                throw error;
+            }
+
+            const data = await response.json();
+            if (options.validate && !options.validate(data)) {
+                throw new Error('Unexpected payload');
+            }
+            return data;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    // Diagnostics
+    getStats(now = Date.now()) {
+        return Array.from(this.proxies.values()).map(proxy => {
+            const total = proxy.successes + proxy.failures;
+            return {
+                template: proxy.template,
+                requests: total,
+                successRate: total > 0 ? Math.round(proxy.successes / total * 100) : null,
+                averageLatency: proxy.successes > 0 ? Math.round(proxy.totalLatency / proxy.successes) : null,
+                lastLatency: proxy.lastLatency,
+                lastError: proxy.lastError,
+                quarantined: this.isQuarantined(proxy, now),
+                quarantinedFor: Math.max(0, proxy.quarantinedUntil - now),
+                score: Math.round(this.getScore(proxy) * 100) / 100
+            };
+        });
+    }
+}
+
+export class ProxyPoolError extends Error {
+    constructor(message, status, attempts = []) {
+        super(message);
+        this.name = 'ProxyPoolError';
+        this.status = status;
+        this.attempts = attempts;
+
+        // The soonest any proxy said it would take requests again
+        const retryAfters = attempts.map(attempt => attempt.retryAfter).filter(value => value !== null && value !== undefined);
+        this.retryAfter = retryAfters.length > 0 ? Math.min(...retryAfters) : null;
+        this.contentType = attempts.length > 0 ? attempts[attempts.length - 1].contentType : '';
+    }
+}
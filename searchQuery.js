@@ -0,0 +1,385 @@
+// Search Query - Structured search box syntax
+//
+//   cat:slots lang:es viewers>1000 is:fav is:live uptime<2h tag:irl -title:rerun
+//
+// Terms are ANDed. "-" negates a term and quotes keep spaces together
+// (cat:"just chatting"). Bare words match name, title and category with a few
+// typos allowed and rank streamers by where they matched; negated bare words
+// and field terms need an exact substring. Invalid terms are reported and
+// skipped so the rest of the query still filters.
+const TEXT_FIELDS = {
+    cat: streamer => [streamer.category],
+    lang: streamer => [streamer.language],
+    title: streamer => [streamer.title],
+    name: streamer => [streamer.name, streamer.displayName],
+    tag: streamer => streamer.tags || [],
+    platform: streamer => [streamer.platform || 'kick']
+};
+
+// Bare words match these fields; a name match outranks a title match
+const TEXT_WEIGHTS = {
+    name: 1,
+    displayName: 1,
+    category: 0.6,
+    title: 0.4
+};
+
+const FIELD_ALIASES = {
+    category: 'cat',
+    language: 'lang',
+    tags: 'tag',
+    viewer: 'viewers'
+};
+
+export const QUERY_FIELDS = ['cat', 'lang', 'title', 'name', 'tag', 'platform', 'viewers', 'uptime', 'is', 'list'];
+export const IS_VALUES = ['live', 'offline', 'fav', 'mature', 'verified'];
+
+const NUMBER_SUFFIXES = { k: 1e3, m: 1e6 };
+const DURATION_UNITS = { d: 24 * 60 * 60 * 1000, h: 60 * 60 * 1000, m: 60 * 1000 };
+
+// Splits on whitespace outside quotes; keeps each token's position for errors
+export function tokenizeQuery(input) {
+    const tokens = [];
+    const pattern = /(-?)([a-z]+(?:>=|<=|[:=<>]))?("([^"]*)("?)|[^\s"]+)?/gi;
+    let index = 0;
+
+    while (index < input.length) {
+        if (/\s/.test(input[index])) {
+            index++;
+            continue;
+        }
+
+        pattern.lastIndex = index;
+        const match = pattern.exec(input);
+        const [raw, negate, keyOp, value, quoted, closingQuote] = match;
+        const end = index + Math.max(raw.length, 1);
+        const token = { raw: input.slice(index, end), start: index, end, negate: negate === '-' };
+
+        if (keyOp) {
+            const [, key, operator] = keyOp.match(/^([a-z]+)(>=|<=|[:=<>])$/i);
+            token.key = key.toLowerCase();
+            token.operator = operator;
+        }
+        token.value = quoted !== undefined ? quoted : (value || '');
+        token.unterminated = quoted !== undefined && closingQuote !== '"';
+
+        tokens.push(token);
+        index = end;
+    }
+
+    return tokens;
+}
+
+export function parseSearchQuery(input = '') {
+    const terms = [];
+    const errors = [];
+
+    tokenizeQuery(input).forEach(token => {
+        const error = (message) => errors.push({ message, start: token.start, end: token.end, token: token.raw });
+
+        if (token.unterminated) {
+            return error('Missing closing quote');
+        }
+        if (!token.key) {
+            if (token.value) terms.push({ type: 'text', value: token.value.toLowerCase(), negate: token.negate });
+            return;
+        }
+
+        const field = FIELD_ALIASES[token.key] || token.key;
+        if (!QUERY_FIELDS.includes(field)) {
+            return error(`Unknown field "${token.key}", try ${QUERY_FIELDS.join(', ')}`);
+        }
+        if (!token.value) {
+            return error(`"${token.key}${token.operator}" needs a value`);
+        }
+
+        const term = compileTerm(field, token.operator, token.value);
+        if (term.error) {
+            return error(term.error);
+        }
+        terms.push({ ...term, field, negate: token.negate });
+    });
+
+    return new SearchQuery(input, terms, errors);
+}
+
+function compileTerm(field, operator, value) {
+    const comparison = operator === ':' ? '=' : operator;
+
+    if (field === 'viewers') {
+        const number = parseNumber(value);
+        if (number === null) return { error: `"${value}" is not a viewer count` };
+        return { type: 'compare', comparison, value: number };
+    }
+
+    if (field === 'uptime') {
+        const duration = parseDuration(value);
+        if (duration === null) return { error: `"${value}" is not a duration, use e.g. 90m or 2h` };
+        return { type: 'compare', comparison, value: duration };
+    }
+
+    if (comparison !== '=') {
+        return { error: `"${field}" can't be compared with ${operator}, use ${field}:value` };
+    }
+
+    if (field === 'is') {
+        const flag = value.toLowerCase() === 'favorite' ? 'fav' : value.toLowerCase();
+        if (!IS_VALUES.includes(flag)) return { error: `Unknown is:${value}, try ${IS_VALUES.map(v => `is:${v}`).join(', ')}` };
+        return { type: 'flag', value: flag };
+    }
+
+    return { type: 'text', value: value.toLowerCase() };
+}
+
+// 1500, 1.5k, 2m
+function parseNumber(value) {
+    const match = value.toLowerCase().match(/^(\d+(?:\.\d+)?)([km]?)$/);
+    if (!match) return null;
+    return Math.round(parseFloat(match[1]) * (NUMBER_SUFFIXES[match[2]] || 1));
+}
+
+// 2h, 90m, 1h30m, 1d; a bare number means minutes
+function parseDuration(value) {
+    const text = value.toLowerCase();
+    if (/^\d+(\.\d+)?$/.test(text)) return parseFloat(text) * DURATION_UNITS.m;
+
+    const parts = text.match(/^(?:(\d+(?:\.\d+)?)d)?(?:(\d+(?:\.\d+)?)h)?(?:(\d+(?:\.\d+)?)m)?$/);
+    if (!parts || !text) return null;
+
+    const [, days = 0, hours = 0, minutes = 0] = parts;
+    return days * DURATION_UNITS.d + hours * DURATION_UNITS.h + minutes * DURATION_UNITS.m;
+}
+
+// Typos a word of this length may have. None for short words, where a single
+// typo already makes a different word.
+function allowedTypos(length) {
+    if (length <= 4) return 0;
+    return length <= 8 ? 1 : 2;
+}
+
+// Edits (insert, delete, substitute, swap neighbours) to turn a into b
+function editDistance(a, b) {
+    const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+    for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+            }
+        }
+    }
+
+    return rows[a.length][b.length];
+}
+
+// Best match of a lowercase pattern in text: { score (0-1), ranges: [[start, end]] }
+// or null. Substrings score highest, more so at the start of a word. Otherwise
+// a word, or the start of one for half-typed words, within a few typos counts.
+export function fuzzyMatch(pattern, text) {
+    if (!pattern || !text) return null;
+    const haystack = String(text).toLowerCase();
+
+    const index = haystack.indexOf(pattern);
+    if (index !== -1) {
+        const atWordStart = index === 0 || !/[\p{L}\p{N}]/u.test(haystack[index - 1]);
+        return { score: index === 0 ? 1 : atWordStart ? 0.9 : 0.8, ranges: [[index, index + pattern.length]] };
+    }
+
+    const maxTypos = allowedTypos(pattern.length);
+    if (maxTypos === 0) return null;
+
+    let best = null;
+    for (const word of haystack.matchAll(/[\p{L}\p{N}_]+/gu)) {
+        const lengths = [word[0].length, pattern.length - 1, pattern.length, pattern.length + 1]
+            .filter((length, i) => length > 0 && length <= word[0].length && (i === 0 || length < word[0].length));
+
+        lengths.forEach(length => {
+            const distance = editDistance(pattern, word[0].slice(0, length));
+            if (distance > maxTypos) return;
+
+            // A typo costs more than stopping early in a word
+            const score = 0.6 - 0.1 * distance - (length < word[0].length ? 0.05 : 0);
+            if (!best || score > best.score) {
+                best = { score, ranges: [[word.index, word.index + length]] };
+            }
+        });
+    }
+
+    return best;
+}
+
+// Sorted, non-overlapping ranges
+function mergeRanges(ranges) {
+    return [...ranges]
+        .sort((a, b) => a[0] - b[0])
+        .reduce((merged, [start, end]) => {
+            const last = merged[merged.length - 1];
+            if (last && start <= last[1]) {
+                last[1] = Math.max(last[1], end);
+            } else {
+                merged.push([start, end]);
+            }
+            return merged;
+        }, []);
+}
+
+// Text as HTML with the ranges wrapped in <mark>; escape turns text into HTML
+export function highlightMatches(text, ranges, escape) {
+    const value = String(text ?? '');
+    if (!ranges || ranges.length === 0) return escape(value);
+
+    let html = '';
+    let position = 0;
+    mergeRanges(ranges).forEach(([start, end]) => {
+        html += `${escape(value.slice(position, start))}<mark>${escape(value.slice(start, end))}</mark>`;
+        position = end;
+    });
+    return html + escape(value.slice(position));
+}
+
+function compare(actual, comparison, expected) {
+    switch (comparison) {
+        case '>': return actual > expected;
+        case '<': return actual < expected;
+        case '>=': return actual >= expected;
+        case '<=': return actual <= expected;
+        default: return actual === expected;
+    }
+}
+
+export class SearchQuery {
+    constructor(input, terms, errors) {
+        this.input = input;
+        this.terms = terms;
+        this.errors = errors;
+    }
+
+    get isEmpty() {
+        return this.terms.length === 0;
+    }
+
+    // context: { isFavorite(name), isInList(listName, name), now }
+    matches(streamer, context = {}) {
+        return this.terms.every(term => this.matchesTerm(term, streamer, context) !== term.negate);
+    }
+
+    matchesTerm(term, streamer, context) {
+        const includes = (values) => values.some(value => value && String(value).toLowerCase().includes(term.value));
+
+        if (!term.field) {
+            if (term.negate) {
+                return includes([streamer.name, streamer.displayName, streamer.title, streamer.category]);
+            }
+            return Object.keys(this.matchText(term, streamer)).length > 0;
+        }
+
+        switch (term.field) {
+            case 'viewers':
+                return compare(streamer.viewers || 0, term.comparison, term.value);
+            case 'uptime':
+                // Only live streams have an uptime
+                if (!streamer.live || !streamer.streamStartTime) return false;
+                return compare((context.now || Date.now()) - streamer.streamStartTime, term.comparison, term.value);
+            case 'is':
+                return this.matchesFlag(term.value, streamer, context);
+            case 'list':
+                return Boolean(context.isInList?.(term.value, streamer.name));
+            default:
+                return includes(TEXT_FIELDS[term.field](streamer));
+        }
+    }
+
+    // Fuzzy matches of a bare word, per field: { name: { score, ranges }, ... }
+    matchText(term, streamer) {
+        const matches = {};
+        Object.keys(TEXT_WEIGHTS).forEach(field => {
+            const match = fuzzyMatch(term.value, streamer[field]);
+            if (match) {
+                matches[field] = match;
+            }
+        });
+        return matches;
+    }
+
+    get textTerms() {
+        return this.terms.filter(term => !term.field && !term.negate);
+    }
+
+    // Relevance for sorting: each bare word adds its best weighted match
+    score(streamer) {
+        return this.textTerms.reduce((total, term) => {
+            const matches = this.matchText(term, streamer);
+            const best = Object.entries(matches).map(([field, match]) => match.score * TEXT_WEIGHTS[field]);
+            return total + Math.max(0, ...best);
+        }, 0);
+    }
+
+    // Ranges to highlight per field: { displayName: [[start, end]], ... }
+    getHighlights(streamer) {
+        const highlights = {};
+
+        this.textTerms.forEach(term => {
+            Object.entries(this.matchText(term, streamer)).forEach(([field, match]) => {
+                highlights[field] = [...(highlights[field] || []), ...match.ranges];
+            });
+        });
+
+        return highlights;
+    }
+
+    matchesFlag(flag, streamer, context) {
+        switch (flag) {
+            case 'live':
+                return Boolean(streamer.live);
+            case 'offline':
+                return !streamer.live;
+            case 'fav':
+                return Boolean(streamer.isFavorite || context.isFavorite?.(streamer.name));
+            case 'mature':
+                return Boolean(streamer.mature);
+            case 'verified':
+                return Boolean(streamer.isVerified);
+            default:
+                return false;
+        }
+    }
+}
+
+// Completions for the token under the cursor. values: { categories, languages,
+// lists, tags } as shown to the user. Returns full replacement inputs so they
+// can go straight into a <datalist>.
+export function getQuerySuggestions(input, cursor = input.length, values = {}, limit = 8) {
+    const token = tokenizeQuery(input).find(t => t.start <= cursor && cursor <= t.end);
+    const start = token ? token.start : cursor;
+    const end = token ? token.end : cursor;
+    const replace = (text) => input.slice(0, start) + text + input.slice(end);
+    const quote = (value) => /\s/.test(value) ? `"${value}"` : value;
+    const prefix = token?.negate ? '-' : '';
+
+    if (token?.key) {
+        const field = FIELD_ALIASES[token.key] || token.key;
+        const options = {
+            cat: values.categories,
+            lang: values.languages,
+            tag: values.tags,
+            list: values.lists,
+            platform: ['kick', 'twitch', 'youtube'],
+            is: IS_VALUES
+        }[field] || [];
+        const typed = token.value.toLowerCase();
+
+        return options
+            .filter(option => option && option.toLowerCase().includes(typed) && option.toLowerCase() !== typed)
+            .slice(0, limit)
+            .map(option => replace(`${prefix}${token.key}${token.operator}${quote(option)}`));
+    }
+
+    const typed = (token?.value || '').toLowerCase();
+    return QUERY_FIELDS
+        .filter(field => field.startsWith(typed))
+        .slice(0, limit)
+        .map(field => replace(`${prefix}${field}${field === 'viewers' || field === 'uptime' ? '>' : ':'}`));
+}
@@ -1,11 +1,81 @@
 // Storage Manager - Handles data persistence and favorites
+import { sanitizeFilters } from './filterManager.js';
+import { WATCHLIST_REFRESH_RANGE } from './pollScheduler.js';
+
+// IndexedDB schema. Bump DB_VERSION whenever stores or indexes change.
+const DB_NAME = 'KickStreamersMonitor';
+const DB_VERSION = 2;
+const DB_SCHEMA = {
+    // One record per stream session
+    streamHistory: {
+        keyPath: 'id',
+        indexes: {
+            streamerName: 'streamerName',
+            startTime: 'startTime',
+            streamer_time: ['streamerName', 'startTime']
+        }
+    },
+    // One record per viewer sample or status change
+    analytics: {
+        keyPath: 'id',
+        indexes: {
+            streamerName: 'streamerName',
+            timestamp: 'timestamp',
+            streamer_time: ['streamerName', 'timestamp']
+        }
+    },
+    settings: {
+        keyPath: 'key',
+        indexes: {}
+    }
+};
+
+// Seeded until the user changes their presets
+const DEFAULT_FILTER_PRESETS = [
+    { id: 'fp_popular_live', name: 'Popular live', filters: { status: 'live', search: 'viewers>=1000' }, sortBy: 'viewers', sortDirection: 'desc', viewMode: null },
+    { id: 'fp_small_live', name: 'Small streams', filters: { status: 'live', viewers: '0-100' }, sortBy: 'viewers', sortDirection: 'asc', viewMode: null },
+    { id: 'fp_just_chatting', name: 'Just Chatting', filters: { category: 'Just Chatting' }, sortBy: 'status', sortDirection: 'desc', viewMode: null },
+    { id: 'fp_favorites_live', name: 'Live favorites', filters: { status: 'favorites', search: 'is:live' }, sortBy: 'viewers', sortDirection: 'desc', viewMode: null }
+];
+
+const DEFAULT_WATCHLIST_SETTINGS = {
+    refreshInterval: null,
+    rule: null,
+    filters: null,
+    sortBy: null,
+    sortDirection: null
+};
+
+const RULE_NOTIFY_VALUES = ['always', 'never', 'filtered'];
+
 export class StorageManager {
     constructor() {
         this.prefix = 'kickMonitor_';
         this.favorites = new Set();
+        this.eventListeners = new Map();
         this.isInitialized = false;
     }
 
+    // Event system
+    on(event, callback) {
+        if (!this.eventListeners.has(event)) {
+            this.eventListeners.set(event, []);
+        }
+        this.eventListeners.get(event).push(callback);
+    }
+
+    emit(event, data) {
+        if (this.eventListeners.has(event)) {
+            this.eventListeners.get(event).forEach(callback => {
+                try {
+                    callback(data);
+                } catch (error) {
+                    console.error('Storage event listener error:', error);
+                }
+            });
+        }
+    }
+
     async init() {
         try {
             // Load favorites
@@ -28,7 +98,7 @@ export class StorageManager {
         }
 
         return new Promise((resolve, reject) => {
-            const request = indexedDB.open('KickStreamersMonitor', 1);
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
             
             request.onerror = () => {
                 console.warn('IndexedDB failed to open, using localStorage only');
@@ -43,18 +113,24 @@ export class StorageManager {
             request.onupgradeneeded = (event) => {
                 const db = event.target.result;
                 
-                // Create object stores
-                if (!db.objectStoreNames.contains('streamHistory')) {
-                    const historyStore = db.createObjectStore('streamHistory', { keyPath: 'streamerName' });
-                    historyStore.createIndex('timestamp', 'timestamp', { unique: false });
-                }
-                
-                if (!db.objectStoreNames.contains('analytics')) {
-                    db.createObjectStore('analytics', { keyPath: 'id' });
+                // Version 1 created streamHistory and analytics with a different
+                // layout and never wrote to them, so they can be dropped safely
+                if (event.oldVersion < 2) {
+                    ['streamHistory', 'analytics'].forEach(name => {
+                        if (db.objectStoreNames.contains(name)) {
+                            db.deleteObjectStore(name);
+                        }
+                    });
                 }
                 
-                if (!db.objectStoreNames.contains('settings')) {
-                    db.createObjectStore('settings', { keyPath: 'key' });
+                // Create object stores
+                for (const [name, schema] of Object.entries(DB_SCHEMA)) {
+                    if (db.objectStoreNames.contains(name)) continue;
+                    
+                    const store = db.createObjectStore(name, { keyPath: schema.keyPath });
+                    for (const [indexName, keyPath] of Object.entries(schema.indexes)) {
+                        store.createIndex(indexName, keyPath, { unique: false });
+                    }
                 }
             };
         });
@@ -126,10 +202,19 @@ export class StorageManager {
         this.set('favorites', favoritesArray);
     }
 
+    notifyFavoritesChanged(streamerName, isFavorite) {
+        this.emit('favoritesChanged', {
+            streamerName,
+            isFavorite,
+            favorites: this.getFavorites()
+        });
+    }
+
     addFavorite(streamerName) {
         const normalizedName = streamerName.toLowerCase().trim();
         this.favorites.add(normalizedName);
         this.saveFavorites();
+        this.notifyFavoritesChanged(normalizedName, true);
         return true;
     }
 
@@ -138,6 +223,7 @@ export class StorageManager {
         const removed = this.favorites.delete(normalizedName);
         if (removed) {
             this.saveFavorites();
+            this.notifyFavoritesChanged(normalizedName, false);
         }
         return removed;
     }
@@ -167,6 +253,319 @@ export class StorageManager {
         return this.favorites.size;
     }
 
+    // Per-streamer notification rules, keyed like favorites
+    getStreamerRules() {
+        return this.get('streamerRules', {});
+    }
+
+    getStreamerRule(streamerName) {
+        const normalizedName = streamerName.toLowerCase().trim();
+        return this.getStreamerRules()[normalizedName] || null;
+    }
+
+    setStreamerRule(streamerName, rule) {
+        const normalizedName = streamerName.toLowerCase().trim();
+        const rules = this.getStreamerRules();
+        rules[normalizedName] = rule;
+        return this.set('streamerRules', rules);
+    }
+
+    removeStreamerRule(streamerName) {
+        const normalizedName = streamerName.toLowerCase().trim();
+        const rules = this.getStreamerRules();
+        if (!rules[normalizedName]) return false;
+        delete rules[normalizedName];
+        return this.set('streamerRules', rules);
+    }
+
+    // Watchlists: named groups of streamers, keyed like favorites. A streamer
+    // can be on several lists. Settings shape:
+    // { refreshInterval (seconds or null), rule (streamer rule or null),
+    //   filters, sortBy, sortDirection }
+    getWatchlists() {
+        return this.get('watchlists', []);
+    }
+
+    getWatchlist(id) {
+        return this.getWatchlists().find(list => list.id === id) || null;
+    }
+
+    saveWatchlists(lists, change) {
+        this.set('watchlists', lists);
+        this.emit('watchlistsChanged', { ...change, watchlists: lists });
+    }
+
+    createWatchlist(name, members = [], settings = {}) {
+        const lists = this.getWatchlists();
+        const list = {
+            id: `wl_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`,
+            name: this.getUniqueName(name, lists),
+            members: Array.from(new Set(members.map(member => member.toLowerCase().trim()))),
+            settings: { ...DEFAULT_WATCHLIST_SETTINGS, ...settings },
+            createdAt: Date.now()
+        };
+
+        this.saveWatchlists([...lists, list], { type: 'created', id: list.id });
+        return list;
+    }
+
+    // "Name", "Name (2)", ... unique among items (watchlists, presets)
+    getUniqueName(name, items) {
+        const base = name.trim() || 'Untitled';
+        const taken = new Set(items.map(item => item.name.toLowerCase()));
+        let unique = base;
+        for (let i = 2; taken.has(unique.toLowerCase()); i++) {
+            unique = `${base} (${i})`;
+        }
+        return unique;
+    }
+
+    updateWatchlist(id, changes) {
+        const lists = this.getWatchlists();
+        const index = lists.findIndex(list => list.id === id);
+        if (index === -1) return null;
+
+        const current = lists[index];
+        const others = lists.filter(list => list.id !== id);
+        const updated = {
+            ...current,
+            ...changes,
+            name: changes.name?.trim() ? this.getUniqueName(changes.name, others) : current.name,
+            settings: { ...current.settings, ...(changes.settings || {}) }
+        };
+        lists[index] = updated;
+
+        this.saveWatchlists(lists, { type: 'updated', id });
+        return updated;
+    }
+
+    deleteWatchlist(id) {
+        const lists = this.getWatchlists();
+        const remaining = lists.filter(list => list.id !== id);
+        if (remaining.length === lists.length) return false;
+
+        if (this.getActiveWatchlistId() === id) {
+            this.setActiveWatchlistId('all');
+        }
+        this.saveWatchlists(remaining, { type: 'deleted', id });
+        return true;
+    }
+
+    setWatchlistMember(id, streamerName, isMember) {
+        const normalizedName = streamerName.toLowerCase().trim();
+        const list = this.getWatchlist(id);
+        if (!list || list.members.includes(normalizedName) === isMember) return false;
+
+        const members = isMember
+            ? [...list.members, normalizedName]
+            : list.members.filter(member => member !== normalizedName);
+        this.updateWatchlist(id, { members });
+        return true;
+    }
+
+    addToWatchlist(id, streamerName) {
+        return this.setWatchlistMember(id, streamerName, true);
+    }
+
+    removeFromWatchlist(id, streamerName) {
+        return this.setWatchlistMember(id, streamerName, false);
+    }
+
+    // Drops a streamer from every list, e.g. after it left the monitored list
+    removeFromAllWatchlists(streamerName) {
+        const normalizedName = streamerName.toLowerCase().trim();
+        const lists = this.getWatchlists();
+        if (!lists.some(list => list.members.includes(normalizedName))) return false;
+
+        this.saveWatchlists(lists.map(list => ({
+            ...list,
+            members: list.members.filter(member => member !== normalizedName)
+        })), { type: 'membersRemoved', streamerName: normalizedName });
+        return true;
+    }
+
+    getWatchlistsFor(streamerName) {
+        const normalizedName = streamerName.toLowerCase().trim();
+        return this.getWatchlists().filter(list => list.members.includes(normalizedName));
+    }
+
+    // 'all' shows every monitored streamer
+    getActiveWatchlistId() {
+        const id = this.get('activeWatchlist', 'all');
+        return id === 'all' || this.getWatchlist(id) ? id : 'all';
+    }
+
+    setActiveWatchlistId(id) {
+        this.set('activeWatchlist', id);
+        this.emit('activeWatchlistChanged', { id, watchlist: this.getWatchlist(id) });
+    }
+
+    // Single-list export, independent of full backups
+    exportWatchlist(id) {
+        const list = this.getWatchlist(id);
+        if (!list) return null;
+
+        return {
+            type: 'watchlist',
+            version: 1,
+            name: list.name,
+            members: list.members,
+            settings: list.settings
+        };
+    }
+
+    importWatchlist(data) {
+        if (!data || data.type !== 'watchlist' || !data.name || !Array.isArray(data.members)) {
+            throw new Error('Invalid watchlist file');
+        }
+
+        const members = data.members.filter(member => typeof member === 'string' && member.trim());
+        return this.createWatchlist(String(data.name), members, this.sanitizeWatchlistSettings(data.settings));
+    }
+
+    // Shared files are untrusted: clamp the refresh interval and keep only
+    // well-formed rules, known filters and sort settings
+    sanitizeWatchlistSettings(settings) {
+        if (!settings || typeof settings !== 'object') return {};
+
+        const interval = Number(settings.refreshInterval);
+        const refreshInterval = Number.isFinite(interval) && interval > 0
+            ? Math.min(Math.max(Math.round(interval), WATCHLIST_REFRESH_RANGE.min), WATCHLIST_REFRESH_RANGE.max)
+            : null;
+
+        const rule = settings.rule;
+        const validRule = rule && typeof rule === 'object' && RULE_NOTIFY_VALUES.includes(rule.notify);
+        const minViewers = Number(rule?.minViewers);
+
+        return {
+            refreshInterval,
+            rule: validRule ? {
+                notify: rule.notify,
+                minViewers: Number.isInteger(minViewers) && minViewers > 0 ? minViewers : 0,
+                categories: Array.isArray(rule.categories) ? rule.categories.filter(category => typeof category === 'string') : []
+            } : null,
+            filters: sanitizeFilters(settings.filters),
+            sortBy: typeof settings.sortBy === 'string' ? settings.sortBy : null,
+            sortDirection: ['asc', 'desc'].includes(settings.sortDirection) ? settings.sortDirection : null
+        };
+    }
+
+    // Saved search queries: [{ name, query }]
+    getSavedQueries() {
+        return this.get('savedQueries', []);
+    }
+
+    saveQuery(name, query) {
+        const trimmedName = name.trim();
+        const queries = this.getSavedQueries().filter(saved => saved.name !== trimmedName);
+        queries.push({ name: trimmedName, query });
+        this.set('savedQueries', queries);
+        this.emit('savedQueriesChanged', queries);
+        return queries;
+    }
+
+    removeSavedQuery(name) {
+        const queries = this.getSavedQueries().filter(saved => saved.name !== name);
+        this.set('savedQueries', queries);
+        this.emit('savedQueriesChanged', queries);
+        return queries;
+    }
+
+    // Filter presets: [{ id, name, filters, sortBy, sortDirection, viewMode }]
+    // in quick-switch order. filters never include the watchlist; viewMode
+    // null keeps the current view.
+    getFilterPresets() {
+        return this.get('filterPresets', DEFAULT_FILTER_PRESETS);
+    }
+
+    getFilterPreset(id) {
+        return this.getFilterPresets().find(preset => preset.id === id) || null;
+    }
+
+    saveFilterPresets(presets, change) {
+        this.set('filterPresets', presets);
+        this.emit('filterPresetsChanged', { ...change, presets });
+    }
+
+    createFilterPreset(name, { filters = {}, sortBy = null, sortDirection = null, viewMode = null } = {}) {
+        const presets = this.getFilterPresets();
+        const { watchlist, ...presetFilters } = filters;
+        const preset = {
+            id: `fp_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`,
+            name: this.getUniqueName(name, presets),
+            filters: presetFilters,
+            sortBy,
+            sortDirection,
+            viewMode
+        };
+
+        this.saveFilterPresets([...presets, preset], { type: 'created', id: preset.id });
+        return preset;
+    }
+
+    updateFilterPreset(id, changes) {
+        const presets = [...this.getFilterPresets()];
+        const index = presets.findIndex(preset => preset.id === id);
+        if (index === -1) return null;
+
+        const current = presets[index];
+        const others = presets.filter(preset => preset.id !== id);
+        const { watchlist, ...filters } = changes.filters || current.filters;
+        const updated = {
+            ...current,
+            ...changes,
+            name: changes.name?.trim() ? this.getUniqueName(changes.name, others) : current.name,
+            filters
+        };
+        presets[index] = updated;
+
+        this.saveFilterPresets(presets, { type: 'updated', id });
+        return updated;
+    }
+
+    moveFilterPreset(id, toIndex) {
+        const presets = [...this.getFilterPresets()];
+        const index = presets.findIndex(preset => preset.id === id);
+        const target = Math.max(0, Math.min(presets.length - 1, toIndex));
+        if (index === -1 || index === target) return false;
+
+        const [preset] = presets.splice(index, 1);
+        presets.splice(target, 0, preset);
+        this.saveFilterPresets(presets, { type: 'moved', id });
+        return true;
+    }
+
+    deleteFilterPreset(id) {
+        const presets = this.getFilterPresets();
+        const remaining = presets.filter(preset => preset.id !== id);
+        if (remaining.length === presets.length) return false;
+
+        this.saveFilterPresets(remaining, { type: 'deleted', id });
+        return true;
+    }
+
+    // Single-preset export for sharing, like exportWatchlist
+    exportFilterPreset(id) {
+        const preset = this.getFilterPreset(id);
+        if (!preset) return null;
+
+        const { id: presetId, ...shared } = preset;
+        return { type: 'filterPreset', version: 1, ...shared };
+    }
+
+    importFilterPreset(data) {
+        if (!data || data.type !== 'filterPreset' || !data.name || typeof data.filters !== 'object' || !data.filters) {
+            throw new Error('Invalid filter preset file');
+        }
+
+        return this.createFilterPreset(String(data.name), {
+            filters: data.filters,
+            sortBy: data.sortBy || null,
+            sortDirection: data.sortDirection || null,
+            viewMode: data.viewMode || null
+        });
+    }
+
     // IndexedDB methods for large data
     async setLargeData(storeName, data) {
         if (!this.db) {
@@ -229,6 +628,162 @@ export class StorageManager {
         });
     }
 
+    // Record methods for indexed stores (streamHistory, analytics)
+    async putRecords(storeName, records) {
+        if (records.length === 0) return true;
+
+        if (!this.db) {
+            const stored = this.getFallbackRecords(storeName);
+            const keyPath = DB_SCHEMA[storeName].keyPath;
+            const byKey = new Map(stored.map(record => [record[keyPath], record]));
+            records.forEach(record => byKey.set(record[keyPath], record));
+            return this.set(`large_${storeName}`, Array.from(byKey.values()));
+        }
+
+        return new Promise((resolve) => {
+            const transaction = this.db.transaction([storeName], 'readwrite');
+            const store = transaction.objectStore(storeName);
+            records.forEach(record => store.put(record));
+            
+            transaction.oncomplete = () => resolve(true);
+            transaction.onerror = () => {
+                console.error(`Failed to save records to ${storeName}`);
+                resolve(false);
+            };
+        });
+    }
+
+    async putRecord(storeName, record) {
+        return this.putRecords(storeName, [record]);
+    }
+
+    // Returns records whose index key lies within [lower, upper]
+    async queryRecords(storeName, indexName, lower, upper) {
+        if (!this.db) {
+            const keyPath = DB_SCHEMA[storeName].indexes[indexName];
+            return this.getFallbackRecords(storeName)
+                .filter(record => this.isKeyInRange(this.getIndexKey(record, keyPath), lower, upper))
+                .sort((a, b) => this.compareKeys(this.getIndexKey(a, keyPath), this.getIndexKey(b, keyPath)));
+        }
+
+        return new Promise((resolve) => {
+            const transaction = this.db.transaction([storeName], 'readonly');
+            const index = transaction.objectStore(storeName).index(indexName);
+            const request = index.getAll(IDBKeyRange.bound(lower, upper));
+            
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => {
+                console.error(`Failed to query ${storeName}.${indexName}`);
+                resolve([]);
+            };
+        });
+    }
+
+    async getAllRecords(storeName) {
+        if (!this.db) {
+            return this.getFallbackRecords(storeName);
+        }
+
+        return new Promise((resolve) => {
+            const transaction = this.db.transaction([storeName], 'readonly');
+            const request = transaction.objectStore(storeName).getAll();
+            
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => {
+                console.error(`Failed to read ${storeName}`);
+                resolve([]);
+            };
+        });
+    }
+
+    async countRecords(storeName) {
+        if (!this.db) {
+            return this.getFallbackRecords(storeName).length;
+        }
+
+        return new Promise((resolve) => {
+            const transaction = this.db.transaction([storeName], 'readonly');
+            const request = transaction.objectStore(storeName).count();
+            
+            request.onsuccess = () => resolve(request.result || 0);
+            request.onerror = () => resolve(0);
+        });
+    }
+
+    // Deletes records whose index key is below the given upper bound
+    async deleteRecordsBefore(storeName, indexName, upper) {
+        if (!this.db) {
+            const keyPath = DB_SCHEMA[storeName].indexes[indexName];
+            const stored = this.getFallbackRecords(storeName);
+            const kept = stored.filter(record => this.compareKeys(this.getIndexKey(record, keyPath), upper) >= 0);
+            this.set(`large_${storeName}`, kept);
+            return stored.length - kept.length;
+        }
+
+        return new Promise((resolve) => {
+            const transaction = this.db.transaction([storeName], 'readwrite');
+            const index = transaction.objectStore(storeName).index(indexName);
+            const request = index.openCursor(IDBKeyRange.upperBound(upper, true));
+            let deleted = 0;
+            
+            request.onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (cursor) {
+                    cursor.delete();
+                    deleted++;
+                    cursor.continue();
+                }
+            };
+            
+            transaction.oncomplete = () => resolve(deleted);
+            transaction.onerror = () => {
+                console.error(`Failed to delete records from ${storeName}`);
+                resolve(deleted);
+            };
+        });
+    }
+
+    async clearRecords(storeName) {
+        if (!this.db) {
+            return this.remove(`large_${storeName}`);
+        }
+
+        return new Promise((resolve) => {
+            const transaction = this.db.transaction([storeName], 'readwrite');
+            transaction.objectStore(storeName).clear();
+            
+            transaction.oncomplete = () => resolve(true);
+            transaction.onerror = () => resolve(false);
+        });
+    }
+
+    // localStorage fallback keeps each indexed store as one array
+    getFallbackRecords(storeName) {
+        const stored = this.get(`large_${storeName}`, []);
+        return Array.isArray(stored) ? stored : [];
+    }
+
+    getIndexKey(record, keyPath) {
+        return Array.isArray(keyPath) ? keyPath.map(path => record[path]) : record[keyPath];
+    }
+
+    isKeyInRange(key, lower, upper) {
+        return this.compareKeys(key, lower) >= 0 && this.compareKeys(key, upper) <= 0;
+    }
+
+    // Mirrors indexedDB.cmp for the number/string/array keys used here
+    compareKeys(a, b) {
+        if (Array.isArray(a) && Array.isArray(b)) {
+            for (let i = 0; i < Math.min(a.length, b.length); i++) {
+                const comparison = this.compareKeys(a[i], b[i]);
+                if (comparison !== 0) return comparison;
+            }
+            return a.length - b.length;
+        }
+        if (a === b) return 0;
+        return a < b ? -1 : 1;
+    }
+
     // Settings management
     setSetting(key, value) {
         const settings = this.get('settings', {});
@@ -251,20 +806,34 @@ export class StorageManager {
         return this.set('settings', updatedSettings);
     }
 
+    removeSettings(keys) {
+        const settings = this.getSettings();
+        keys.forEach(key => delete settings[key]);
+        return this.set('settings', settings);
+    }
+
     resetSettings() {
         return this.remove('settings');
     }
 
     // Data export/import
-    exportData() {
+    async exportData() {
         const data = {
-            version: '4.0',
+            version: '4.1',
             timestamp: Date.now(),
             favorites: this.getFavorites(),
+            streamerRules: this.getStreamerRules(),
+            watchlists: this.getWatchlists(),
             settings: this.getSettings(),
-            streamHistory: this.get('streamHistory', {}),
+            streamHistory: {
+                sessions: await this.getAllRecords('streamHistory'),
+                events: await this.getAllRecords('analytics'),
+                summary: this.get('streamHistorySummary', {})
+            },
             notificationHistory: this.get('notificationHistory', []),
             filters: this.get('filters', {}),
+            savedQueries: this.getSavedQueries(),
+            filterPresets: this.getFilterPresets(),
             theme: this.get('theme', 'dark'),
             viewMode: this.get('viewMode', 'grid'),
             refreshInterval: this.get('refreshInterval', 60)
@@ -283,6 +852,21 @@ export class StorageManager {
             if (data.favorites && Array.isArray(data.favorites)) {
                 this.favorites = new Set(data.favorites);
                 this.saveFavorites();
+                this.notifyFavoritesChanged(null, null);
+            }
+
+            // Import watchlists
+            if (Array.isArray(data.watchlists)) {
+                const lists = data.watchlists.map(list => ({
+                    ...list,
+                    settings: { ...DEFAULT_WATCHLIST_SETTINGS, ...this.sanitizeWatchlistSettings(list.settings) }
+                }));
+                this.saveWatchlists(lists, { type: 'imported' });
+            }
+
+            // Import filter presets
+            if (Array.isArray(data.filterPresets)) {
+                this.saveFilterPresets(data.filterPresets, { type: 'imported' });
             }
 
             // Import settings
@@ -290,11 +874,23 @@ export class StorageManager {
                 this.set('settings', data.settings);
             }
 
+            // Import stream history. Pre-4.1 backups hold the legacy per-streamer
+            // object, which HistoryManager migrates on its next init.
+            const history = data.streamHistory;
+            if (history && Array.isArray(history.sessions)) {
+                await this.putRecords('streamHistory', history.sessions);
+                await this.putRecords('analytics', history.events || []);
+                this.set('streamHistorySummary', history.summary || {});
+            } else if (history) {
+                this.set('streamHistory', history);
+            }
+
             // Import other data
             const dataKeys = [
-                'streamHistory',
+                'streamerRules',
                 'notificationHistory', 
                 'filters',
+                'savedQueries',
                 'theme',
                 'viewMode',
                 'refreshInterval'
@@ -436,11 +1032,11 @@ export class StorageManager {
     }
 
     // Backup and restore
-    createBackup() {
+    async createBackup() {
         const backup = {
-            version: '4.0',
+            version: '4.1',
             timestamp: Date.now(),
-            data: this.exportData()
+            data: await this.exportData()
         };
 
         const blob = new Blob([JSON.stringify(backup, null, 2)], { 
@@ -1,4 +1,29 @@
 // Streamer Manager - Handles API calls and streamer data
+import {
+    createDefaultProviders,
+    getStreamerKey,
+    parseStreamerKey,
+    parseStreamerInput
+} from './platformProviders.js';
+import { ProxyPool } from './proxyPool.js';
+import { ListClient } from './listClient.js';
+import { ListStore, createListBackends, DEFAULT_LIST_BACKEND } from './listBackends.js';
+
+const RETRY_POLICY = {
+    maxRetries: 3,
+    baseDelay: 1000,
+    maxDelay: 30000
+};
+
+const DEFAULT_ENDPOINTS = {
+    streamersListUrl: 'https://gist.githubusercontent.com/Rapahannock/9d6241637b3be456f610b3aa415d8b4f/raw/streamers1455.json',
+    listWorkerUrl: 'https://autumn-base-826c.rapahannock.workers.dev/',
+    updateApiUrl: '/api/update',
+    kickApiBase: 'https://kick.com/api/v1',
+    twitchApiBase: 'https://api.twitch.tv/helix',
+    youtubeApiBase: 'https://www.googleapis.com/youtube/v3'
+};
+
 export class StreamerManager {
     constructor(storage) {
         this.storage = storage;
@@ -7,6 +32,45 @@ export class StreamerManager {
         this.eventListeners = new Map();
         this.rateLimiter = new RateLimiter(10, 1000); // 10 requests per second
         this.abortController = null;
+        this.endpointOverrides = {};
+
+        // Signed-in changes to the shared list (the app sets the auth prompt)
+        this.listClient = new ListClient({
+            getBaseUrl: () => this.getEndpoints().listWorkerUrl,
+            store: storage
+        });
+
+        // The GitHub file secret used to be saved with the platform keys; it is
+        // asked for when needed and kept in memory now
+        const { updateApiSecret, ...platformKeys } = this.storage.getSetting('platformKeys', {});
+        if (updateApiSecret !== undefined) {
+            this.storage.setSetting('platformKeys', platformKeys);
+        }
+
+        // The list itself lives in the backend chosen in settings, with a local copy
+        this.listStore = new ListStore(storage, createListBackends({
+            getConfig: () => this.getEndpoints(),
+            listClient: this.listClient,
+            store: storage
+        }), this.storage.getSetting('listBackend', DEFAULT_LIST_BACKEND));
+        this.listStore.on('syncError', ({ error }) => this.emit('listSyncError', error));
+        this.listStore.on('syncDeferred', ({ pending }) => this.emit('listSyncDeferred', pending));
+        this.listStore.on('syncAuthRequired', ({ error, pending }) => this.emit('listSyncAuthRequired', { error, pending }));
+
+        // Optional CORS proxies for Kick, shared with the single-file app's format
+        this.proxyPool = new ProxyPool(this.storage.getSetting('kickProxies', []));
+
+        // Platform providers, each with its own rate limit on top of the global one
+        this.providers = createDefaultProviders(() => ({
+            ...this.storage.getSetting('platformKeys', {}),
+            ...this.getEndpoints(),
+            proxyPool: this.proxyPool
+        }));
+        this.providerLimiters = new Map();
+        this.circuitBreakers = new Map(); // host -> CircuitBreaker
+        this.providers.forEach((provider, id) => {
+            this.providerLimiters.set(id, new RateLimiter(provider.rateLimit.maxRequests, provider.rateLimit.windowMs));
+        });
     }
 
     // Event system
@@ -31,20 +95,22 @@ export class StreamerManager {
 
     // Main methods
     async loadStreamers() {
-        try {
-            // Cancel any ongoing requests
-            if (this.abortController) {
-                this.abortController.abort();
-            }
-            this.abortController = new AbortController();
+        // Cancel any ongoing requests
+        if (this.abortController) {
+            this.abortController.abort();
+        }
+        const controller = new AbortController();
+        this.abortController = controller;
 
+        try {
             // Load streamers list from external source
             const streamerNames = await this.fetchStreamersList();
             
             // Fetch info for all streamers
             const streamersData = await this.fetchMultipleStreamers(streamerNames, {
-                signal: this.abortController.signal
+                signal: controller.signal
             });
+            this.throwIfAborted(controller.signal);
 
             this.streamers = streamersData;
             this.emit('streamersLoaded', this.streamers);
@@ -56,33 +122,53 @@ export class StreamerManager {
                 this.emit('error', error);
             }
             throw error;
+        } finally {
+            if (this.abortController === controller) {
+                this.abortController = null;
+            }
         }
     }
 
-    async refreshStreamers() {
+    // Refreshes every streamer, or only the given names (used by the poll scheduler)
+    async refreshStreamers(names = null) {
         if (this.streamers.length === 0) {
             return this.loadStreamers();
         }
 
-        try {
-            // Cancel any ongoing requests
-            if (this.abortController) {
-                this.abortController.abort();
-            }
-            this.abortController = new AbortController();
+        // Cancel any ongoing requests
+        if (this.abortController) {
+            this.abortController.abort();
+        }
+        const controller = new AbortController();
+        this.abortController = controller;
 
-            const streamerNames = this.streamers.map(s => s.name);
+        try {
+            const streamerNames = names || this.streamers.map(s => s.name);
             const updatedStreamers = await this.fetchMultipleStreamers(streamerNames, {
-                signal: this.abortController.signal
+                signal: controller.signal
             });
+            this.throwIfAborted(controller.signal);
 
             // Update streamers and emit individual update events
             updatedStreamers.forEach(updatedStreamer => {
                 const index = this.streamers.findIndex(s => s.name === updatedStreamer.name);
                 if (index !== -1) {
                     const oldStreamer = this.streamers[index];
+                    
+                    // Transient errors say nothing about the channel, keep the last known state
+                    if (!updatedStreamer.channelState) {
+                        updatedStreamer.channelState = oldStreamer.channelState || null;
+                        updatedStreamer.renamedTo = oldStreamer.renamedTo || null;
+                    }
                     this.streamers[index] = updatedStreamer;
                     
+                    // Emit a typed event for every detected change
+                    const changes = this.diffStreamer(oldStreamer, updatedStreamer);
+                    changes.forEach(change => this.emit(change.type, change));
+                    if (changes.length > 0) {
+                        this.emit('streamerChanged', { streamer: updatedStreamer, changes });
+                    }
+                    
                     // Emit update event if status changed
                     if (oldStreamer.live !== updatedStreamer.live) {
                         this.emit('streamerUpdated', updatedStreamer);
@@ -98,16 +184,39 @@ export class StreamerManager {
                 this.emit('error', error);
             }
             throw error;
+        } finally {
+            if (this.abortController === controller) {
+                this.abortController = null;
+            }
         }
     }
 
-    async addStreamer(streamerName) {
-        const normalizedName = streamerName.toLowerCase().trim();
+    // A refresh that was cancelled midway only has part of its results; the
+    // refresh that replaced it delivers the full set
+    throwIfAborted(signal) {
+        if (signal.aborted) {
+            throw new DOMException('Aborted', 'AbortError');
+        }
+    }
+
+    isRefreshing() {
+        return this.abortController !== null;
+    }
+
+    // Accepts "name" (Kick), "platform:name", a channel URL or { platform, name }
+    async addStreamer(streamerInput) {
+        const { platform, name } = parseStreamerInput(streamerInput);
         
-        if (!normalizedName) {
+        if (!name) {
             throw new Error('Streamer name cannot be empty');
         }
 
+        if (!this.providers.has(platform)) {
+            throw new Error(`Unsupported platform: ${platform}`);
+        }
+
+        const normalizedName = getStreamerKey(platform, name);
+
         if (this.streamers.some(s => s.name === normalizedName)) {
             throw new Error('Streamer already exists');
         }
@@ -139,6 +248,7 @@ export class StreamerManager {
             
             // Remove from local list
             this.streamers = this.streamers.filter(s => s.name !== normalizedName);
+            this.storage.removeFromAllWatchlists(normalizedName);
             this.emit('streamersLoaded', this.streamers);
             
             return true;
@@ -148,6 +258,91 @@ export class StreamerManager {
         }
     }
 
+    // Compares two snapshots of the same streamer and returns typed changes:
+    // channelStateChanged, wentLive, wentOffline, streamRestarted,
+    // titleChanged, categoryChanged and viewersChanged (with delta)
+    diffStreamer(oldStreamer, newStreamer) {
+        if (!oldStreamer) {
+            return [];
+        }
+
+        const timestamp = Date.now();
+        const change = (type, extra = {}) => ({
+            type,
+            streamer: newStreamer,
+            previous: oldStreamer,
+            timestamp,
+            ...extra
+        });
+
+        // Not-found is reported through an error, so check the state first
+        if (oldStreamer.channelState && newStreamer.channelState &&
+            oldStreamer.channelState !== newStreamer.channelState) {
+            const stateChange = change('channelStateChanged', {
+                from: oldStreamer.channelState,
+                to: newStreamer.channelState,
+                renamedTo: newStreamer.renamedTo
+            });
+            // The old name of a renamed channel keeps streaming, so whatever
+            // else changed is reported along with the rename
+            if (newStreamer.channelState !== 'renamed') {
+                return [stateChange];
+            }
+            return [stateChange, ...this.diffStreamer({ ...oldStreamer, channelState: null }, newStreamer)];
+        }
+
+        // Failed fetches fall back to placeholder data, which is not a real change
+        if (oldStreamer.error || newStreamer.error) {
+            return [];
+        }
+
+        if (!oldStreamer.live && newStreamer.live) {
+            return [change('wentLive')];
+        }
+        if (oldStreamer.live && !newStreamer.live) {
+            return [change('wentOffline')];
+        }
+        if (!newStreamer.live) {
+            return [];
+        }
+
+        const changes = [];
+
+        if (oldStreamer.streamStartTime && newStreamer.streamStartTime &&
+            oldStreamer.streamStartTime !== newStreamer.streamStartTime) {
+            changes.push(change('streamRestarted', {
+                from: oldStreamer.streamStartTime,
+                to: newStreamer.streamStartTime
+            }));
+        }
+
+        if (oldStreamer.title !== newStreamer.title) {
+            changes.push(change('titleChanged', {
+                from: oldStreamer.title,
+                to: newStreamer.title
+            }));
+        }
+
+        if (oldStreamer.category !== newStreamer.category) {
+            changes.push(change('categoryChanged', {
+                from: oldStreamer.category,
+                to: newStreamer.category
+            }));
+        }
+
+        const oldViewers = oldStreamer.viewers || 0;
+        const newViewers = newStreamer.viewers || 0;
+        if (oldViewers !== newViewers) {
+            changes.push(change('viewersChanged', {
+                from: oldViewers,
+                to: newViewers,
+                delta: newViewers - oldViewers
+            }));
+        }
+
+        return changes;
+    }
+
     getStreamers() {
         return [...this.streamers];
     }
@@ -156,34 +351,85 @@ export class StreamerManager {
         return this.streamers.find(s => s.name === name.toLowerCase());
     }
 
+    // Channels that were not found, are banned or moved to a new name
+    getDeadChannels() {
+        return this.streamers.filter(s => s.channelState && s.channelState !== 'active');
+    }
+
+    // Endpoints come from defaults, the 'apiEndpoints' setting and finally
+    // session overrides (e.g. ?api= pointing at the local mock server)
+    getEndpoints() {
+        return {
+            ...DEFAULT_ENDPOINTS,
+            ...this.storage.getSetting('apiEndpoints', {}),
+            ...this.endpointOverrides
+        };
+    }
+
+    setEndpoints(overrides = {}) {
+        this.endpointOverrides = { ...overrides };
+        this.clearCache();
+    }
+
+    // Routes every endpoint through one server laid out like mock/server.mjs
+    useApiBase(baseUrl) {
+        const base = baseUrl.replace(/\/+$/, '');
+        this.setEndpoints({
+            streamersListUrl: `${base}/streamers.json`,
+            listWorkerUrl: `${base}/worker`,
+            updateApiUrl: `${base}/api/update`,
+            kickApiBase: `${base}/kick/api/v1`,
+            twitchApiBase: `${base}/twitch/helix`,
+            youtubeApiBase: `${base}/youtube/v3`
+        });
+    }
+
+    // Provider access
+    getProvider(platform) {
+        return this.providers.get(platform) || null;
+    }
+
+    getProviderHealth() {
+        return Array.from(this.providers.values()).map(provider => provider.getHealth());
+    }
+
+    // Kick proxy templates; stats survive for templates that are kept
+    setProxyTemplates(templates) {
+        this.proxyPool.setTemplates(templates);
+        this.storage.updateSettings({ kickProxies: this.proxyPool.getTemplates() });
+    }
+
+    getProxyStats() {
+        return this.proxyPool.getStats();
+    }
+
     // API methods
     async fetchStreamersList() {
         try {
-            const cacheBuster = `?t=${Date.now()}`;
-            const response = await fetch(
-                `https://gist.githubusercontent.com/Rapahannock/9d6241637b3be456f610b3aa415d8b4f/raw/streamers1455.json${cacheBuster}`,
-                {
-                    headers: {
-                        'Accept': 'application/json',
-                        'Cache-Control': 'no-cache'
-                    }
-                }
-            );
-
-            if (!response.ok) {
-                throw new Error(`Failed to fetch streamers list: ${response.status}`);
-            }
-
-            const streamers = await response.json();
-            return Array.isArray(streamers) ? streamers : [];
+            const entries = await this.listStore.load();
+            return entries.map(({ platform, name }) => getStreamerKey(platform, name));
         } catch (error) {
             console.error('Failed to fetch streamers list:', error);
-            // Return cached list if available
-            const cached = this.storage.get('cachedStreamersList', []);
-            return cached;
+            return [];
         }
     }
 
+    // List backend selection; strategy is 'merge', 'push' or 'pull'
+    async switchListBackend(backendId, strategy = 'merge') {
+        await this.listStore.switchBackend(backendId, strategy);
+        this.storage.updateSettings({ listBackend: backendId });
+        return this.loadStreamers();
+    }
+
+    getListBackends() {
+        return Array.from(this.listStore.backends.values()).map(({ id, label, writable }) => ({ id, label, writable }));
+    }
+
+    getListStatus() {
+        return this.listStore.getStatus();
+    }
+
+    // username is the streamer key: a Kick name or "platform:name"
     async fetchStreamerInfo(username, options = {}) {
         const cacheKey = `streamer_${username}`;
         const cached = this.cache.get(cacheKey);
@@ -193,28 +439,17 @@ export class StreamerManager {
             return cached.data;
         }
 
-        try {
-            await this.rateLimiter.wait();
-            
-            const response = await fetch(`https://kick.com/api/v1/channels/${username}`, {
-                signal: options.signal,
-                headers: {
-                    'Accept': 'application/json',
-                    'User-Agent': 'KickStreamersMonitor/4.0'
-                }
-            });
+        const { platform, name } = parseStreamerKey(username);
+        const provider = this.providers.get(platform);
 
-            if (!response.ok) {
-                if (response.status === 429) {
-                    // Rate limited, wait and retry
-                    await new Promise(resolve => setTimeout(resolve, 2000));
-                    return this.fetchStreamerInfo(username, options);
-                }
-                throw new APIError(`HTTP ${response.status}: ${response.statusText}`, response.status);
+        try {
+            if (!provider) {
+                throw new APIError(`Unsupported platform: ${platform}`, 400);
             }
 
-            const data = await response.json();
-            const streamerInfo = this.transformStreamerData(data, username);
+            const data = await this.fetchWithRetry(provider, name, options);
+            const streamerInfo = this.transformStreamerData(provider, data, username);
+            provider.recordSuccess();
             
             // Cache the result
             this.cache.set(cacheKey, {
@@ -229,11 +464,135 @@ export class StreamerManager {
                 throw error;
             }
             
-            console.error(`Failed to fetch info for ${username}:`, error);
-            return this.getFallbackStreamerInfo(username);
+            const errorInfo = this.classifyError(error);
+            if (errorInfo.kind !== 'circuit-open') {
+                provider?.recordFailure(error);
+            }
+            console.error(`Failed to fetch info for ${username} (${errorInfo.kind}):`, error);
+            return this.getFallbackStreamerInfo(username, errorInfo);
+        }
+    }
+
+    // Bounded exponential backoff with jitter; Retry-After wins when present
+    async fetchWithRetry(provider, name, options = {}) {
+        const breaker = this.getCircuitBreaker(provider);
+
+        for (let attempt = 0; ; attempt++) {
+            if (!breaker.canRequest()) {
+                throw new APIError(`Requests to ${breaker.host} are paused after repeated failures`, 0, {
+                    kind: 'circuit-open',
+                    retryAfter: breaker.getRemainingCooldown()
+                });
+            }
+
+            await this.rateLimiter.wait();
+            await this.providerLimiters.get(provider.id).wait();
+
+            try {
+                const data = await provider.fetchChannel(name, { signal: options.signal });
+                breaker.recordSuccess();
+                return data;
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    throw error;
+                }
+
+                // Missing channels and missing or refused credentials say
+                // nothing about the host's health
+                const { kind } = this.classifyError(error);
+                if (kind !== 'not-found' && kind !== 'auth') {
+                    const wasOpen = breaker.state === 'open';
+                    breaker.recordFailure();
+                    if (!wasOpen && breaker.state === 'open') {
+                        this.emit('circuitOpened', breaker.getStatus());
+                    }
+                }
+
+                // A Retry-After beyond maxDelay would only burn the retries while
+                // still limited; the error carries it to the UI instead
+                const retryable = kind === 'rate-limited' || kind === 'network' || kind === 'server';
+                const waitTooLong = (error.retryAfter ?? 0) > RETRY_POLICY.maxDelay;
+                if (!retryable || waitTooLong || attempt >= RETRY_POLICY.maxRetries) {
+                    throw error;
+                }
+
+                await this.sleep(this.getRetryDelay(attempt, error.retryAfter), options.signal);
+            }
         }
     }
 
+    getRetryDelay(attempt, retryAfter = null) {
+        if (retryAfter !== null && retryAfter !== undefined) {
+            return retryAfter;
+        }
+
+        // Full jitter: anywhere between half and all of the exponential step
+        const exponential = Math.min(RETRY_POLICY.baseDelay * 2 ** attempt, RETRY_POLICY.maxDelay);
+        return exponential / 2 + Math.random() * (exponential / 2);
+    }
+
+    sleep(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(resolve, ms);
+            signal?.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(new DOMException('Aborted', 'AbortError'));
+            }, { once: true });
+        });
+    }
+
+    getCircuitBreaker(provider) {
+        const host = new URL(provider.baseURL).host;
+        if (!this.circuitBreakers.has(host)) {
+            this.circuitBreakers.set(host, new CircuitBreaker(host));
+        }
+        return this.circuitBreakers.get(host);
+    }
+
+    getCircuitStatus() {
+        return Array.from(this.circuitBreakers.values()).map(breaker => breaker.getStatus());
+    }
+
+    // Structured error info exposed on the streamer as errorInfo
+    classifyError(error) {
+        const status = error.status || null;
+        let kind = error.kind || 'unknown';
+
+        if (!error.kind) {
+            if (status === 429) {
+                kind = 'rate-limited';
+            } else if (this.isAuthError(error)) {
+                kind = 'auth';
+            } else if (status === 403 || (status === 503 && error.contentType?.includes('text/html'))) {
+                kind = 'blocked';
+            } else if (status === 404) {
+                kind = 'not-found';
+            } else if (error.malformed) {
+                kind = 'malformed';
+            } else if (status >= 500) {
+                kind = 'server';
+            } else if (error instanceof TypeError || !status) {
+                kind = 'network';
+            }
+        }
+
+        return {
+            kind,
+            status,
+            message: error.message,
+            retryAfter: error.retryAfter ?? null,
+            timestamp: Date.now()
+        };
+    }
+
+    // Missing keys surface as 401; Twitch and YouTube also answer a refused
+    // key with a JSON 403, unlike Cloudflare's HTML block pages
+    isAuthError(error) {
+        if (error.status === 401) return true;
+        return error.status === 403 && Boolean(error.platform) && error.platform !== 'kick' &&
+            !error.contentType?.includes('text/html');
+    }
+
     async fetchMultipleStreamers(usernames, options = {}) {
         const batchSize = 5;
         const results = [];
@@ -267,40 +626,38 @@ export class StreamerManager {
         return results.filter(Boolean);
     }
 
-    transformStreamerData(data, username) {
-        const livestream = data.livestream;
-        const user = data.user || {};
+    // Providers normalize the payload; the app-level fields are added here
+    transformStreamerData(provider, data, username) {
+        const { name } = parseStreamerKey(username);
+        const streamer = provider.normalize(data, name);
+        const { state, renamedTo } = provider.getChannelState(data, name);
         
         return {
+            ...streamer,
             name: username,
-            displayName: user.username || username,
-            live: livestream !== null,
-            title: livestream?.session_title || 'Offline',
-            viewers: livestream?.viewer_count || 0,
-            url: `https://kick.com/${username}`,
-            category: livestream?.categories?.[0]?.name || null,
-            thumbnail: livestream?.thumbnail?.url || null,
-            avatar: user.profile_pic || null,
-            followers: data.followers_count || 0,
-            isVerified: data.verified || false,
-            language: livestream?.language || 'en',
-            streamStartTime: livestream?.created_at ? new Date(livestream.created_at).getTime() : null,
-            lastSeen: livestream ? Date.now() : this.getLastSeenTime(username),
-            tags: livestream?.tags || [],
-            mature: livestream?.is_mature || false,
+            channel: name,
+            platform: provider.id,
+            channelState: state,
+            renamedTo,
+            lastSeen: streamer.live ? Date.now() : this.getLastSeenTime(username),
             error: false,
             lastUpdated: Date.now()
         };
     }
 
-    getFallbackStreamerInfo(username) {
+    getFallbackStreamerInfo(username, errorInfo = null) {
+        const { platform, name } = parseStreamerKey(username);
+        const provider = this.providers.get(platform);
+        
         return {
             name: username,
-            displayName: username,
+            channel: name,
+            platform,
+            displayName: name,
             live: false,
             title: 'Unavailable',
             viewers: 0,
-            url: `https://kick.com/${username}`,
+            url: provider ? provider.getChannelURL(name) : '#',
             category: null,
             thumbnail: null,
             avatar: null,
@@ -311,7 +668,11 @@ export class StreamerManager {
             lastSeen: this.getLastSeenTime(username),
             tags: [],
             mature: false,
+            // Only a 404 tells us something about the channel itself
+            channelState: errorInfo?.kind === 'not-found' ? 'not-found' : null,
+            renamedTo: null,
             error: true,
+            errorInfo,
             lastUpdated: Date.now()
         };
     }
@@ -320,23 +681,10 @@ export class StreamerManager {
         return this.storage.get(`lastSeen_${username}`, Date.now() - (24 * 60 * 60 * 1000));
     }
 
-    // External API methods for adding/removing streamers
+    // List changes go through the list store, which syncs them to the backend
     async addStreamerToList(streamerName) {
         try {
-            const response = await fetch('https://autumn-base-826c.rapahannock.workers.dev/', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({ streamer: streamerName })
-            });
-
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(errorText || 'Failed to add streamer');
-            }
-
-            return await response.text();
+            return await this.listStore.add(parseStreamerKey(streamerName));
         } catch (error) {
             console.error('Failed to add streamer to external list:', error);
             throw error;
@@ -344,33 +692,26 @@ export class StreamerManager {
     }
 
     async removeStreamerFromList(streamerName) {
-        const pin = prompt('Enter PIN to remove streamer:');
-        if (!pin) {
-            throw new Error('PIN required to remove streamer');
+        try {
+            return await this.listStore.remove(parseStreamerKey(streamerName));
+        } catch (error) {
+            console.error('Failed to remove streamer from external list:', error);
+            throw error;
         }
+    }
 
+    // Saves a new order for the shared list and applies it locally
+    async reorderStreamers(streamerNames) {
         try {
-            const response = await fetch('https://autumn-base-826c.rapahannock.workers.dev/', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({ 
-                    remove: streamerName, 
-                    pin: String(pin).padStart(5, '0') 
-                })
-            });
-
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(errorText || 'Failed to remove streamer');
-            }
-
-            return await response.text();
+            await this.listStore.reorder(streamerNames.map(parseStreamerKey));
         } catch (error) {
-            console.error('Failed to remove streamer from external list:', error);
+            console.error('Failed to reorder external list:', error);
             throw error;
         }
+
+        const order = new Map(streamerNames.map((name, index) => [name, index]));
+        this.streamers.sort((a, b) => (order.get(a.name) ?? Infinity) - (order.get(b.name) ?? Infinity));
+        this.emit('streamersLoaded', this.streamers);
     }
 
     // Cache management
@@ -396,7 +737,7 @@ export class StreamerManager {
 }
 
 // Rate limiter utility
-class RateLimiter {
+export class RateLimiter {
     constructor(maxRequests, windowMs) {
         this.maxRequests = maxRequests;
         this.windowMs = windowMs;
@@ -420,12 +761,62 @@ class RateLimiter {
     }
 }
 
+// Circuit breaker per host: after repeated failures all requests pause for
+// a cooldown, then one trial request decides whether to close again
+class CircuitBreaker {
+    constructor(host, failureThreshold = 5, cooldownMs = 60000) {
+        this.host = host;
+        this.failureThreshold = failureThreshold;
+        this.cooldownMs = cooldownMs;
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+    }
+
+    // While half-open only the single trial request gets through
+    canRequest() {
+        if (this.state === 'open' && Date.now() - this.openedAt >= this.cooldownMs) {
+            this.state = 'half-open';
+            return true;
+        }
+        return this.state === 'closed';
+    }
+
+    recordSuccess() {
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+    }
+
+    recordFailure() {
+        this.failures++;
+        if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+            this.state = 'open';
+            this.openedAt = Date.now();
+        }
+    }
+
+    getRemainingCooldown() {
+        return this.state === 'open' ? Math.max(0, this.cooldownMs - (Date.now() - this.openedAt)) : 0;
+    }
+
+    getStatus() {
+        return {
+            host: this.host,
+            state: this.state,
+            failures: this.failures,
+            retryIn: this.getRemainingCooldown()
+        };
+    }
+}
+
 // API Error class
-class APIError extends Error {
-    constructor(message, status) {
+export class APIError extends Error {
+    constructor(message, status, details = {}) {
         super(message);
         this.name = 'APIError';
         this.status = status;
+        Object.assign(this, details);
     }
 }
 
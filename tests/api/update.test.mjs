@@ -0,0 +1,220 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import handler from '../../api/update.js';
+
+const SECRET = 'test-secret';
+const REPO = 'owner/repo';
+
+// Fake GitHub contents API for streamers.json. `conflicts` makes that many
+// PUTs fail with 409 before one succeeds.
+const github = {
+  content: [],
+  sha: 'sha-0',
+  commits: [],
+  conflicts: 0,
+};
+
+function encode(list) {
+  return Buffer.from(JSON.stringify(list, null, 2)).toString('base64');
+}
+
+async function readBody(req) {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  return JSON.parse(Buffer.concat(chunks).toString('utf-8'));
+}
+
+const server = createServer(async (req, res) => {
+  const send = (status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  const url = new URL(req.url, 'http://localhost');
+  if (url.pathname !== `/repos/${REPO}/contents/streamers.json`) {
+    return send(404, { message: 'Not Found' });
+  }
+  if (req.headers.authorization !== 'Bearer gh-token') {
+    return send(401, { message: 'Bad credentials' });
+  }
+
+  if (req.method === 'GET') {
+    return send(200, { content: encode(github.content), sha: github.sha });
+  }
+
+  const body = await readBody(req);
+  if (github.conflicts > 0 || body.sha !== github.sha) {
+    github.conflicts = Math.max(0, github.conflicts - 1);
+    // Someone else committed in between
+    github.sha = `${github.sha}+`;
+    return send(409, { message: 'is at a different sha' });
+  }
+
+  github.content = JSON.parse(Buffer.from(body.content, 'base64').toString());
+  github.sha = `sha-${github.commits.length + 1}`;
+  github.commits.push(body);
+  send(200, { content: { sha: github.sha } });
+});
+
+// Serverless-style req/res pair around the handler
+async function call(method, body, { secret = SECRET, raw } = {}) {
+  const payload = raw ?? (body === undefined ? '' : JSON.stringify(body));
+  const req = [Buffer.from(payload)];
+  req.method = method;
+  req.headers = secret ? { authorization: `Bearer ${secret}` } : {};
+
+  const response = {};
+  const res = {
+    status(code) {
+      response.status = code;
+      return this;
+    },
+    json(data) {
+      response.body = data;
+      return this;
+    },
+  };
+
+  await handler(req, res);
+  return response;
+}
+
+before(async () => {
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  process.env.GITHUB_API_URL = `http://127.0.0.1:${server.address().port}`;
+  process.env.GITHUB_REPO = REPO;
+  process.env.GITHUB_TOKEN = 'gh-token';
+  process.env.LIST_API_SECRET = SECRET;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+beforeEach(() => {
+  github.content = ['xqc', { platform: 'twitch', name: 'shroud' }];
+  github.sha = 'sha-0';
+  github.commits = [];
+  github.conflicts = 0;
+});
+
+test('GET returns the list with platforms', async () => {
+  const { status, body } = await call('GET');
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.streamers, [
+    { platform: 'kick', name: 'xqc' },
+    { platform: 'twitch', name: 'shroud' },
+  ]);
+});
+
+test('GET reports a missing file as 502', async () => {
+  process.env.GITHUB_REPO = 'owner/missing';
+  try {
+    const { status, body } = await call('GET');
+    assert.equal(status, 502);
+    assert.match(body.error, /Failed to fetch streamers.json/);
+  } finally {
+    process.env.GITHUB_REPO = REPO;
+  }
+});
+
+test('an authorized add commits the new list', async () => {
+  const { status, body } = await call('POST', { action: 'add', name: 'Westcol' });
+
+  assert.equal(status, 200);
+  assert.equal(body.message, 'Add kick:westcol');
+  assert.deepEqual(github.content, ['xqc', { platform: 'twitch', name: 'shroud' }, 'westcol']);
+  assert.equal(github.commits.length, 1);
+  assert.equal(github.commits[0].message, 'Add kick:westcol');
+  assert.equal(github.commits[0].sha, 'sha-0');
+  assert.equal(github.commits[0].branch, 'main');
+});
+
+test('adding an existing streamer does not commit', async () => {
+  const { status, body } = await call('POST', { action: 'add', name: 'xqc' });
+
+  assert.equal(status, 200);
+  assert.equal(body.message, 'No changes');
+  assert.equal(body.results[0].status, 'exists');
+  assert.equal(github.commits.length, 0);
+});
+
+test('POST without the right secret is 401', async () => {
+  assert.equal((await call('POST', { action: 'add', name: 'westcol' }, { secret: null })).status, 401);
+  assert.equal((await call('POST', { action: 'add', name: 'westcol' }, { secret: 'wrong' })).status, 401);
+  assert.equal(github.commits.length, 0);
+});
+
+test('bulk applies every operation in one commit', async () => {
+  const { status, body } = await call('POST', {
+    action: 'bulk',
+    operations: [
+      { action: 'add', name: 'westcol' },
+      { action: 'remove', name: 'shroud', platform: 'twitch' },
+      { action: 'rename', name: 'xqc', to: 'xqcow' },
+    ],
+  });
+
+  assert.equal(status, 200);
+  assert.equal(body.message, 'Bulk update: add 1, remove 1, rename 1');
+  assert.deepEqual(github.content, ['xqcow', 'westcol']);
+  assert.equal(github.commits.length, 1);
+});
+
+test('replace writes the new list in its order', async () => {
+  const { status } = await call('POST', {
+    action: 'replace',
+    list: [{ platform: 'Twitch', name: 'Shroud' }, 'Westcol', 'xqc'],
+  });
+
+  assert.equal(status, 200);
+  assert.deepEqual(github.content, [{ platform: 'twitch', name: 'shroud' }, 'westcol', 'xqc']);
+  assert.equal(github.commits.length, 1);
+});
+
+test('bad requests are rejected with 400', async () => {
+  const cases = [
+    [{ action: 'bulk', operations: [{ action: 'replace', list: 'nope' }] }, /Bulk operations must be add, remove or rename/],
+    [{ action: 'bulk', operations: [{ action: 'bulk', operations: [] }] }, /Bulk operations must be add, remove or rename/],
+    [{ action: 'bulk', operations: [null] }, /Bulk operations must be add, remove or rename/],
+    [{ action: 'bulk', operations: [] }, /non-empty operations array/],
+    [{ action: 'replace', list: 'nope' }, /Replace requests need a list/],
+    [{ action: 'replace', list: ['xqc', { platform: 'twitch' }] }, /Replace list entry 2 is not a name/],
+    [{ action: 'replace', list: ['xqc', null] }, /Replace list entry 2 is not a name/],
+    [{ action: 'add', name: 'x' }, /Invalid kick username/],
+    [{ action: 'add', name: 'someone', platform: 'myspace' }, /Unsupported platform/],
+    [['xqc'], /Expected a JSON object/],
+  ];
+
+  for (const [body, error] of cases) {
+    const response = await call('POST', body);
+    assert.equal(response.status, 400, JSON.stringify(body));
+    assert.match(response.body.error, error);
+  }
+
+  const invalidJson = await call('POST', undefined, { raw: '{not json' });
+  assert.equal(invalidJson.status, 400);
+  assert.equal(invalidJson.body.error, 'Invalid JSON body');
+  assert.equal(github.commits.length, 0);
+});
+
+test('a conflicting commit is retried on the new sha', async () => {
+  github.conflicts = 1;
+
+  const { status } = await call('POST', { action: 'remove', name: 'xqc' });
+
+  assert.equal(status, 200);
+  assert.equal(github.commits.length, 1);
+  assert.equal(github.commits[0].sha, 'sha-0+');
+  assert.deepEqual(github.content, [{ platform: 'twitch', name: 'shroud' }]);
+});
+
+test('gives up with 409 when the file keeps changing', async () => {
+  github.conflicts = 3;
+
+  const { status, body } = await call('POST', { action: 'remove', name: 'xqc' });
+
+  assert.equal(status, 409);
+  assert.match(body.error, /gave up after 3 attempts/);
+  assert.equal(github.commits.length, 0);
+});
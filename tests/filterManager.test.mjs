@@ -0,0 +1,178 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FilterManager, sanitizeFilters } from '../filterManager.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function createStreamers(now = Date.now()) {
+    return [
+        { name: 'xqc', displayName: 'xQc', live: true, viewers: 42000, category: 'Just Chatting', language: 'English', tags: ['variety'], mature: false, streamStartTime: now - 5 * HOUR_MS },
+        { name: 'adinross', displayName: 'Adin Ross', live: true, viewers: 800, category: 'Slots', language: 'English', tags: ['gambling'], mature: true, streamStartTime: now - 30 * 60 * 1000 },
+        { name: 'westcol', displayName: 'Westcol', live: true, viewers: 90, category: 'Just Chatting', language: 'Spanish', tags: ['irl', 'variety'], mature: false, streamStartTime: now - 2 * HOUR_MS },
+        { name: 'shoovy', displayName: 'Shoovy', live: false, viewers: 0, category: 'Slots', language: 'English', tags: [], mature: false, lastSeen: now - HOUR_MS },
+        { name: 'konvy', displayName: 'Konvy', live: false, viewers: 0, category: null, language: 'English', tags: [], mature: false, lastSeen: now - 3 * HOUR_MS }
+    ];
+}
+
+const names = streamers => streamers.map(streamer => streamer.name);
+
+test('applyFilters returns everything with the default filters', () => {
+    const filterManager = new FilterManager();
+    const result = filterManager.applyFilters(createStreamers());
+
+    assert.equal(result.length, 5);
+    assert.deepEqual(filterManager.applyFilters(null), []);
+});
+
+test('applyFilters combines status, viewer and category filters', () => {
+    const filterManager = new FilterManager();
+    const streamers = createStreamers();
+
+    filterManager.setFilter('status', 'live');
+    assert.deepEqual(names(filterManager.applyFilters(streamers)).sort(), ['adinross', 'westcol', 'xqc']);
+
+    filterManager.setFilter('category', 'Just Chatting');
+    assert.deepEqual(names(filterManager.applyFilters(streamers)).sort(), ['westcol', 'xqc']);
+
+    filterManager.setFilter('viewers', '0-100');
+    assert.deepEqual(names(filterManager.applyFilters(streamers)), ['westcol']);
+});
+
+test('applyFilters treats several values of one facet as alternatives', () => {
+    const filterManager = new FilterManager();
+
+    filterManager.setFilter('viewers', ['0-100', '5000+']);
+    filterManager.setFilter('status', 'live');
+
+    assert.deepEqual(names(filterManager.applyFilters(createStreamers())).sort(), ['westcol', 'xqc']);
+});
+
+test('applyFilters matches favorites, watchlists, tags, language and mature', () => {
+    const filterManager = new FilterManager();
+    const streamers = createStreamers();
+
+    filterManager.setFavorites(['Shoovy']);
+    filterManager.setFilter('status', 'favorites');
+    assert.deepEqual(names(filterManager.applyFilters(streamers)), ['shoovy']);
+
+    filterManager.clearFilters();
+    filterManager.setWatchlists([{ id: 'wl_1', name: 'IRL', members: ['westcol', 'konvy'] }]);
+    filterManager.setFilter('watchlist', 'wl_1');
+    assert.deepEqual(names(filterManager.applyFilters(streamers)).sort(), ['konvy', 'westcol']);
+
+    filterManager.setFilter('watchlist', 'all');
+    filterManager.setFilter('tags', 'variety');
+    filterManager.setFilter('language', 'Spanish');
+    assert.deepEqual(names(filterManager.applyFilters(streamers)), ['westcol']);
+
+    filterManager.clearFilters();
+    filterManager.setFilter('mature', 'mature');
+    assert.deepEqual(names(filterManager.applyFilters(streamers)), ['adinross']);
+});
+
+test('applyFilters buckets live streams by duration', () => {
+    const filterManager = new FilterManager();
+    const streamers = createStreamers();
+
+    filterManager.setFilter('duration', '<1h');
+    assert.deepEqual(names(filterManager.applyFilters(streamers)), ['adinross']);
+
+    filterManager.setFilter('duration', '4h+');
+    assert.deepEqual(names(filterManager.applyFilters(streamers)), ['xqc']);
+
+    filterManager.setFilter('duration', 'offline');
+    assert.deepEqual(names(filterManager.applyFilters(streamers)).sort(), ['konvy', 'shoovy']);
+});
+
+test('applyFilters applies the search query', () => {
+    const filterManager = new FilterManager();
+    const streamers = createStreamers();
+
+    filterManager.setFilter('search', 'cat:slots is:live');
+    assert.deepEqual(names(filterManager.applyFilters(streamers)), ['adinross']);
+
+    filterManager.setFilter('search', 'viewers>1k');
+    assert.deepEqual(names(filterManager.applyFilters(streamers)), ['xqc']);
+
+    // Bare words tolerate a typo in longer words
+    filterManager.setFilter('search', 'westkol');
+    assert.deepEqual(names(filterManager.applyFilters(streamers)), ['westcol']);
+});
+
+test('applySorting groups live streamers ahead of offline ones for status', () => {
+    const filterManager = new FilterManager();
+    filterManager.setSortBy('status');
+    filterManager.setSortDirection('asc');
+
+    assert.deepEqual(names(filterManager.applySorting(createStreamers())), ['xqc', 'adinross', 'westcol', 'konvy', 'shoovy']);
+});
+
+test('applySorting reverses the order with the direction', () => {
+    const filterManager = new FilterManager();
+    // Only live streamers, so no two of them tie
+    const liveStreamers = () => createStreamers().filter(streamer => streamer.live);
+
+    for (const sortBy of ['viewers', 'name', 'duration']) {
+        filterManager.setSortBy(sortBy);
+        filterManager.setSortDirection('asc');
+        const ascending = names(filterManager.applySorting(liveStreamers()));
+        filterManager.setSortDirection('desc');
+        const descending = names(filterManager.applySorting(liveStreamers()));
+
+        assert.deepEqual(descending, [...ascending].reverse(), sortBy);
+    }
+});
+
+test('applySorting by name compares display names', () => {
+    const filterManager = new FilterManager();
+    filterManager.setSortBy('name');
+    filterManager.setSortDirection('asc');
+
+    assert.deepEqual(names(filterManager.applySorting(createStreamers())), ['adinross', 'konvy', 'shoovy', 'westcol', 'xqc']);
+});
+
+test('applySorting by relevance puts the best match first when descending', () => {
+    const filterManager = new FilterManager();
+    filterManager.setFilter('search', 'slots');
+    filterManager.setSortBy('relevance');
+    filterManager.setSortDirection('desc');
+
+    const streamers = createStreamers();
+    streamers.push({ name: 'slotsguy', displayName: 'SlotsGuy', live: false, viewers: 0, category: 'Poker' });
+
+    const result = names(filterManager.applyFilters(streamers));
+    assert.equal(result[0], 'slotsguy');
+    assert.deepEqual(result.slice(1).sort(), ['adinross', 'shoovy']);
+});
+
+test('validateFilters resets values the facets do not offer', () => {
+    const filterManager = new FilterManager();
+    filterManager.setFilters({ status: ['live', 'sleeping'], viewers: 'lots' });
+    filterManager.setSortBy('loudness');
+
+    const errors = filterManager.validateFilters();
+
+    assert.equal(errors.length, 3);
+    assert.equal(filterManager.getFilter('status'), 'live');
+    assert.equal(filterManager.getFilter('viewers'), 'all');
+    assert.equal(filterManager.getSortBy(), 'status');
+});
+
+test('sanitizeFilters keeps known facets, valid values and the search', () => {
+    assert.equal(sanitizeFilters(null), null);
+    assert.equal(sanitizeFilters(['status']), null);
+    assert.equal(sanitizeFilters({ watchlist: 'wl_1', mood: 'happy' }), null);
+
+    assert.deepEqual(sanitizeFilters({
+        status: ['live', 'favorites', 'sleeping'],
+        mature: 'sometimes',
+        tags: ['irl', { tag: 'x' }],
+        language: 'Spanish',
+        search: 'cat:slots'
+    }), {
+        status: ['live', 'favorites'],
+        tags: 'irl',
+        language: 'Spanish',
+        search: 'cat:slots'
+    });
+});
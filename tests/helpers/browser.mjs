@@ -0,0 +1,361 @@
+// Browser shims for running the managers under `node --test`
+//
+// localStorage, IndexedDB and Notification are replaced with in-memory
+// versions that cover what the managers use. Call installBrowserShims() once
+// per test file and resetBrowserShims() between tests for a clean profile.
+
+// localStorage: items are own enumerable properties, so Object.keys() works
+// the way StorageManager.clear() expects
+export class MemoryStorage {
+    get length() {
+        return Object.keys(this).length;
+    }
+
+    key(index) {
+        return Object.keys(this)[index] ?? null;
+    }
+
+    getItem(key) {
+        return Object.prototype.hasOwnProperty.call(this, key) ? this[key] : null;
+    }
+
+    setItem(key, value) {
+        this[key] = String(value);
+    }
+
+    removeItem(key) {
+        delete this[key];
+    }
+
+    clear() {
+        Object.keys(this).forEach(key => delete this[key]);
+    }
+}
+
+// Mirrors indexedDB.cmp for number, string and array keys
+export function compareKeys(a, b) {
+    if (Array.isArray(a) && Array.isArray(b)) {
+        for (let i = 0; i < Math.min(a.length, b.length); i++) {
+            const comparison = compareKeys(a[i], b[i]);
+            if (comparison !== 0) return comparison;
+        }
+        return a.length - b.length;
+    }
+    if (a === b) return 0;
+    return a < b ? -1 : 1;
+}
+
+export class FakeKeyRange {
+    constructor(lower, upper, lowerOpen = false, upperOpen = false) {
+        this.lower = lower;
+        this.upper = upper;
+        this.lowerOpen = lowerOpen;
+        this.upperOpen = upperOpen;
+    }
+
+    static bound(lower, upper, lowerOpen = false, upperOpen = false) {
+        return new FakeKeyRange(lower, upper, lowerOpen, upperOpen);
+    }
+
+    static lowerBound(lower, open = false) {
+        return new FakeKeyRange(lower, undefined, open, false);
+    }
+
+    static upperBound(upper, open = false) {
+        return new FakeKeyRange(undefined, upper, false, open);
+    }
+
+    static only(value) {
+        return new FakeKeyRange(value, value);
+    }
+
+    includes(key) {
+        if (this.lower !== undefined) {
+            const comparison = compareKeys(key, this.lower);
+            if (comparison < 0 || (comparison === 0 && this.lowerOpen)) return false;
+        }
+        if (this.upper !== undefined) {
+            const comparison = compareKeys(key, this.upper);
+            if (comparison > 0 || (comparison === 0 && this.upperOpen)) return false;
+        }
+        return true;
+    }
+}
+
+class FakeRequest {
+    constructor(transaction = null) {
+        this.transaction = transaction;
+        this.result = undefined;
+        this.error = null;
+        this.onsuccess = null;
+        this.onerror = null;
+        this.onupgradeneeded = null;
+    }
+}
+
+// Requests settle on later tasks, and oncomplete fires once none are left,
+// like a real transaction
+class FakeTransaction {
+    constructor(db, mode) {
+        this.db = db;
+        this.mode = mode;
+        this.pending = 0;
+        this.finished = false;
+        this.oncomplete = null;
+        this.onerror = null;
+        this.scheduleComplete();
+    }
+
+    objectStore(name) {
+        const store = this.db.stores.get(name);
+        if (!store) {
+            throw new Error(`No object store named ${name}`);
+        }
+        return new FakeObjectStore(store, this);
+    }
+
+    request(run) {
+        return this.settle(new FakeRequest(this), run);
+    }
+
+    settle(request, run) {
+        this.pending++;
+        setTimeout(() => {
+            try {
+                request.result = run();
+                request.onsuccess?.({ target: request });
+            } catch (error) {
+                request.error = error;
+                request.onerror?.({ target: request });
+                this.onerror?.({ target: request });
+            }
+            this.pending--;
+            this.scheduleComplete();
+        }, 0);
+        return request;
+    }
+
+    scheduleComplete() {
+        setTimeout(() => {
+            if (this.pending === 0 && !this.finished) {
+                this.finished = true;
+                this.oncomplete?.({ target: this });
+            }
+        }, 0);
+    }
+}
+
+class FakeObjectStore {
+    constructor(store, transaction = null) {
+        this.store = store;
+        this.transaction = transaction;
+    }
+
+    get keyPath() {
+        return this.store.keyPath;
+    }
+
+    createIndex(name, keyPath) {
+        this.store.indexes.set(name, keyPath);
+        return new FakeIndex(this.store, name, this.transaction);
+    }
+
+    index(name) {
+        if (!this.store.indexes.has(name)) {
+            throw new Error(`No index named ${name}`);
+        }
+        return new FakeIndex(this.store, name, this.transaction);
+    }
+
+    put(record) {
+        return this.transaction.request(() => {
+            const key = record[this.store.keyPath];
+            this.store.records.set(key, structuredClone(record));
+            return key;
+        });
+    }
+
+    get(key) {
+        return this.transaction.request(() => structuredClone(this.store.records.get(key)));
+    }
+
+    delete(key) {
+        return this.transaction.request(() => {
+            this.store.records.delete(key);
+        });
+    }
+
+    getAll() {
+        return this.transaction.request(() => Array.from(this.store.records.keys())
+            .sort(compareKeys)
+            .map(key => structuredClone(this.store.records.get(key))));
+    }
+
+    count() {
+        return this.transaction.request(() => this.store.records.size);
+    }
+
+    clear() {
+        return this.transaction.request(() => {
+            this.store.records.clear();
+        });
+    }
+}
+
+class FakeIndex {
+    constructor(store, name, transaction) {
+        this.store = store;
+        this.keyPath = store.indexes.get(name);
+        this.transaction = transaction;
+    }
+
+    getIndexKey(record) {
+        return Array.isArray(this.keyPath) ? this.keyPath.map(path => record[path]) : record[this.keyPath];
+    }
+
+    // [indexKey, primaryKey] pairs in index order; records without the key are not indexed
+    getMatches(range) {
+        return Array.from(this.store.records.entries())
+            .map(([primaryKey, record]) => [this.getIndexKey(record), primaryKey])
+            .filter(([key]) => key !== undefined && (!Array.isArray(key) || !key.includes(undefined)))
+            .filter(([key]) => !range || range.includes(key))
+            .sort((a, b) => compareKeys(a[0], b[0]) || compareKeys(a[1], b[1]));
+    }
+
+    getAll(range) {
+        return this.transaction.request(() => this.getMatches(range)
+            .map(([, primaryKey]) => structuredClone(this.store.records.get(primaryKey))));
+    }
+
+    count(range) {
+        return this.transaction.request(() => this.getMatches(range).length);
+    }
+
+    openCursor(range) {
+        const matches = this.getMatches(range);
+        const request = new FakeRequest(this.transaction);
+        let position = 0;
+
+        const step = () => this.transaction.settle(request, () => {
+            if (position >= matches.length) return null;
+
+            const [key, primaryKey] = matches[position++];
+            return {
+                key,
+                primaryKey,
+                value: structuredClone(this.store.records.get(primaryKey)),
+                delete: () => this.store.records.delete(primaryKey),
+                continue: step
+            };
+        });
+
+        return step();
+    }
+}
+
+class FakeDatabase {
+    constructor(name) {
+        this.name = name;
+        this.version = 0;
+        this.stores = new Map();
+    }
+
+    get objectStoreNames() {
+        const names = Array.from(this.stores.keys());
+        return {
+            length: names.length,
+            item: index => names[index] ?? null,
+            contains: name => this.stores.has(name)
+        };
+    }
+
+    createObjectStore(name, { keyPath } = {}) {
+        const store = { keyPath, records: new Map(), indexes: new Map() };
+        this.stores.set(name, store);
+        return new FakeObjectStore(store);
+    }
+
+    deleteObjectStore(name) {
+        this.stores.delete(name);
+    }
+
+    transaction(names, mode = 'readonly') {
+        return new FakeTransaction(this, mode);
+    }
+
+    close() {}
+}
+
+export class FakeIndexedDB {
+    constructor() {
+        this.databases = new Map();
+    }
+
+    open(name, version = 1) {
+        const request = new FakeRequest();
+
+        setTimeout(() => {
+            let db = this.databases.get(name);
+            if (!db) {
+                db = new FakeDatabase(name);
+                this.databases.set(name, db);
+            }
+
+            request.result = db;
+            const oldVersion = db.version;
+            if (version > oldVersion) {
+                db.version = version;
+                request.onupgradeneeded?.({ target: request, oldVersion, newVersion: version });
+            }
+            request.onsuccess?.({ target: request });
+        }, 0);
+
+        return request;
+    }
+
+    deleteDatabase(name) {
+        const request = new FakeRequest();
+        setTimeout(() => {
+            this.databases.delete(name);
+            request.onsuccess?.({ target: request });
+        }, 0);
+        return request;
+    }
+}
+
+// Desktop notifications are recorded instead of shown
+export class FakeNotification {
+    static permission = 'granted';
+    static instances = [];
+
+    static async requestPermission() {
+        return FakeNotification.permission;
+    }
+
+    constructor(title, options = {}) {
+        this.title = title;
+        this.options = options;
+        this.closed = false;
+        this.onclick = null;
+        FakeNotification.instances.push(this);
+    }
+
+    close() {
+        this.closed = true;
+    }
+}
+
+export function installBrowserShims() {
+    globalThis.window = globalThis;
+    globalThis.IDBKeyRange = FakeKeyRange;
+    globalThis.Notification = FakeNotification;
+    resetBrowserShims();
+}
+
+// Fresh storage, database and notification log
+export function resetBrowserShims() {
+    globalThis.localStorage = new MemoryStorage();
+    globalThis.indexedDB = new FakeIndexedDB();
+    FakeNotification.permission = 'granted';
+    FakeNotification.instances = [];
+}
@@ -0,0 +1,21 @@
+// Stands in for the network: handler(url, init) returns { status, body, headers }
+// and every call is recorded. Bodies that are not strings are sent as JSON.
+export function mockFetch(handler) {
+    const calls = [];
+
+    globalThis.fetch = async (url, init = {}) => {
+        calls.push({ url: String(url), init });
+        if (init.signal?.aborted) {
+            throw new DOMException('Aborted', 'AbortError');
+        }
+
+        const { status = 200, body = {}, headers = {} } = (await handler(String(url), init)) || {};
+        const payload = typeof body === 'string' ? body : JSON.stringify(body);
+        return new Response(payload, {
+            status,
+            headers: { 'Content-Type': 'application/json', ...headers }
+        });
+    };
+
+    return calls;
+}
@@ -0,0 +1,133 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installBrowserShims, resetBrowserShims } from './helpers/browser.mjs';
+import { StorageManager } from '../storageManager.js';
+import { HistoryManager } from '../historyManager.js';
+
+installBrowserShims();
+beforeEach(() => resetBrowserShims());
+
+const MINUTE_MS = 60 * 1000;
+
+async function createHistoryManager() {
+    const storage = new StorageManager();
+    await storage.init();
+    const historyManager = new HistoryManager(storage);
+    await historyManager.init();
+    return { storage, historyManager };
+}
+
+function samples(...viewers) {
+    return viewers.map((count, i) => ({ timestamp: i * MINUTE_MS, viewers: count }));
+}
+
+test('calculateViewerGrowth compares the second half with the first', () => {
+    const historyManager = new HistoryManager(null);
+
+    assert.equal(historyManager.calculateViewerGrowth(samples(100, 100, 150, 150)), 50);
+    assert.equal(historyManager.calculateViewerGrowth(samples(200, 200, 100, 100)), -50);
+    // Odd lengths put the extra sample in the second half
+    assert.equal(historyManager.calculateViewerGrowth(samples(100, 200, 200)), 100);
+});
+
+test('calculateViewerGrowth is 0 without enough data or a baseline', () => {
+    const historyManager = new HistoryManager(null);
+
+    assert.equal(historyManager.calculateViewerGrowth([]), 0);
+    assert.equal(historyManager.calculateViewerGrowth(samples(500)), 0);
+    assert.equal(historyManager.calculateViewerGrowth(samples(0, 0, 300, 300)), 0);
+});
+
+test('analyzeSchedulePattern counts session starts by local hour and weekday', () => {
+    const historyManager = new HistoryManager(null);
+    const sessions = [
+        // Monday 5 and 12 January 2026 at 20:00, Tuesday 6 January at 14:00
+        { startTime: new Date(2026, 0, 5, 20, 15).getTime() },
+        { startTime: new Date(2026, 0, 12, 20, 45).getTime() },
+        { startTime: new Date(2026, 0, 6, 14, 0).getTime() }
+    ];
+
+    const pattern = historyManager.analyzeSchedulePattern(sessions);
+
+    assert.deepEqual(pattern.topHours[0], { hour: 20, count: 2 });
+    assert.deepEqual(pattern.topHours[1], { hour: 14, count: 1 });
+    assert.deepEqual(pattern.topDays[0], { day: 'Monday', count: 2 });
+    assert.deepEqual(pattern.topDays[1], { day: 'Tuesday', count: 1 });
+    assert.equal(pattern.hourDistribution.length, 24);
+    assert.equal(pattern.dayDistribution.reduce((sum, count) => sum + count, 0), 3);
+});
+
+test('analyzeSchedulePattern handles no sessions', () => {
+    const historyManager = new HistoryManager(null);
+    const pattern = historyManager.analyzeSchedulePattern([]);
+
+    assert.equal(pattern.topHours.length, 3);
+    assert.ok(pattern.topHours.every(entry => entry.count === 0));
+    assert.ok(pattern.hourDistribution.every(count => count === 0));
+});
+
+test('a reconnect within the grace window continues the session', async () => {
+    const { historyManager } = await createHistoryManager();
+    const history = () => historyManager.historyData.get('xqc');
+
+    historyManager.recordStreamerUpdate({ name: 'xqc', live: true, viewers: 100 });
+    const sessionId = history().currentSession.id;
+
+    historyManager.recordStreamerUpdate({ name: 'xqc', live: false, viewers: 0 });
+    historyManager.recordStreamerUpdate({ name: 'xqc', live: true, viewers: 120 });
+
+    assert.equal(history().currentSession.id, sessionId);
+    assert.equal(history().currentSession.interruptions.length, 1);
+    assert.equal(history().streamCount, 1);
+    clearTimeout(historyManager.summarySaveTimer);
+});
+
+test('a restart within the grace window is stitched into the session', async () => {
+    const { historyManager } = await createHistoryManager();
+    const history = () => historyManager.historyData.get('xqc');
+    const now = Date.now();
+    const streamer = { name: 'xqc', live: true, viewers: 100, streamStartTime: now - 60 * MINUTE_MS };
+
+    historyManager.recordStreamerUpdate(streamer);
+    const sessionId = history().currentSession.id;
+    // Opened an hour ago, last seen live a minute ago
+    history().currentSession.startTime = now - 60 * MINUTE_MS;
+    history().lastSeen = now - MINUTE_MS;
+
+    // The stream dropped for 30 seconds and Kick handed out a new start time
+    const restarted = { ...streamer, streamStartTime: now - 30 * 1000 };
+    historyManager.recordChanges(restarted, [{ type: 'streamRestarted', streamer: restarted, timestamp: now }]);
+
+    const session = history().currentSession;
+    assert.equal(session.id, sessionId);
+    assert.equal(session.streamStartTime, restarted.streamStartTime);
+    assert.equal(session.interruptions.length, 1);
+    assert.equal(session.interruptions[0].reason, 'restart');
+    assert.equal(session.interruptions[0].duration, 30 * 1000);
+    assert.equal(history().streamCount, 1);
+    clearTimeout(historyManager.summarySaveTimer);
+});
+
+test('a restart after the grace window starts a new session', async () => {
+    const { historyManager } = await createHistoryManager();
+    const history = () => historyManager.historyData.get('xqc');
+    const now = Date.now();
+    const streamer = { name: 'xqc', live: true, viewers: 100, streamStartTime: now - 120 * MINUTE_MS };
+
+    historyManager.recordStreamerUpdate(streamer);
+    const sessionId = history().currentSession.id;
+    history().currentSession.startTime = now - 120 * MINUTE_MS;
+    history().lastSeen = now - 60 * MINUTE_MS;
+
+    const restarted = { ...streamer, streamStartTime: now - 10 * MINUTE_MS };
+    historyManager.recordChanges(restarted, [{ type: 'streamRestarted', streamer: restarted, timestamp: now }]);
+
+    assert.notEqual(history().currentSession.id, sessionId);
+    assert.equal(history().currentSession.startTime, restarted.streamStartTime);
+    assert.equal(history().streamCount, 2);
+
+    await historyManager.writeQueue;
+    const sessions = await historyManager.storage.getAllRecords('streamHistory');
+    assert.equal(sessions.find(session => session.id === sessionId).endTime, now - 60 * MINUTE_MS);
+    clearTimeout(historyManager.summarySaveTimer);
+});
@@ -0,0 +1,155 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ListAuthError } from '../listClient.js';
+import { ListStore, ListBackend, LocalBackend, ListBackendError } from '../listBackends.js';
+
+function memoryStore() {
+    const data = new Map();
+    return {
+        get: key => data.get(key),
+        set: (key, value) => data.set(key, value),
+        remove: key => data.delete(key)
+    };
+}
+
+// Records what reaches it; fail() decides per operation whether it throws
+class FakeBackend extends ListBackend {
+    constructor(entries = [], { writable = true } = {}) {
+        super({ id: 'fake', label: 'Fake', writable });
+        this.entries = entries;
+        this.received = [];
+        this.fail = () => null;
+    }
+
+    async load() {
+        return this.entries;
+    }
+
+    async receive(type, payload) {
+        const error = this.fail(type, payload);
+        if (error) throw error;
+        this.received.push(type === 'add' || type === 'remove' ? `${type} ${payload.name}` : type);
+    }
+
+    add(entry) { return this.receive('add', entry); }
+    remove(entry) { return this.receive('remove', entry); }
+    reorder(entries) { return this.receive('reorder', entries); }
+    replaceAll(entries) { return this.receive('replaceAll', entries); }
+}
+
+function createStore(backend = new FakeBackend()) {
+    const store = memoryStore();
+    const listStore = new ListStore(store, new Map([['fake', backend], ['local', new LocalBackend(store)]]), 'fake');
+    const events = [];
+    ['synced', 'syncDeferred', 'syncAuthRequired', 'syncError'].forEach(event => {
+        listStore.on(event, data => events.push({ event, data }));
+    });
+    return { listStore, backend, events };
+}
+
+const kick = name => ({ platform: 'kick', name });
+const names = entries => entries.map(entry => entry.name);
+
+test('changes apply locally and reach the backend in order', async () => {
+    const { listStore, backend, events } = createStore();
+
+    await listStore.add('xqc');
+    await listStore.add('https://twitch.tv/Shroud');
+    await listStore.remove(kick('xqc'));
+
+    assert.deepEqual(backend.received, ['add xqc', 'add shroud', 'remove xqc']);
+    assert.deepEqual(listStore.getLocalCopy().entries, [{ platform: 'twitch', name: 'shroud' }]);
+    assert.equal(listStore.getStatus().pending, 0);
+    assert.equal(events.at(-1).event, 'synced');
+});
+
+test('changes stay queued while the backend is unreachable and replay later', async () => {
+    const { listStore, backend, events } = createStore();
+    backend.fail = () => new TypeError('Failed to fetch');
+
+    await listStore.add('xqc');
+    await listStore.add('adinross');
+
+    assert.deepEqual(names(listStore.getLocalCopy().entries), ['xqc', 'adinross']);
+    assert.equal(listStore.getStatus().pending, 2);
+    assert.equal(events.at(-1).event, 'syncDeferred');
+
+    backend.fail = () => null;
+    assert.equal(await listStore.flush(), true);
+    assert.deepEqual(backend.received, ['add xqc', 'add adinross']);
+    assert.equal(listStore.getStatus().pending, 0);
+});
+
+test('server errors and rate limits are retried later', async () => {
+    const { listStore, backend } = createStore();
+
+    backend.fail = () => new ListBackendError('Bad gateway', 502);
+    await listStore.add('xqc');
+    backend.fail = () => new ListBackendError('Slow down', 429);
+    await listStore.add('adinross');
+
+    assert.equal(listStore.getStatus().pending, 2);
+    assert.deepEqual(backend.received, []);
+});
+
+test('an auth failure keeps the change and asks for sign-in', async () => {
+    const { listStore, backend, events } = createStore();
+    backend.fail = () => new ListAuthError('Sign-in cancelled', 401);
+
+    await listStore.add('xqc');
+
+    assert.equal(listStore.getStatus().pending, 1);
+    assert.equal(events.at(-1).event, 'syncAuthRequired');
+});
+
+test('changes the backend refuses are dropped and reported', async () => {
+    const { listStore, backend, events } = createStore();
+    backend.fail = (type, entry) => (entry.name === 'bad' ? new ListBackendError('Invalid streamer name', 400) : null);
+
+    await listStore.add('bad');
+    await listStore.add('xqc');
+
+    const rejected = events.filter(({ event }) => event === 'syncError');
+    assert.equal(rejected.length, 1);
+    assert.equal(rejected[0].data.error.status, 400);
+    assert.deepEqual(rejected[0].data.operation.entry, kick('bad'));
+    assert.deepEqual(backend.received, ['add xqc']);
+    assert.equal(listStore.getStatus().pending, 0);
+});
+
+test('load replays pending changes on top of the remote list', async () => {
+    const { listStore, backend } = createStore(new FakeBackend([kick('xqc'), kick('westcol')]));
+    backend.fail = () => new TypeError('Failed to fetch');
+    await listStore.remove(kick('westcol'));
+    await listStore.add('adinross');
+
+    assert.deepEqual(names(await listStore.load()), ['xqc', 'adinross']);
+
+    // Offline loads fall back to the local copy
+    backend.load = async () => { throw new TypeError('Failed to fetch'); };
+    assert.deepEqual(names(await listStore.load()), ['xqc', 'adinross']);
+});
+
+test('read-only backends refuse changes up front', async () => {
+    const { listStore } = createStore(new FakeBackend([], { writable: false }));
+
+    await assert.rejects(listStore.add('xqc'), { name: 'ListBackendError', status: 405 });
+    assert.equal(listStore.getStatus().pending, 0);
+});
+
+test('switching backends merges, pushes or pulls the list', async () => {
+    const { listStore, backend } = createStore(new FakeBackend([kick('xqc'), kick('westcol')]));
+    await listStore.load();
+
+    const merged = await listStore.switchBackend('local', 'merge');
+    assert.deepEqual(names(merged), ['xqc', 'westcol']);
+    assert.equal(listStore.getStatus().backendId, 'local');
+
+    await listStore.add('adinross');
+    backend.entries = [kick('konvy')];
+    assert.deepEqual(names(await listStore.switchBackend('fake', 'merge')), ['konvy', 'xqc', 'westcol', 'adinross']);
+    assert.deepEqual(backend.received, ['replaceAll']);
+
+    assert.deepEqual(names(await listStore.switchBackend('local', 'pull')), ['xqc', 'westcol', 'adinross']);
+    await assert.rejects(listStore.switchBackend('nowhere'), /Unknown list backend/);
+});
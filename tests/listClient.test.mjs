@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mockFetch } from './helpers/fetch.mjs';
+import { ListClient, ListAuthError, ListBackendError } from '../listClient.js';
+
+const BASE_URL = 'https://list.test/';
+const HOUR_MS = 60 * 60 * 1000;
+
+function memoryStore() {
+    const data = new Map();
+    return {
+        get: key => data.get(key),
+        set: (key, value) => data.set(key, value),
+        remove: key => data.delete(key)
+    };
+}
+
+function createClient({ authPrompt = null, token = null } = {}) {
+    const store = memoryStore();
+    if (token) {
+        store.set('listAuth', { token, expiresAt: Date.now() + HOUR_MS });
+    }
+    return new ListClient({ getBaseUrl: () => BASE_URL, store, authPrompt });
+}
+
+const bodyOf = call => JSON.parse(call.init.body);
+const actionOf = init => JSON.parse(init.body).action;
+
+test('tokens close to their expiry are treated as missing', () => {
+    const client = createClient();
+    const now = Date.now();
+
+    client.store.set('listAuth', { token: 'abc', expiresAt: now + HOUR_MS });
+    assert.equal(client.getToken(now), 'abc');
+    assert.deepEqual(client.getAuthHeaders(), { 'Authorization': 'Bearer abc' });
+
+    client.store.set('listAuth', { token: 'abc', expiresAt: now + 10 * 1000 });
+    assert.equal(client.getToken(now), null);
+    assert.equal(client.isAuthenticated(), false);
+});
+
+test('login trades the secret for a token and only stores the token', async () => {
+    const client = createClient();
+    const expiresAt = Date.now() + HOUR_MS;
+    const calls = mockFetch(() => ({ body: { token: 'abc', expiresAt } }));
+
+    assert.equal(await client.login('hunter2'), expiresAt);
+
+    assert.deepEqual(bodyOf(calls[0]), { action: 'login', secret: 'hunter2' });
+    assert.deepEqual(client.store.get('listAuth'), { token: 'abc', expiresAt });
+
+    mockFetch(() => ({ status: 401, body: {} }));
+    await assert.rejects(client.login('wrong'), { name: 'ListAuthError', message: 'Wrong secret', status: 401 });
+});
+
+test('concurrent changes share a single sign-in prompt', async () => {
+    let prompts = 0;
+    const client = createClient({ authPrompt: async () => { prompts++; return 'hunter2'; } });
+    const calls = mockFetch((url, init) => (actionOf(init) === 'login'
+        ? { body: { token: 'abc', expiresAt: Date.now() + HOUR_MS } }
+        : { body: { ok: true } }));
+
+    await Promise.all([client.add('xqc', 'kick'), client.remove('shroud', 'twitch')]);
+
+    assert.equal(prompts, 1);
+    assert.equal(calls.filter(call => bodyOf(call).action === 'login').length, 1);
+    assert.equal(calls.at(-1).init.headers['Authorization'], 'Bearer abc');
+});
+
+test('a cancelled prompt or no prompt at all is an auth error', async () => {
+    await assert.rejects(createClient().add('xqc', 'kick'), { name: 'ListAuthError', status: 401 });
+    await assert.rejects(createClient({ authPrompt: async () => null }).add('xqc', 'kick'), { message: 'Sign-in cancelled' });
+});
+
+test('a token rejected by the worker is dropped and sign-in runs once more', async () => {
+    const client = createClient({ token: 'revoked', authPrompt: async () => 'hunter2' });
+    const calls = mockFetch((url, init) => {
+        if (actionOf(init) === 'login') return { body: { token: 'fresh', expiresAt: Date.now() + HOUR_MS } };
+        return init.headers['Authorization'] === 'Bearer fresh' ? { body: { ok: true } } : { status: 401, body: {} };
+    });
+
+    assert.deepEqual(await client.add('xqc', 'kick'), { ok: true });
+    assert.deepEqual(calls.map(call => bodyOf(call).action), ['add', 'login', 'add']);
+});
+
+test('refused changes keep the response status', async () => {
+    const client = createClient({ token: 'abc' });
+
+    mockFetch(() => ({ status: 403, body: 'Forbidden' }));
+    await assert.rejects(client.add('xqc', 'kick'), error => error instanceof ListAuthError && error.status === 403);
+
+    mockFetch(() => ({ status: 400, body: 'Invalid streamer name' }));
+    const invalid = await client.add('x y', 'kick').catch(error => error);
+    assert.ok(invalid instanceof ListBackendError);
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.message, 'Invalid streamer name');
+
+    mockFetch(() => ({ status: 502, body: '' }));
+    const upstream = await client.add('xqc', 'kick').catch(error => error);
+    assert.equal(upstream.status, 502);
+    assert.equal(upstream.message, 'List add failed: 502');
+});
@@ -0,0 +1,112 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installBrowserShims, resetBrowserShims } from './helpers/browser.mjs';
+import { StorageManager } from '../storageManager.js';
+import { MilestoneDetector } from '../milestoneDetector.js';
+
+installBrowserShims();
+beforeEach(() => resetBrowserShims());
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Stands in for HistoryManager's session tracking
+function createHistory() {
+    return {
+        sessions: new Map(),
+        peaks: new Map(),
+        getCurrentSessionId(streamerName) {
+            return this.sessions.get(streamerName) || null;
+        },
+        getPreviousPeak(streamerName) {
+            return this.peaks.get(streamerName) || 0;
+        }
+    };
+}
+
+function createDetector(storage = new StorageManager(), history = createHistory()) {
+    const detector = new MilestoneDetector(storage, history);
+    detector.init();
+    return { detector, storage, history };
+}
+
+const streamer = (overrides = {}) => ({
+    name: 'xqc',
+    live: true,
+    viewers: 500,
+    streamStartTime: Date.now() - HOUR_MS,
+    ...overrides
+});
+
+const ids = detected => detected.map(({ milestone }) => milestone.id);
+
+test('only the highest new milestone of each group is announced', () => {
+    const { detector, history } = createDetector();
+    history.sessions.set('xqc', 'session-1');
+
+    const detected = detector.check([streamer({ viewers: 6000, streamStartTime: Date.now() - 5 * HOUR_MS })]);
+
+    assert.deepEqual(ids(detected), ['viewers-5000', 'duration-4h']);
+});
+
+test('milestones fire once per session', () => {
+    const { detector, history } = createDetector();
+    history.sessions.set('xqc', 'session-1');
+
+    assert.deepEqual(ids(detector.check([streamer({ viewers: 1200 })])), ['viewers-1000']);
+    assert.deepEqual(ids(detector.check([streamer({ viewers: 1500 })])), []);
+    assert.deepEqual(ids(detector.check([streamer({ viewers: 5200 })])), ['viewers-5000']);
+
+    history.sessions.set('xqc', 'session-2');
+    assert.deepEqual(ids(detector.check([streamer({ viewers: 1200 })])), ['viewers-1000']);
+});
+
+test('a restart history stitched into the session does not repeat milestones', () => {
+    const { detector, history } = createDetector();
+    history.sessions.set('xqc', 'session-1');
+
+    detector.check([streamer({ viewers: 1200, streamStartTime: Date.now() - HOUR_MS })]);
+    const afterRestart = detector.check([streamer({ viewers: 1200, streamStartTime: Date.now() - 1000 })]);
+
+    assert.deepEqual(ids(afterRestart), []);
+});
+
+test('nothing fires before history opens a session', () => {
+    const { detector, history } = createDetector();
+
+    assert.deepEqual(detector.check([streamer({ viewers: 1200 })]), []);
+
+    history.sessions.set('xqc', 'session-1');
+    assert.deepEqual(ids(detector.check([streamer({ viewers: 1200 })])), ['viewers-1000']);
+    assert.deepEqual(ids(detector.check([streamer({ viewers: 1200 })])), []);
+});
+
+test('fired milestones survive a reload', () => {
+    const storage = new StorageManager();
+    const history = createHistory();
+    history.sessions.set('xqc', 'session-1');
+
+    createDetector(storage, history).detector.check([streamer({ viewers: 1200 })]);
+    const { detector } = createDetector(storage, history);
+
+    assert.deepEqual(ids(detector.check([streamer({ viewers: 1200 })])), []);
+});
+
+test('a new personal peak is compared with earlier sessions', () => {
+    const { detector, history } = createDetector();
+    history.sessions.set('xqc', 'session-1');
+    history.peaks.set('xqc', 800);
+
+    assert.deepEqual(ids(detector.check([streamer({ viewers: 700 })])), []);
+    assert.deepEqual(ids(detector.check([streamer({ viewers: 900 })])), ['personal-peak']);
+});
+
+test('offline, failed and disabled checks find nothing', () => {
+    const { detector, history } = createDetector();
+    history.sessions.set('xqc', 'session-1');
+
+    assert.deepEqual(detector.check([streamer({ viewers: 1200, live: false })]), []);
+    assert.deepEqual(detector.check([streamer({ viewers: 1200, error: true })]), []);
+
+    detector.setSettings({ enabled: false });
+    assert.deepEqual(detector.check([streamer({ viewers: 1200 })]), []);
+});
@@ -0,0 +1,164 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installBrowserShims, resetBrowserShims, FakeNotification } from './helpers/browser.mjs';
+import { StorageManager } from '../storageManager.js';
+import { NotificationManager } from '../notificationManager.js';
+
+installBrowserShims();
+beforeEach(() => resetBrowserShims());
+
+// Settings are loaded by hand; init() would also set up audio and service workers
+function createNotificationManager(favorites = []) {
+    const storage = new StorageManager();
+    favorites.forEach(name => storage.addFavorite(name));
+    const notificationManager = new NotificationManager(storage);
+    notificationManager.loadSettings();
+    notificationManager.favorites = new Set(storage.getFavorites());
+    return { storage, notificationManager };
+}
+
+const streamer = (name, overrides = {}) => ({
+    name,
+    displayName: name,
+    live: true,
+    viewers: 500,
+    category: 'Just Chatting',
+    ...overrides
+});
+
+test('live alerts are limited to favorites by default', () => {
+    const { notificationManager } = createNotificationManager(['xqc']);
+
+    assert.equal(notificationManager.shouldNotify('live', streamer('xqc')), true);
+    assert.equal(notificationManager.shouldNotify('live', streamer('westcol')), false);
+
+    notificationManager.updateSettings({ onlyFavorites: false });
+    assert.equal(notificationManager.shouldNotify('live', streamer('westcol')), true);
+});
+
+test('live alerts respect the viewer threshold and categories', () => {
+    const { notificationManager } = createNotificationManager(['xqc']);
+    notificationManager.updateSettings({ viewerThreshold: 1000 });
+
+    assert.equal(notificationManager.shouldNotify('live', streamer('xqc', { viewers: 999 })), false);
+    assert.equal(notificationManager.shouldNotify('live', streamer('xqc', { viewers: 1000 })), true);
+
+    notificationManager.updateSettings({ viewerThreshold: 0, categories: ['Slots'] });
+    assert.equal(notificationManager.shouldNotify('live', streamer('xqc')), false);
+    assert.equal(notificationManager.shouldNotify('live', streamer('xqc', { category: 'Slots' })), true);
+});
+
+test('streamer rules override the global filters', () => {
+    const { storage, notificationManager } = createNotificationManager(['xqc']);
+
+    storage.setStreamerRule('westcol', { notify: 'always' });
+    assert.equal(notificationManager.shouldNotify('live', streamer('westcol')), true);
+
+    storage.setStreamerRule('xqc', { notify: 'never' });
+    assert.equal(notificationManager.shouldNotify('live', streamer('xqc')), false);
+
+    storage.setStreamerRule('xqc', { notify: 'filtered', minViewers: 1000, categories: [] });
+    assert.equal(notificationManager.shouldNotify('live', streamer('xqc')), false);
+    assert.equal(notificationManager.shouldNotify('live', streamer('xqc', { viewers: 2000 })), true);
+});
+
+test('watchlist rules apply when any list allows the streamer', () => {
+    const { storage, notificationManager } = createNotificationManager();
+
+    storage.createWatchlist('Muted', ['westcol'], { rule: { notify: 'never' } });
+    assert.equal(notificationManager.shouldNotify('live', streamer('westcol')), false);
+
+    storage.createWatchlist('Big streams', ['westcol'], { rule: { notify: 'filtered', minViewers: 100 } });
+    assert.equal(notificationManager.shouldNotify('live', streamer('westcol')), true);
+    assert.equal(notificationManager.shouldNotify('live', streamer('westcol', { viewers: 50 })), false);
+
+    // A streamer rule wins over list rules
+    storage.setStreamerRule('westcol', { notify: 'never' });
+    assert.equal(notificationManager.shouldNotify('live', streamer('westcol')), false);
+});
+
+test('per-type switches apply before streamer and list rules', () => {
+    const { storage, notificationManager } = createNotificationManager();
+    storage.setStreamerRule('xqc', { notify: 'always' });
+    storage.createWatchlist('Everyone', ['westcol'], { rule: { notify: 'always' } });
+
+    notificationManager.updateSettings({ offline: false });
+    assert.equal(notificationManager.shouldNotify('offline', streamer('xqc')), false);
+    assert.equal(notificationManager.shouldNotify('offline', streamer('westcol')), false);
+
+    notificationManager.updateSettings({ milestones: { ...notificationManager.settings.milestones, enabled: false } });
+    assert.equal(notificationManager.shouldNotify('milestone', streamer('xqc')), false);
+
+    assert.equal(notificationManager.shouldNotify('change', streamer('xqc'), 'titleChanged'), false);
+    notificationManager.updateSettings({ changes: { ...notificationManager.settings.changes, titleChanged: true } });
+    assert.equal(notificationManager.shouldNotify('change', streamer('xqc'), 'titleChanged'), true);
+    assert.equal(notificationManager.shouldNotify('change', streamer('xqc'), 'categoryChanged'), false);
+});
+
+test('a recent alert puts the streamer on cooldown for that type', () => {
+    const { notificationManager } = createNotificationManager(['xqc']);
+
+    notificationManager.recordNotification('xqc', 'live');
+    assert.equal(notificationManager.shouldNotify('live', streamer('xqc')), false);
+    assert.equal(notificationManager.shouldNotify('offline', streamer('xqc')), true);
+
+    notificationManager.lastNotifications.set('xqc-live', Date.now() - notificationManager.notificationCooldown);
+    assert.equal(notificationManager.shouldNotify('live', streamer('xqc')), true);
+});
+
+test('isQuietHours handles ranges within a day and across midnight', () => {
+    const { notificationManager } = createNotificationManager();
+    const at = hour => new Date(2026, 0, 5, hour, 30);
+
+    assert.equal(notificationManager.isQuietHours(at(23)), false, 'disabled by default');
+
+    notificationManager.updateSettings({ quietHours: { enabled: true, start: 22, end: 8, mode: 'suppress' } });
+    assert.equal(notificationManager.isQuietHours(at(22)), true);
+    assert.equal(notificationManager.isQuietHours(at(3)), true);
+    assert.equal(notificationManager.isQuietHours(at(8)), false);
+    assert.equal(notificationManager.isQuietHours(at(12)), false);
+
+    notificationManager.updateSettings({ quietHours: { enabled: true, start: 13, end: 15, mode: 'suppress' } });
+    assert.equal(notificationManager.isQuietHours(at(14)), true);
+    assert.equal(notificationManager.isQuietHours(at(15)), false);
+    assert.equal(notificationManager.isQuietHours(at(2)), false);
+});
+
+test('old settings are migrated once on load', () => {
+    localStorage.setItem('notificationSettings', JSON.stringify({
+        sound: false,
+        favorites: true,
+        mutedStreamers: ['westcol', 'xqc']
+    }));
+    const storage = new StorageManager();
+    storage.setStreamerRule('xqc', { notify: 'always' });
+
+    const notificationManager = new NotificationManager(storage);
+    notificationManager.loadSettings();
+
+    assert.deepEqual(storage.getStreamerRule('westcol'), { notify: 'never' });
+    assert.deepEqual(storage.getStreamerRule('xqc'), { notify: 'always' }, 'existing rules are kept');
+    assert.equal(notificationManager.settings.sound, false);
+    assert.equal(notificationManager.settings.onlyFavorites, true);
+
+    const saved = JSON.parse(localStorage.getItem('notificationSettings'));
+    assert.equal('mutedStreamers' in saved, false);
+    assert.equal('favorites' in saved, false);
+});
+
+test('sendLiveNotification shows a desktop notification and starts the cooldown', async () => {
+    const { notificationManager } = createNotificationManager(['xqc']);
+    notificationManager.updateSettings({ sound: false });
+    const sent = [];
+    notificationManager.on('notificationSent', notification => sent.push(notification));
+
+    await notificationManager.sendLiveNotification(streamer('xqc', { displayName: 'xQc', title: 'hello' }));
+    await notificationManager.sendLiveNotification(streamer('xqc', { displayName: 'xQc', title: 'again' }));
+    // Let the queue finish its delay between notifications
+    await new Promise(resolve => setTimeout(resolve, 600));
+
+    assert.equal(FakeNotification.instances.length, 1);
+    assert.equal(FakeNotification.instances[0].title, 'xQc is now live!');
+    assert.equal(FakeNotification.instances[0].options.body, 'hello');
+    assert.equal(sent.length, 1);
+});
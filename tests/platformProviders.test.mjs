@@ -0,0 +1,191 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mockFetch } from './helpers/fetch.mjs';
+import { ProxyPool } from '../proxyPool.js';
+import {
+    KickProvider,
+    TwitchProvider,
+    YouTubeProvider,
+    ProviderError,
+    createDefaultProviders,
+    getStreamerKey,
+    parseStreamerKey,
+    parseStreamerInput,
+    parseRetryAfter
+} from '../platformProviders.js';
+
+test('Kick names stay bare keys, other platforms are prefixed', () => {
+    assert.equal(getStreamerKey('kick', 'xqc'), 'xqc');
+    assert.equal(getStreamerKey('twitch', 'shroud'), 'twitch:shroud');
+    assert.deepEqual(parseStreamerKey('xqc'), { platform: 'kick', name: 'xqc' });
+    assert.deepEqual(parseStreamerKey('youtube:mrbeast'), { platform: 'youtube', name: 'mrbeast' });
+});
+
+test('parseStreamerInput accepts names, prefixed names, URLs and entries', () => {
+    assert.deepEqual(parseStreamerInput(' XQC '), { platform: 'kick', name: 'xqc' });
+    assert.deepEqual(parseStreamerInput('Twitch:Shroud'), { platform: 'twitch', name: 'shroud' });
+    assert.deepEqual(parseStreamerInput('https://www.twitch.tv/Shroud?ref=1'), { platform: 'twitch', name: 'shroud' });
+    assert.deepEqual(parseStreamerInput('kick.com/adinross'), { platform: 'kick', name: 'adinross' });
+    assert.deepEqual(parseStreamerInput('https://youtube.com/@MrBeast'), { platform: 'youtube', name: 'mrbeast' });
+    assert.deepEqual(parseStreamerInput({ platform: 'Twitch', name: 'Shroud' }), { platform: 'twitch', name: 'shroud' });
+    assert.deepEqual(parseStreamerInput({ name: 'xqc' }), { platform: 'kick', name: 'xqc' });
+});
+
+test('parseRetryAfter reads seconds and HTTP dates', () => {
+    assert.equal(parseRetryAfter(null), null);
+    assert.equal(parseRetryAfter('5'), 5000);
+    assert.equal(parseRetryAfter('nonsense'), null);
+
+    const inTenSeconds = new Date(Date.now() + 10000).toUTCString();
+    const delay = parseRetryAfter(inTenSeconds);
+    assert.ok(delay > 8000 && delay <= 10000, `${delay}`);
+    assert.equal(parseRetryAfter(new Date(Date.now() - 10000).toUTCString()), 0);
+});
+
+test('createDefaultProviders reads config lazily', () => {
+    let config = {};
+    const providers = createDefaultProviders(() => config);
+
+    assert.deepEqual(Array.from(providers.keys()), ['kick', 'twitch', 'youtube']);
+    assert.equal(providers.get('twitch').isConfigured(), false);
+
+    config = { twitchClientId: 'id', twitchAccessToken: 'token', kickApiBase: 'http://localhost:8787/kick' };
+    assert.equal(providers.get('twitch').isConfigured(), true);
+    assert.equal(providers.get('kick').baseURL, 'http://localhost:8787/kick');
+});
+
+test('KickProvider normalizes a live channel', () => {
+    const provider = new KickProvider();
+    const streamer = provider.normalize({
+        slug: 'xqc',
+        followers_count: 100,
+        verified: true,
+        user: { username: 'xQc', profile_pic: 'avatar.png' },
+        livestream: {
+            session_title: 'hello',
+            viewer_count: 4200,
+            categories: [{ name: 'Just Chatting' }],
+            created_at: '2026-01-05T20:00:00Z',
+            language: 'English',
+            tags: ['variety'],
+            is_mature: true
+        }
+    }, 'xqc');
+
+    assert.equal(streamer.displayName, 'xQc');
+    assert.equal(streamer.live, true);
+    assert.equal(streamer.viewers, 4200);
+    assert.equal(streamer.category, 'Just Chatting');
+    assert.equal(streamer.streamStartTime, Date.parse('2026-01-05T20:00:00Z'));
+    assert.equal(streamer.url, 'https://kick.com/xqc');
+    assert.equal(streamer.mature, true);
+
+    const offline = provider.normalize({ user: {}, livestream: null }, 'xqc');
+    assert.equal(offline.live, false);
+    assert.equal(offline.title, 'Offline');
+});
+
+test('TwitchProvider and YouTubeProvider normalize their payloads', () => {
+    const twitch = new TwitchProvider().normalize({
+        stream: { type: 'live', title: 'ranked', viewer_count: 12, game_name: 'Valorant', thumbnail_url: 'x-{width}x{height}.jpg', started_at: '2026-01-05T20:00:00Z' },
+        user: { display_name: 'Shroud', broadcaster_type: 'partner' }
+    }, 'shroud');
+    assert.equal(twitch.live, true);
+    assert.equal(twitch.thumbnail, 'x-640x360.jpg');
+    assert.equal(twitch.isVerified, true);
+
+    const youtube = new YouTubeProvider().normalize({
+        channel: { id: 'UC1', snippet: { title: 'MrBeast' } },
+        video: { snippet: { title: 'live now' }, liveStreamingDetails: { concurrentViewers: '3400' } }
+    }, 'mrbeast');
+    assert.equal(youtube.live, true);
+    assert.equal(youtube.viewers, 3400);
+    assert.equal(youtube.displayName, 'MrBeast');
+});
+
+test('providers without credentials fail with 401 before fetching', async () => {
+    const calls = mockFetch(() => ({ body: {} }));
+
+    await assert.rejects(new TwitchProvider().fetchChannel('shroud'), { name: 'ProviderError', status: 401 });
+    await assert.rejects(new YouTubeProvider().fetchChannel('mrbeast'), { name: 'ProviderError', status: 401 });
+    assert.equal(calls.length, 0);
+});
+
+test('fetchJSON turns HTTP errors and bad JSON into ProviderErrors', async () => {
+    const provider = new KickProvider();
+
+    mockFetch(() => ({ status: 429, body: {}, headers: { 'Retry-After': '3' } }));
+    const rateLimited = await provider.fetchChannel('xqc').catch(error => error);
+    assert.ok(rateLimited instanceof ProviderError);
+    assert.equal(rateLimited.status, 429);
+    assert.equal(rateLimited.retryAfter, 3000);
+
+    mockFetch(() => ({ body: '{not json' }));
+    const malformed = await provider.fetchChannel('xqc').catch(error => error);
+    assert.equal(malformed.malformed, true);
+});
+
+test('provider health degrades with failures and recovers on success', () => {
+    const provider = new KickProvider();
+
+    provider.recordFailure(new ProviderError('x', 500, 'kick'));
+    assert.equal(provider.getHealth().status, 'degraded');
+    provider.recordFailure(new ProviderError('x', 500, 'kick'));
+    provider.recordFailure(new ProviderError('x', 500, 'kick'));
+    assert.equal(provider.getHealth().status, 'down');
+
+    provider.recordSuccess();
+    assert.equal(provider.getHealth().status, 'ok');
+    assert.equal(provider.getHealth().consecutiveFailures, 0);
+});
+
+test('Kick goes through the proxy pool when one is configured', async () => {
+    const pool = new ProxyPool(['https://proxy.test/?url={url}']);
+    const provider = new KickProvider(() => ({ proxyPool: pool }));
+    const calls = mockFetch(() => ({ body: { slug: 'xqc', user: { username: 'xQc' }, livestream: null } }));
+
+    const data = await provider.fetchChannel('xqc');
+
+    assert.equal(data.slug, 'xqc');
+    assert.equal(calls[0].url, 'https://proxy.test/?url=https%3A%2F%2Fkick.com%2Fapi%2Fv1%2Fchannels%2Fxqc');
+});
+
+test('Kick errors from the proxy pool keep their status and Retry-After', async () => {
+    const pool = new ProxyPool(['https://proxy.test/?url={url}']);
+    const provider = new KickProvider(() => ({ proxyPool: pool }));
+
+    mockFetch(() => ({ status: 429, body: {}, headers: { 'Retry-After': '7' } }));
+    const error = await provider.fetchChannel('xqc').catch(error => error);
+
+    assert.ok(error instanceof ProviderError);
+    assert.equal(error.status, 429);
+    assert.equal(error.retryAfter, 7000);
+    assert.equal(error.contentType, 'application/json');
+});
+
+test('a Kick 404 through the proxy pool is a missing channel', async () => {
+    const pool = new ProxyPool(['https://a.test/?url={url}', 'https://b.test/?url={url}']);
+    const provider = new KickProvider(() => ({ proxyPool: pool }));
+    mockFetch(() => ({ status: 404, body: { message: 'Not found' } }));
+
+    const error = await provider.fetchChannel('gone').catch(error => error);
+
+    assert.ok(error instanceof ProviderError);
+    assert.equal(error.status, 404);
+});
+
+test('Kick channel state spots banned and renamed channels', () => {
+    const provider = new KickProvider();
+
+    assert.deepEqual(provider.getChannelState({ slug: 'xqc' }, 'xqc'), { state: 'active', renamedTo: null });
+    assert.deepEqual(provider.getChannelState({ slug: 'xqc', is_banned: true }, 'xqc'), { state: 'banned', renamedTo: null });
+    assert.deepEqual(provider.getChannelState({ slug: 'xqc', user: { is_banned: true } }, 'xqc'), { state: 'banned', renamedTo: null });
+    assert.deepEqual(provider.getChannelState({ slug: 'NewName' }, 'oldname'), { state: 'renamed', renamedTo: 'newname' });
+});
+
+test('Kick slugs spell underscores as dashes without being a rename', () => {
+    const provider = new KickProvider();
+
+    assert.deepEqual(provider.getChannelState({ slug: 'musa-usa' }, 'musa_usa'), { state: 'active', renamedTo: null });
+    assert.deepEqual(provider.getChannelState({ slug: 'musa-usa' }, 'musa-usa'), { state: 'active', renamedTo: null });
+});
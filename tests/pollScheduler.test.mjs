@@ -0,0 +1,137 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installBrowserShims, resetBrowserShims } from './helpers/browser.mjs';
+import { StorageManager } from '../storageManager.js';
+import { HistoryManager } from '../historyManager.js';
+import { PollScheduler } from '../pollScheduler.js';
+
+installBrowserShims();
+beforeEach(() => resetBrowserShims());
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// Sessions come from a plain map; the pattern analysis is HistoryManager's own
+function createScheduler(sessionsByName = {}) {
+    const storage = new StorageManager();
+    const analyzer = new HistoryManager(null);
+    const historyManager = {
+        getSessions: async name => sessionsByName[name] || [],
+        analyzeSchedulePattern: sessions => analyzer.analyzeSchedulePattern(sessions)
+    };
+    const scheduler = new PollScheduler(storage, historyManager);
+    scheduler.setBaseInterval(MINUTE_MS);
+    return { scheduler, storage };
+}
+
+const streamer = (name, overrides = {}) => ({ name, live: false, lastUpdated: 0, ...overrides });
+
+test('live and favorite channels are polled more often than dormant ones', () => {
+    const { scheduler, storage } = createScheduler();
+    storage.addFavorite('fav');
+
+    assert.equal(scheduler.getInterval(streamer('live', { live: true })), MINUTE_MS);
+    assert.equal(scheduler.getInterval(streamer('fav')), 2 * MINUTE_MS);
+    assert.equal(scheduler.getInterval(streamer('dormant')), 10 * MINUTE_MS);
+
+    // Dormant channels are capped at 30 minutes
+    scheduler.setBaseInterval(5 * MINUTE_MS);
+    assert.equal(scheduler.getInterval(streamer('dormant')), 30 * MINUTE_MS);
+});
+
+test('due streamers come most important and most overdue first', () => {
+    const { scheduler, storage } = createScheduler();
+    storage.addFavorite('fav');
+    const now = 100 * MINUTE_MS;
+    const streamers = [
+        streamer('dormant'),
+        streamer('fav'),
+        streamer('live-recent', { live: true, lastUpdated: now - 2 * MINUTE_MS }),
+        streamer('live-old', { live: true, lastUpdated: now - 5 * MINUTE_MS }),
+        streamer('live-fresh', { live: true, lastUpdated: now - 10 * 1000 })
+    ];
+
+    assert.deepEqual(scheduler.getDueStreamers(streamers, now), ['live-old', 'live-recent', 'fav', 'dormant']);
+});
+
+test('markPolled resets the interval and uses up the request budget', () => {
+    const { scheduler } = createScheduler();
+    scheduler.setBudget(2);
+    const now = 100 * MINUTE_MS;
+    const streamers = ['a', 'b', 'c'].map(name => streamer(name, { live: true }));
+
+    assert.deepEqual(scheduler.getDueStreamers(streamers, now), ['a', 'b']);
+
+    scheduler.markPolled(['a', 'b'], now);
+    assert.equal(scheduler.getRemainingBudget(now), 0);
+    assert.deepEqual(scheduler.getDueStreamers(streamers, now), []);
+
+    // The budget is per minute; a and b are due again after their interval
+    assert.deepEqual(scheduler.getDueStreamers(streamers, now + MINUTE_MS), ['c', 'a']);
+});
+
+test('getNextPollIn reports the time until the next streamer is due', () => {
+    const { scheduler } = createScheduler();
+    const now = 100 * MINUTE_MS;
+
+    scheduler.markPolled(['live'], now - 20 * 1000);
+    const streamers = [streamer('live', { live: true }), streamer('dormant', { lastUpdated: now })];
+
+    assert.equal(scheduler.getNextPollIn(streamers, now), 40 * 1000);
+    assert.equal(scheduler.getNextPollIn([], now), MINUTE_MS);
+});
+
+test('learned go-live windows poll offline streamers more often', async () => {
+    // Three Mondays at 20:00 local time
+    const sessions = [5, 12, 19].map(day => ({ startTime: new Date(2026, 0, day, 20, 0).getTime() }));
+    const { scheduler } = createScheduler({ regular: sessions });
+
+    await scheduler.learnSchedules(['regular', 'unknown']);
+
+    const mondayEvening = new Date(2026, 0, 26, 19, 30).getTime();
+    const mondayMorning = new Date(2026, 0, 26, 9, 0).getTime();
+    const tuesdayEvening = new Date(2026, 0, 27, 19, 30).getTime();
+
+    assert.equal(scheduler.isLikelyLive('regular', mondayEvening), true);
+    assert.equal(scheduler.isLikelyLive('regular', mondayMorning), false);
+    assert.equal(scheduler.isLikelyLive('regular', tuesdayEvening), false);
+    assert.equal(scheduler.isLikelyLive('unknown', mondayEvening), false);
+    assert.equal(scheduler.getInterval(streamer('regular'), mondayEvening), 2 * MINUTE_MS);
+    assert.equal(scheduler.shouldRelearn(), false);
+});
+
+test('missing and banned channels are only rechecked every few hours', () => {
+    const { scheduler } = createScheduler();
+    const now = 100 * HOUR_MS;
+    const streamers = [
+        streamer('gone', { channelState: 'not-found' }),
+        streamer('banned', { channelState: 'banned' }),
+        streamer('dormant')
+    ];
+
+    assert.equal(scheduler.getInterval(streamers[0]), 6 * HOUR_MS);
+    assert.equal(scheduler.getInterval(streamers[1]), 6 * HOUR_MS);
+    assert.deepEqual(scheduler.getDueStreamers(streamers, now), ['dormant', 'gone', 'banned']);
+});
+
+test('renamed channels keep their normal polling', () => {
+    const { scheduler } = createScheduler();
+    const renamedLive = streamer('oldname', { live: true, channelState: 'renamed', renamedTo: 'newname' });
+
+    assert.equal(scheduler.isDeadChannel(renamedLive), false);
+    assert.equal(scheduler.getInterval(renamedLive), MINUTE_MS);
+    assert.equal(scheduler.getPriority(renamedLive, Date.now()), 0);
+});
+
+test('watchlist refresh intervals replace the base interval for members', () => {
+    const { scheduler } = createScheduler();
+    scheduler.setWatchlists([
+        { members: ['xqc', 'westcol'], settings: { refreshInterval: 45 } },
+        { members: ['xqc'], settings: { refreshInterval: 30 } },
+        { members: ['konvy'], settings: { refreshInterval: null } }
+    ]);
+
+    assert.equal(scheduler.getInterval(streamer('xqc', { live: true })), 30 * 1000);
+    assert.equal(scheduler.getInterval(streamer('westcol', { live: true })), 45 * 1000);
+    assert.equal(scheduler.getInterval(streamer('konvy', { live: true })), MINUTE_MS);
+});
@@ -0,0 +1,149 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mockFetch } from './helpers/fetch.mjs';
+import { ProxyPool, ProxyPoolError } from '../proxyPool.js';
+
+const TARGET = 'https://kick.com/api/v1/channels/xqc';
+const CHANNEL = { slug: 'xqc', user: { username: 'xQc' }, livestream: null };
+
+// Responses per proxy host, e.g. { a: { status: 403 } }; anything else succeeds
+function mockProxies(responses = {}) {
+    return mockFetch(url => responses[new URL(url).host.split('.')[0]] || { body: CHANNEL });
+}
+
+const templates = ['https://a.test/?url={url}', 'https://b.test/?url={url}', 'https://c.test/?url={url}'];
+const hosts = calls => calls.map(call => new URL(call.url).host.split('.')[0]);
+
+test('templates get the encoded target URL and extra placeholders', () => {
+    const pool = new ProxyPool();
+
+    assert.equal(pool.buildURL('https://p.test/?u={url}', 'https://kick.com/a b'), 'https://p.test/?u=https%3A%2F%2Fkick.com%2Fa%20b');
+    assert.equal(pool.buildURL('{worker}/?u={url}', 'x', { worker: 'https://w.test' }), 'https://w.test/?u=x');
+});
+
+test('template management ignores blanks and duplicates and keeps stats', async () => {
+    const pool = new ProxyPool(templates);
+    assert.equal(pool.addTemplate(' '), false);
+    assert.equal(pool.addTemplate(templates[0]), false);
+    assert.equal(pool.size, 3);
+
+    mockProxies();
+    await pool.fetchJSON(TARGET);
+    const used = pool.getOrdered()[0].template;
+
+    pool.setTemplates([used, 'https://d.test/?url={url}']);
+    assert.deepEqual(pool.getTemplates(), [used, 'https://d.test/?url={url}']);
+    assert.equal(pool.getStats().find(stat => stat.template === used).requests, 1);
+});
+
+test('the first healthy proxy answers and failures fall through to the next', async () => {
+    const pool = new ProxyPool(templates);
+    const calls = mockProxies({ a: { status: 500, body: {} } });
+
+    const data = await pool.fetchJSON(TARGET);
+
+    assert.deepEqual(data, CHANNEL);
+    assert.deepEqual(hosts(calls), ['a', 'b']);
+    const stats = pool.getStats();
+    assert.equal(stats[0].successRate, 0);
+    assert.equal(stats[0].lastError.status, 500);
+    assert.equal(stats[1].successRate, 100);
+});
+
+test('proxies are ordered by success rate', async () => {
+    const pool = new ProxyPool(templates);
+    mockProxies({ a: { status: 500, body: {} } });
+    await pool.fetchJSON(TARGET);
+
+    // b succeeded, c is untried and a failed
+    assert.deepEqual(pool.getOrdered().map(proxy => proxy.template), [templates[1], templates[2], templates[0]]);
+});
+
+test('Cloudflare blocks quarantine the proxy until it expires', async () => {
+    const pool = new ProxyPool(templates, { quarantineMs: 1000 });
+    const calls = mockProxies({
+        a: { status: 403, body: {} },
+        b: { status: 200, body: '<html>Just a moment...</html>', headers: { 'Content-Type': 'text/html' } }
+    });
+
+    await pool.fetchJSON(TARGET);
+    const stats = pool.getStats();
+    assert.equal(stats[0].quarantined, true);
+    assert.equal(stats[1].quarantined, true);
+    assert.equal(stats[2].quarantined, false);
+
+    calls.length = 0;
+    await pool.fetchJSON(TARGET);
+    assert.deepEqual(hosts(calls), ['c']);
+
+    const later = Date.now() + 1001;
+    assert.equal(pool.getOrdered(later).length, 3);
+});
+
+test('when every proxy is quarantined the one released first is still tried', () => {
+    const pool = new ProxyPool(templates);
+    const now = Date.now();
+    pool.getOrdered().forEach((proxy, i) => {
+        proxy.quarantinedUntil = now + (3 - i) * 1000;
+    });
+
+    assert.deepEqual(pool.getOrdered(now).map(proxy => proxy.template), [templates[2]]);
+});
+
+test('payloads that fail validation count as failures', async () => {
+    const pool = new ProxyPool(templates.slice(0, 2));
+    const calls = mockProxies({ a: { body: { error: 'proxy says no' } } });
+
+    const data = await pool.fetchJSON(TARGET, { validate: payload => payload.slug !== undefined });
+
+    assert.deepEqual(data, CHANNEL);
+    assert.deepEqual(hosts(calls), ['a', 'b']);
+    assert.equal(pool.getStats()[0].lastError.message, 'Unexpected payload');
+});
+
+test('the pool error summarizes every attempt', async () => {
+    const pool = new ProxyPool(templates.slice(0, 2));
+
+    mockProxies({ a: { status: 403, body: {} }, b: { status: 503, body: '<html></html>', headers: { 'Content-Type': 'text/html' } } });
+    let error = await pool.fetchJSON(TARGET).catch(error => error);
+    assert.ok(error instanceof ProxyPoolError);
+    assert.equal(error.status, 403);
+    assert.equal(error.attempts.length, 2);
+
+    pool.proxies.forEach(proxy => { proxy.quarantinedUntil = 0; });
+    mockProxies({ a: { status: 429, body: {}, headers: { 'Retry-After': '30' } }, b: { status: 429, body: {}, headers: { 'Retry-After': '10' } } });
+    error = await pool.fetchJSON(TARGET).catch(error => error);
+    assert.equal(error.status, 429);
+    assert.equal(error.retryAfter, 10000);
+    assert.equal(error.contentType, 'application/json');
+
+    mockProxies({ a: { status: 429, body: {} }, b: { status: 500, body: {} } });
+    error = await pool.fetchJSON(TARGET).catch(error => error);
+    assert.equal(error.status, 502);
+
+    error = await new ProxyPool().fetchJSON(TARGET).catch(error => error);
+    assert.equal(error.message, 'No proxies configured');
+});
+
+test('a 404 from the platform is a working proxy and a missing channel', async () => {
+    const pool = new ProxyPool(templates.slice(0, 2));
+    mockProxies({ a: { status: 404, body: {} }, b: { status: 404, body: {} } });
+
+    const error = await pool.fetchJSON(TARGET).catch(error => error);
+
+    assert.equal(error.status, 404);
+    assert.ok(pool.getStats().every(stat => stat.successRate === 100 && !stat.quarantined));
+
+    mockProxies({ a: { status: 404, body: {} }, b: { status: 500, body: {} } });
+    assert.equal((await pool.fetchJSON(TARGET).catch(error => error)).status, 502);
+});
+
+test('an aborted request stops the pool', async () => {
+    const pool = new ProxyPool(templates);
+    const controller = new AbortController();
+    controller.abort();
+    const calls = mockProxies();
+
+    await assert.rejects(pool.fetchJSON(TARGET, { signal: controller.signal }), { name: 'AbortError' });
+    assert.equal(calls.length, 0);
+});
@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { tokenizeQuery, parseSearchQuery, getQuerySuggestions, fuzzyMatch, highlightMatches } from '../searchQuery.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const NOW = 100 * HOUR_MS;
+
+const streamers = [
+    { name: 'xqc', displayName: 'xQc', title: 'Reacting to everything', category: 'Just Chatting', language: 'English', tags: ['variety'], viewers: 42000, live: true, streamStartTime: NOW - 5 * HOUR_MS, isVerified: true },
+    { name: 'westcol', displayName: 'Westcol', title: 'IRL Medellin', category: 'IRL', language: 'Spanish', tags: ['irl'], viewers: 900, live: true, streamStartTime: NOW - HOUR_MS },
+    { name: 'shoovy', displayName: 'Shoovy', title: 'Slots rerun', category: 'Slots', language: 'English', tags: [], viewers: 0, live: false, mature: true }
+];
+
+function search(input, context = {}) {
+    const query = parseSearchQuery(input);
+    return streamers.filter(streamer => query.matches(streamer, { now: NOW, ...context })).map(streamer => streamer.name);
+}
+
+test('tokenizeQuery splits fields, operators, negation and quotes', () => {
+    const tokens = tokenizeQuery('cat:"just chatting" -title:rerun viewers>=1.5k xqc');
+
+    assert.deepEqual(tokens.map(({ key, operator, value, negate }) => ({ key, operator, value, negate })), [
+        { key: 'cat', operator: ':', value: 'just chatting', negate: false },
+        { key: 'title', operator: ':', value: 'rerun', negate: true },
+        { key: 'viewers', operator: '>=', value: '1.5k', negate: false },
+        { key: undefined, operator: undefined, value: 'xqc', negate: false }
+    ]);
+    assert.deepEqual(tokens.map(token => [token.start, token.end]), [[0, 19], [20, 32], [33, 46], [47, 50]]);
+});
+
+test('field terms filter on their own field', () => {
+    assert.deepEqual(search('cat:"just chatting"'), ['xqc']);
+    assert.deepEqual(search('lang:spanish'), ['westcol']);
+    assert.deepEqual(search('tag:irl'), ['westcol']);
+    assert.deepEqual(search('-title:rerun'), ['xqc', 'westcol']);
+    assert.deepEqual(search('platform:kick is:live'), ['xqc', 'westcol']);
+});
+
+test('viewer counts and uptimes compare with suffixes and units', () => {
+    assert.deepEqual(search('viewers>1k'), ['xqc']);
+    assert.deepEqual(search('viewers<=900'), ['westcol', 'shoovy']);
+    assert.deepEqual(search('uptime<2h'), ['westcol']);
+    assert.deepEqual(search('uptime>=90'), ['xqc']);
+});
+
+test('flags and lists use the search context', () => {
+    const context = {
+        isFavorite: name => name === 'shoovy',
+        isInList: (list, name) => list === 'irl' && name === 'westcol'
+    };
+
+    assert.deepEqual(search('is:fav', context), ['shoovy']);
+    assert.deepEqual(search('is:favorite is:mature', context), ['shoovy']);
+    assert.deepEqual(search('is:verified'), ['xqc']);
+    assert.deepEqual(search('list:irl', context), ['westcol']);
+});
+
+test('invalid terms are reported and the rest of the query still filters', () => {
+    const query = parseSearchQuery('colour:red viewers>lots is:asleep title<x cat: "open is:live');
+
+    assert.deepEqual(query.errors.map(error => error.token), ['colour:red', 'viewers>lots', 'is:asleep', 'title<x', 'cat:', '"open is:live']);
+    assert.match(query.errors[0].message, /Unknown field "colour"/);
+    assert.equal(query.errors[5].message, 'Missing closing quote');
+    assert.equal(query.isEmpty, true);
+
+    const partial = parseSearchQuery('is:live viewers>lots');
+    assert.equal(partial.errors.length, 1);
+    assert.deepEqual(streamers.filter(streamer => partial.matches(streamer)).map(streamer => streamer.name), ['xqc', 'westcol']);
+});
+
+test('suggestions complete field names and known values', () => {
+    assert.deepEqual(getQuerySuggestions('is:live ca'), ['is:live cat:']);
+    assert.deepEqual(getQuerySuggestions('v'), ['viewers>']);
+    assert.deepEqual(getQuerySuggestions('-cat:ju', undefined, { categories: ['Just Chatting', 'Slots'] }), ['-cat:"Just Chatting"']);
+    assert.deepEqual(getQuerySuggestions('is:fa xqc', 5), ['is:fav xqc']);
+});
+
+test('fuzzyMatch prefers substrings and allows typos in longer words', () => {
+    assert.deepEqual(fuzzyMatch('west', 'Westcol'), { score: 1, ranges: [[0, 4]] });
+    assert.deepEqual(fuzzyMatch('chat', 'Just Chatting'), { score: 0.9, ranges: [[5, 9]] });
+    assert.equal(fuzzyMatch('col', 'Westcol').score, 0.8);
+
+    // Short words need an exact match
+    assert.equal(fuzzyMatch('xqx', 'xQc'), null);
+
+    const typo = fuzzyMatch('medelin', 'IRL Medellin');
+    assert.deepEqual(typo.ranges, [[4, 12]]);
+    assert.equal(typo.score, 0.5);
+
+    // A half-typed word with a typo matches the start of the word
+    assert.deepEqual(fuzzyMatch('chatin', 'Just Chatting').ranges, [[5, 12]]);
+    assert.equal(fuzzyMatch('medellin', 'Slots rerun'), null);
+    assert.equal(fuzzyMatch('', 'xqc'), null);
+});
+
+test('bare words rank name matches above title matches', () => {
+    const query = parseSearchQuery('irl');
+
+    assert.deepEqual(streamers.filter(streamer => query.matches(streamer)).map(streamer => streamer.name), ['westcol']);
+    assert.deepEqual(query.getHighlights(streamers[1]), { category: [[0, 3]], title: [[0, 3]] });
+
+    const byName = parseSearchQuery('shoovy').score(streamers[2]);
+    const byTitle = parseSearchQuery('rerun').score(streamers[2]);
+    assert.ok(byName > byTitle, `${byName} > ${byTitle}`);
+    assert.equal(parseSearchQuery('is:live').score(streamers[0]), 0);
+});
+
+test('highlightMatches escapes text and merges overlapping ranges', () => {
+    const escape = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;');
+
+    assert.equal(highlightMatches('Tom & <Jerry>', [[0, 3], [2, 5]], escape), '<mark>Tom &amp;</mark> &lt;Jerry>');
+    assert.equal(highlightMatches(null, [], escape), '');
+});
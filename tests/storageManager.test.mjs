@@ -0,0 +1,171 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installBrowserShims, resetBrowserShims } from './helpers/browser.mjs';
+import { StorageManager } from '../storageManager.js';
+
+installBrowserShims();
+beforeEach(() => resetBrowserShims());
+
+async function createStorage() {
+    const storage = new StorageManager();
+    await storage.init();
+    return storage;
+}
+
+const session = (id, streamerName, startTime) => ({ id, streamerName, startTime, endTime: startTime + 1000, peakViewers: 10 });
+const event = (id, streamerName, timestamp) => ({ id, streamerName, timestamp, type: 'viewers', viewers: 10 });
+
+test('exportData and importData round-trip a whole profile', async () => {
+    const source = await createStorage();
+    source.addFavorite('xQc');
+    source.setStreamerRule('westcol', { notify: 'never' });
+    source.createWatchlist('IRL', ['westcol', 'konvy'], { refreshInterval: 30 });
+    source.createFilterPreset('Big', { filters: { viewers: '5000+' }, sortBy: 'viewers' });
+    source.saveQuery('slots', 'cat:slots is:live');
+    source.updateSettings({ historyRetentionDays: 60 });
+    source.set('theme', 'light');
+    await source.putRecords('streamHistory', [session('s1', 'xqc', 1000), session('s2', 'westcol', 2000)]);
+    await source.putRecords('analytics', [event('e1', 'xqc', 1500)]);
+    source.set('streamHistorySummary', { xqc: { streamCount: 1 } });
+
+    const exported = await source.exportData();
+    // Backups go through a JSON file
+    const backup = JSON.parse(JSON.stringify(exported));
+
+    resetBrowserShims();
+    const target = await createStorage();
+    assert.deepEqual(target.getFavorites(), []);
+
+    await target.importData(backup);
+
+    assert.deepEqual(target.getFavorites(), source.getFavorites());
+    assert.deepEqual(target.getStreamerRules(), { westcol: { notify: 'never' } });
+    assert.deepEqual(target.getWatchlists(), exported.watchlists);
+    assert.deepEqual(target.getFilterPresets(), exported.filterPresets);
+    assert.deepEqual(target.getSavedQueries(), exported.savedQueries);
+    assert.equal(target.getSetting('historyRetentionDays'), 60);
+    assert.equal(target.get('theme'), 'light');
+    assert.deepEqual(await target.getAllRecords('streamHistory'), exported.streamHistory.sessions);
+    assert.deepEqual(await target.getAllRecords('analytics'), exported.streamHistory.events);
+    assert.deepEqual(target.get('streamHistorySummary'), { xqc: { streamCount: 1 } });
+
+    assert.deepEqual(await target.exportData().then(data => ({ ...data, timestamp: 0 })), { ...exported, timestamp: 0 });
+});
+
+test('importData rejects files without a version', async () => {
+    const storage = await createStorage();
+
+    await assert.rejects(storage.importData({ favorites: ['xqc'] }), /Invalid data format/);
+    assert.deepEqual(storage.getFavorites(), []);
+});
+
+test('importData cleans up watchlist settings from a backup', async () => {
+    const storage = await createStorage();
+
+    await storage.importData({
+        version: '4.1',
+        watchlists: [{ id: 'wl_1', name: 'Fast', members: ['xqc'], settings: { refreshInterval: 1, rule: { notify: 'loud' } } }]
+    });
+
+    const [list] = storage.getWatchlists();
+    assert.equal(list.settings.refreshInterval, 30);
+    assert.equal(list.settings.rule, null);
+});
+
+test('exportWatchlist and importWatchlist round-trip a list', async () => {
+    const storage = await createStorage();
+    const list = storage.createWatchlist('IRL', ['Westcol', 'konvy'], {
+        refreshInterval: 120,
+        rule: { notify: 'filtered', minViewers: 100, categories: ['IRL'] },
+        sortBy: 'viewers',
+        sortDirection: 'desc'
+    });
+
+    const shared = JSON.parse(JSON.stringify(storage.exportWatchlist(list.id)));
+    const imported = storage.importWatchlist(shared);
+
+    assert.notEqual(imported.id, list.id);
+    assert.equal(imported.name, 'IRL (2)');
+    assert.deepEqual(imported.members, ['westcol', 'konvy']);
+    assert.deepEqual(imported.settings, list.settings);
+    assert.equal(storage.exportWatchlist('missing'), null);
+});
+
+test('importWatchlist validates the file and its settings', async () => {
+    const storage = await createStorage();
+
+    assert.throws(() => storage.importWatchlist({ type: 'filterPreset', name: 'x', members: [] }), /Invalid watchlist file/);
+    assert.throws(() => storage.importWatchlist({ type: 'watchlist', name: 'x', members: 'xqc' }), /Invalid watchlist file/);
+
+    const imported = storage.importWatchlist({
+        type: 'watchlist',
+        version: 1,
+        name: 'Shared',
+        members: ['xqc', 42, ' '],
+        settings: {
+            refreshInterval: 100000,
+            rule: { notify: 'filtered', minViewers: -5, categories: ['Slots', null] },
+            filters: ['not', 'an', 'object'],
+            sortDirection: 'sideways'
+        }
+    });
+
+    assert.deepEqual(imported.members, ['xqc']);
+    assert.deepEqual(imported.settings, {
+        refreshInterval: 3600,
+        rule: { notify: 'filtered', minViewers: 0, categories: ['Slots'] },
+        filters: null,
+        sortBy: null,
+        sortDirection: null
+    });
+});
+
+test('importWatchlist keeps only filters the filter bar understands', async () => {
+    const storage = await createStorage();
+
+    const imported = storage.importWatchlist({
+        type: 'watchlist',
+        name: 'Shared',
+        members: ['xqc'],
+        settings: {
+            filters: {
+                status: 'live',
+                viewers: ['1000-5000', 'lots'],
+                duration: 'forever',
+                category: ['Slots', 7],
+                search: 'is:live',
+                watchlist: 'wl_someone_else',
+                onclick: 'alert(1)'
+            }
+        }
+    });
+
+    assert.deepEqual(imported.settings.filters, {
+        status: 'live',
+        category: 'Slots',
+        viewers: '1000-5000',
+        search: 'is:live'
+    });
+});
+
+test('exportFilterPreset and importFilterPreset round-trip a preset', async () => {
+    const storage = await createStorage();
+    const preset = storage.createFilterPreset('Spanish live', {
+        filters: { status: 'live', language: 'Spanish' },
+        sortBy: 'viewers',
+        sortDirection: 'desc',
+        viewMode: 'list'
+    });
+
+    const shared = JSON.parse(JSON.stringify(storage.exportFilterPreset(preset.id)));
+    assert.equal('id' in shared, false);
+
+    const imported = storage.importFilterPreset(shared);
+    const { id, name, ...settings } = imported;
+    const { id: originalId, name: originalName, ...originalSettings } = preset;
+
+    assert.notEqual(id, originalId);
+    assert.equal(name, 'Spanish live (2)');
+    assert.deepEqual(settings, originalSettings);
+    assert.throws(() => storage.importFilterPreset({ type: 'filterPreset', name: 'x' }), /Invalid filter preset file/);
+});
@@ -0,0 +1,224 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installBrowserShims, resetBrowserShims } from './helpers/browser.mjs';
+import { mockFetch } from './helpers/fetch.mjs';
+import { StorageManager } from '../storageManager.js';
+import { StreamerManager, RateLimiter } from '../streamerManager.js';
+
+installBrowserShims();
+beforeEach(() => resetBrowserShims());
+
+test('RateLimiter lets requests through up to the limit without waiting', async () => {
+    const limiter = new RateLimiter(3, 1000);
+    const start = Date.now();
+
+    await limiter.wait();
+    await limiter.wait();
+    await limiter.wait();
+
+    assert.ok(Date.now() - start < 50);
+    assert.equal(limiter.requests.length, 3);
+});
+
+test('RateLimiter waits for the oldest request to leave the window', async () => {
+    const limiter = new RateLimiter(2, 100);
+    const start = Date.now();
+
+    await limiter.wait();
+    await limiter.wait();
+    await limiter.wait();
+
+    const elapsed = Date.now() - start;
+    assert.ok(elapsed >= 95, `waited ${elapsed}ms`);
+    assert.ok(elapsed < 500, `waited ${elapsed}ms`);
+    assert.equal(limiter.requests.length, 1);
+});
+
+test('RateLimiter spreads concurrent callers over windows', async () => {
+    const limiter = new RateLimiter(2, 100);
+    const start = Date.now();
+
+    const finished = await Promise.all([1, 2, 3, 4, 5].map(async () => {
+        await limiter.wait();
+        return Date.now() - start;
+    }));
+
+    finished.sort((a, b) => a - b);
+    assert.ok(finished[1] < 50, 'the first two go straight through');
+    assert.ok(finished[2] >= 95, 'the third waits a window');
+    assert.ok(finished[4] >= 195, 'the fifth waits two windows');
+});
+
+// Retries go through manager.sleep, which records the delay instead of waiting
+function createManager() {
+    const manager = new StreamerManager(new StorageManager());
+    const delays = [];
+    manager.sleep = async ms => {
+        delays.push(ms);
+    };
+    return { manager, delays };
+}
+
+const kickChannel = (slug, overrides = {}) => ({
+    slug,
+    user: { username: slug },
+    livestream: null,
+    ...overrides
+});
+
+test('a refresh cancelled by a newer one delivers nothing', async () => {
+    const { manager } = createManager();
+    manager.streamers = [{ name: 'xqc', live: false }];
+    const updates = [];
+    manager.on('streamersLoaded', streamers => updates.push(streamers));
+
+    let release;
+    const gate = new Promise(resolve => { release = resolve; });
+    mockFetch(async () => {
+        await gate;
+        return { body: kickChannel('xqc') };
+    });
+
+    const first = manager.refreshStreamers(['xqc']);
+    assert.equal(manager.isRefreshing(), true);
+    const second = manager.refreshStreamers(['xqc']);
+    release();
+
+    await assert.rejects(first, { name: 'AbortError' });
+    await second;
+    assert.equal(updates.length, 1);
+    assert.equal(manager.isRefreshing(), false);
+});
+
+test('getRetryDelay backs off exponentially with jitter up to maxDelay', () => {
+    const { manager } = createManager();
+
+    for (let attempt = 0; attempt < 8; attempt++) {
+        const step = Math.min(1000 * 2 ** attempt, 30000);
+        const delay = manager.getRetryDelay(attempt);
+        assert.ok(delay >= step / 2 && delay <= step, `attempt ${attempt}: ${delay}`);
+    }
+    assert.equal(manager.getRetryDelay(0, 5000), 5000);
+});
+
+test('a 429 is retried after its Retry-After', async () => {
+    const { manager, delays } = createManager();
+    let calls = 0;
+    mockFetch(() => (++calls === 1
+        ? { status: 429, body: {}, headers: { 'Retry-After': '2' } }
+        : { body: kickChannel('xqc') }));
+
+    const streamer = await manager.fetchStreamerInfo('xqc');
+
+    assert.equal(streamer.error, false);
+    assert.deepEqual(delays, [2000]);
+});
+
+test('retries stop after maxRetries and the error is classified', async () => {
+    const { manager, delays } = createManager();
+    const calls = mockFetch(() => ({ status: 500, body: {} }));
+
+    const streamer = await manager.fetchStreamerInfo('xqc');
+
+    assert.equal(calls.length, 4);
+    assert.equal(delays.length, 3);
+    assert.equal(streamer.error, true);
+    assert.equal(streamer.errorInfo.kind, 'server');
+    assert.equal(streamer.errorInfo.status, 500);
+});
+
+test('a Retry-After beyond maxDelay is reported instead of retried early', async () => {
+    const { manager, delays } = createManager();
+    const calls = mockFetch(() => ({ status: 429, body: {}, headers: { 'Retry-After': '120' } }));
+
+    const streamer = await manager.fetchStreamerInfo('xqc');
+
+    assert.equal(calls.length, 1);
+    assert.deepEqual(delays, []);
+    assert.equal(streamer.errorInfo.kind, 'rate-limited');
+    assert.equal(streamer.errorInfo.retryAfter, 120000);
+});
+
+test('errors are classified by status and payload', () => {
+    const { manager } = createManager();
+    const classify = (status, extra = {}) => manager.classifyError(Object.assign(new Error('x'), { status, ...extra })).kind;
+
+    assert.equal(classify(429), 'rate-limited');
+    assert.equal(classify(403), 'blocked');
+    assert.equal(classify(503, { contentType: 'text/html' }), 'blocked');
+    assert.equal(classify(503), 'server');
+    assert.equal(classify(404), 'not-found');
+    assert.equal(classify(200, { malformed: true }), 'malformed');
+    assert.equal(classify(undefined), 'network');
+    assert.equal(manager.classifyError(new TypeError('Failed to fetch')).kind, 'network');
+});
+
+test('the circuit opens after repeated failures and pauses the host', async () => {
+    const { manager } = createManager();
+    const calls = mockFetch(() => ({ status: 500, body: {} }));
+    const opened = [];
+    manager.on('circuitOpened', status => opened.push(status));
+
+    // Four attempts each; the fifth failure opens the circuit
+    await manager.fetchStreamerInfo('first');
+    const second = await manager.fetchStreamerInfo('second');
+    const callsBefore = calls.length;
+    const third = await manager.fetchStreamerInfo('third');
+
+    assert.equal(opened.length, 1);
+    assert.equal(opened[0].host, 'kick.com');
+    assert.equal(second.errorInfo.kind, 'circuit-open');
+    assert.equal(third.errorInfo.kind, 'circuit-open');
+    assert.equal(calls.length, callsBefore);
+    assert.ok(third.errorInfo.retryAfter > 0);
+});
+
+test('the circuit closes again after a successful trial request', async () => {
+    const { manager } = createManager();
+    let failing = true;
+    mockFetch(url => (failing ? { status: 500, body: {} } : { body: kickChannel(url.split('/').pop()) }));
+
+    await manager.fetchStreamerInfo('first');
+    await manager.fetchStreamerInfo('second');
+    const breaker = manager.circuitBreakers.get('kick.com');
+    assert.equal(breaker.state, 'open');
+
+    failing = false;
+    breaker.openedAt -= breaker.cooldownMs;
+    const streamer = await manager.fetchStreamerInfo('third');
+
+    assert.equal(streamer.error, false);
+    assert.equal(breaker.state, 'closed');
+});
+
+test('missing channels and missing credentials do not count against the host', async () => {
+    const { manager, delays } = createManager();
+    mockFetch(() => ({ status: 404, body: {} }));
+
+    for (let i = 0; i < 6; i++) {
+        const streamer = await manager.fetchStreamerInfo(`gone${i}`);
+        assert.equal(streamer.errorInfo.kind, 'not-found');
+    }
+    for (let i = 0; i < 6; i++) {
+        const streamer = await manager.fetchStreamerInfo(`twitch:someone${i}`);
+        assert.equal(streamer.errorInfo.kind, 'auth');
+    }
+
+    assert.deepEqual(delays, []);
+    assert.ok(manager.getCircuitStatus().every(status => status.state === 'closed' && status.failures === 0));
+});
+
+test('a rename is reported along with the channel going live', () => {
+    const { manager } = createManager();
+    const before = { name: 'oldname', live: false, viewers: 0, channelState: 'active' };
+
+    const renamed = manager.diffStreamer(before, { ...before, channelState: 'renamed', renamedTo: 'newname' });
+    assert.deepEqual(renamed.map(change => change.type), ['channelStateChanged']);
+
+    const wentLive = manager.diffStreamer(before, { ...before, live: true, viewers: 50, channelState: 'renamed', renamedTo: 'newname' });
+    assert.deepEqual(wentLive.map(change => change.type), ['channelStateChanged', 'wentLive']);
+    assert.equal(wentLive[0].renamedTo, 'newname');
+
+    const banned = manager.diffStreamer(before, { ...before, live: true, channelState: 'banned' });
+    assert.deepEqual(banned.map(change => change.type), ['channelStateChanged']);
+});
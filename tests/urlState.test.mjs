@@ -0,0 +1,69 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readUrlState, writeUrlState } from '../urlState.js';
+
+// Just enough of location and history for the module
+const entries = [];
+
+function visit(href) {
+    globalThis.window = {
+        location: new URL(href),
+        history: {
+            pushState(state, title, url) {
+                entries.push(['push', String(url)]);
+                window.location = new URL(url);
+            },
+            replaceState(state, title, url) {
+                entries.push(['replace', String(url)]);
+                window.location = new URL(url);
+            }
+        }
+    };
+}
+
+beforeEach(() => {
+    entries.length = 0;
+    visit('https://monitor.test/');
+});
+
+test('readUrlState returns only the params that are present', () => {
+    assert.deepEqual(readUrlState('?status=live&q=cat%3Aslots&api=http://localhost:8787&sort=viewers'), {
+        status: 'live',
+        search: 'cat:slots',
+        sortBy: 'viewers'
+    });
+
+    visit('https://monitor.test/?view=list&list=IRL&streamer=xqc');
+    assert.deepEqual(readUrlState(), { viewMode: 'list', list: 'IRL', streamer: 'xqc' });
+});
+
+test('writeUrlState leaves out defaults and keeps foreign params', () => {
+    visit('https://monitor.test/?api=http://localhost:8787');
+
+    const changed = writeUrlState(
+        { status: 'live', viewers: 'all', category: ['Slots', 'IRL'], search: '', sortBy: 'status', viewMode: 'grid' },
+        { defaults: { viewers: 'all', sortBy: 'status', viewMode: 'grid' } }
+    );
+
+    assert.equal(changed, true);
+    assert.equal(window.location.search, '?api=http%3A%2F%2Flocalhost%3A8787&status=live&cat=Slots%2CIRL');
+    assert.equal(entries[0][0], 'push');
+});
+
+test('an unchanged view writes nothing', () => {
+    visit('https://monitor.test/?status=live');
+
+    assert.equal(writeUrlState({ status: 'live' }), false);
+    assert.deepEqual(entries, []);
+});
+
+test('typing a search replaces the entry, other changes push one', () => {
+    writeUrlState({ status: 'live' });
+    writeUrlState({ status: 'live', search: 'x' });
+    writeUrlState({ status: 'live', search: 'xq' });
+    writeUrlState({ status: 'offline', search: 'xq' });
+    writeUrlState({ status: 'live', search: 'xq' }, { replace: true });
+
+    assert.deepEqual(entries.map(([method]) => method), ['push', 'replace', 'replace', 'push', 'replace']);
+    assert.deepEqual(readUrlState(), { status: 'live', search: 'xq' });
+});
@@ -205,6 +205,7 @@ export class UIManager {
             content,
             size: options.size || 'medium',
             closable: options.closable !== false,
+            onClose: options.onClose || null,
             element: null
         };
 
@@ -245,6 +246,10 @@ export class UIManager {
         modal.element.remove();
         this.modals.delete(modalId);
 
+        if (modal.onClose) {
+            modal.onClose();
+        }
+
         // Hide overlay if no modals are open
         if (this.modals.size === 0) {
             this.modalOverlay.classList.remove('active');
@@ -347,7 +352,9 @@ export class UIManager {
             const modal = this.showModal(modalId, content, {
                 title: options.title || 'Input',
                 size: 'small',
-                focusElement: '.input-field'
+                focusElement: '.input-field',
+                // Closing with Escape or the close button counts as cancel
+                onClose: () => resolve(null)
             });
 
             const inputField = modal.element.querySelector('.input-field');
@@ -384,11 +391,12 @@ export class UIManager {
     }
 
     // Context menu
-    showContextMenu(x, y, items) {
+    showContextMenu(x, y, items, options = {}) {
         this.hideContextMenu(); // Hide any existing context menu
 
         const menu = document.createElement('div');
         menu.className = 'context-menu';
+        menu.setAttribute('role', 'menu');
         menu.style.position = 'fixed';
         menu.style.left = `${x}px`;
         menu.style.top = `${y}px`;
@@ -401,6 +409,7 @@ export class UIManager {
             
             return `
                 <div class="context-menu-item ${item.disabled ? 'disabled' : ''} ${item.danger ? 'danger' : ''}" 
+                     role="menuitem" tabindex="-1" aria-disabled="${item.disabled ? 'true' : 'false'}"
                      data-action="${item.action}">
                     ${item.icon ? `<span class="context-menu-icon">${item.icon}</span>` : ''}
                     <span class="context-menu-label">${this.escapeHTML(item.label)}</span>
@@ -410,16 +419,55 @@ export class UIManager {
 
         menu.innerHTML = menuItems;
 
-        // Add click listener
-        menu.addEventListener('click', (e) => {
-            const item = e.target.closest('.context-menu-item');
+        const activate = (item) => {
             if (item && !item.classList.contains('disabled')) {
                 const action = item.dataset.action;
                 const menuItem = items.find(i => i.action === action);
+                this.hideContextMenu();
                 if (menuItem && menuItem.callback) {
                     menuItem.callback();
                 }
-                this.hideContextMenu();
+            }
+        };
+
+        // Add click listener
+        menu.addEventListener('click', (e) => {
+            activate(e.target.closest('.context-menu-item'));
+        });
+
+        // Keyboard navigation
+        menu.addEventListener('keydown', (e) => {
+            const enabledItems = Array.from(menu.querySelectorAll('.context-menu-item:not(.disabled)'));
+            const currentIndex = enabledItems.indexOf(document.activeElement);
+
+            switch (e.key) {
+                case 'ArrowDown':
+                    e.preventDefault();
+                    enabledItems[(currentIndex + 1) % enabledItems.length]?.focus();
+                    break;
+                case 'ArrowUp':
+                    e.preventDefault();
+                    enabledItems[(currentIndex - 1 + enabledItems.length) % enabledItems.length]?.focus();
+                    break;
+                case 'Home':
+                    e.preventDefault();
+                    enabledItems[0]?.focus();
+                    break;
+                case 'End':
+                    e.preventDefault();
+                    enabledItems[enabledItems.length - 1]?.focus();
+                    break;
+                case 'Enter':
+                case ' ':
+                    e.preventDefault();
+                    activate(document.activeElement.closest('.context-menu-item'));
+                    break;
+                case 'Escape':
+                case 'Tab':
+                    e.preventDefault();
+                    e.stopPropagation();
+                    this.hideContextMenu();
+                    break;
             }
         });
 
@@ -441,12 +489,23 @@ export class UIManager {
         }, 0);
 
         this.currentContextMenu = menu;
+        this.contextMenuReturnFocus = options.returnFocus || null;
+
+        // Keyboard-opened menus take focus so arrow keys work immediately
+        if (options.focusFirst) {
+            menu.querySelector('.context-menu-item:not(.disabled)')?.focus();
+        }
     }
 
     hideContextMenu() {
         if (this.currentContextMenu) {
             this.currentContextMenu.remove();
             this.currentContextMenu = null;
+
+            if (this.contextMenuReturnFocus) {
+                this.contextMenuReturnFocus.focus();
+                this.contextMenuReturnFocus = null;
+            }
         }
     }
 
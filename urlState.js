@@ -0,0 +1,60 @@
+// URL State - Shareable links for the current view
+//
+//   ?status=live&lang=es&q=cat:slots&sort=viewers&dir=desc&view=list&list=IRL&streamer=xqc
+//
+// Only values that differ from the defaults end up in the link. Arrays are
+// written comma separated. Reading gives back plain strings; callers split and
+// validate them before use. Params this module doesn't own (e.g. ?api=) are
+// left alone.
+export const URL_STATE_PARAMS = {
+    status: 'status',
+    viewers: 'viewers',
+    category: 'cat',
+    language: 'lang',
+    duration: 'duration',
+    tags: 'tag',
+    mature: 'mature',
+    search: 'q',
+    sortBy: 'sort',
+    sortDirection: 'dir',
+    viewMode: 'view',
+    list: 'list',
+    streamer: 'streamer'
+};
+
+// Only the keys present in the URL
+export function readUrlState(search = window.location.search) {
+    const params = new URLSearchParams(search);
+    const state = {};
+
+    Object.entries(URL_STATE_PARAMS).forEach(([key, param]) => {
+        if (params.has(param)) {
+            state[key] = params.get(param);
+        }
+    });
+
+    return state;
+}
+
+// Pushes a history entry when the view changed. A change to the search alone
+// replaces the current entry, so typing doesn't add one per keystroke.
+export function writeUrlState(state, { defaults = {}, replace = false } = {}) {
+    const url = new URL(window.location.href);
+    const previous = readUrlState(url.search);
+
+    Object.entries(URL_STATE_PARAMS).forEach(([key, param]) => {
+        const value = Array.isArray(state[key]) ? state[key].join(',') : state[key];
+        if (value === undefined || value === null || value === '' || value === defaults[key]) {
+            url.searchParams.delete(param);
+        } else {
+            url.searchParams.set(param, value);
+        }
+    });
+
+    if (url.href === window.location.href) return false;
+
+    const next = readUrlState(url.search);
+    const searchOnly = Object.keys(URL_STATE_PARAMS).every(key => key === 'search' || previous[key] === next[key]);
+    window.history[replace || searchOnly ? 'replaceState' : 'pushState'](null, '', url);
+    return true;
+}